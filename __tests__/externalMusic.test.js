@@ -0,0 +1,123 @@
+const Music = require('../models/Music');
+const ChartService = require('../services/chartService');
+const ExternalMusicService = require('../services/externalMusicService');
+const FakeProvider = require('../services/providers/fakeProvider');
+
+const USER = { _id: '64b000000000000000000001' };
+
+// Music.findOne(...).select(...) resolving to the given duplicate
+const mockDuplicateLookup = (duplicate = null) => jest.spyOn(Music, 'findOne').mockReturnValue({
+  select: jest.fn().mockResolvedValue(duplicate)
+});
+
+describe('FakeProvider', () => {
+  afterEach(() => {
+    FakeProvider.reset();
+  });
+
+  test('searches the fixed catalog by title or artist', async () => {
+    const byTitle = await FakeProvider.searchTracks('neon');
+    expect(byTitle.total).toBe(1);
+    expect(byTitle.tracks[0]).toMatchObject({
+      provider: 'fake',
+      externalId: 'fake-2',
+      url: 'https://example.com/tracks/fake-2'
+    });
+
+    const byArtist = await FakeProvider.searchTracks('test ensemble');
+    expect(byArtist.tracks.map(t => t.externalId)).toEqual(['fake-1', 'fake-2']);
+  });
+
+  test('pages results', async () => {
+    const result = await FakeProvider.searchTracks('', { page: 2, limit: 2 });
+    expect(result.total).toBe(3);
+    expect(result.tracks.map(t => t.externalId)).toEqual(['fake-3']);
+  });
+
+  test('returns null for unknown tracks and tracks without audio', async () => {
+    expect(await FakeProvider.getTrack('missing')).toBeNull();
+    expect(await FakeProvider.getAudioUrl('fake-3')).toBeNull();
+    expect(await FakeProvider.getAudioUrl('fake-1')).toBe('https://example.com/audio/fake-1.mp3');
+  });
+
+  test('can swap its catalog', async () => {
+    FakeProvider.setTracks([{ externalId: 'x', title: 'Only', artist: 'One' }]);
+    expect((await FakeProvider.searchTracks('')).total).toBe(1);
+
+    FakeProvider.reset();
+    expect((await FakeProvider.searchTracks('')).total).toBe(3);
+  });
+});
+
+describe('ExternalMusicService with the fake provider', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    FakeProvider.reset();
+    process.env = { ...env };
+  });
+
+  test('lists the fake provider as enabled outside production', () => {
+    process.env.NODE_ENV = 'test';
+    expect(ExternalMusicService.getProviders()).toContainEqual(
+      expect.objectContaining({ name: 'fake', enabled: true })
+    );
+  });
+
+  test('refuses the fake provider in production', async () => {
+    process.env.NODE_ENV = 'production';
+    await expect(ExternalMusicService.searchTracks('fake', 'etude'))
+      .rejects.toThrow('Provider fake is not configured');
+  });
+
+  test('clamps search paging', async () => {
+    const result = await ExternalMusicService.searchTracks('fake', '', { page: '0', limit: '500' });
+    expect(result.pagination).toEqual({ page: 1, limit: 50, total: 3 });
+  });
+
+  test('imports tracks as drafts with mapped genres and source details', async () => {
+    mockDuplicateLookup();
+    const recordRevision = jest.spyOn(ChartService, 'recordRevision').mockResolvedValue();
+
+    const result = await ExternalMusicService.importTracks('fake', ['fake-1', 'fake-2', 'fake-3'], USER, { genre: 'jazz' });
+
+    expect(result.imported.map(t => [t.externalId, t.genre])).toEqual([
+      ['fake-1', 'classical'],
+      ['fake-2', 'electronic'],
+      ['fake-3', 'jazz']
+    ]);
+    expect(result.skipped).toEqual([]);
+    expect(result.failed).toEqual([]);
+
+    const music = recordRevision.mock.calls[0][0];
+    expect(music.status).toBe('draft');
+    expect(music.metadata.isrc).toBe('XXA0A2600001');
+    expect(music.audio.url).toBe('https://example.com/audio/fake-1.mp3');
+    expect(music.source.provider).toBe('fake');
+    expect(music.source.externalId).toBe('fake-1');
+    expect(music.source.importedBy.toString()).toBe(USER._id);
+    expect(recordRevision.mock.calls[0][2]).toEqual({ message: 'Imported from fake' });
+  });
+
+  test('skips duplicates and reports unknown tracks without stopping the job', async () => {
+    const existing = { _id: '64b000000000000000000002', title: 'Morning Etude', status: 'published' };
+    jest.spyOn(Music, 'findOne')
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(existing) })
+      .mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    jest.spyOn(ChartService, 'recordRevision').mockResolvedValue();
+
+    const result = await ExternalMusicService.importTracks('fake', ['fake-1', 'missing', 'fake-2', 'fake-2'], USER);
+
+    expect(result.skipped).toEqual([{ externalId: 'fake-1', reason: 'Already in catalog', musicId: existing._id }]);
+    expect(result.failed).toEqual([{ externalId: 'missing', reason: 'Track not found' }]);
+    expect(result.imported.map(t => t.externalId)).toEqual(['fake-2']);
+  });
+
+  test('rejects an empty selection and unknown fallback genres', async () => {
+    await expect(ExternalMusicService.importTracks('fake', [], USER))
+      .rejects.toThrow('No tracks selected');
+    await expect(ExternalMusicService.importTracks('fake', ['fake-1'], USER, { genre: 'polka' }))
+      .rejects.toThrow('Invalid genre: polka');
+  });
+});
@@ -0,0 +1,97 @@
+const GameService = require('../services/gameService');
+
+const WINDOWS = { perfect: 50, good: 120 };
+
+const NOTES = [
+  { key: 'C4', time: 1000 },
+  { key: 'E4', time: 1000 },
+  { type: 'pause', key: 'C4', time: 1500 },
+  { key: 'C4', time: 2000 },
+  { key: 'G4', time: 3000 }
+];
+
+describe('GameService.judgeKeystroke', () => {
+  test('judges a hit inside the perfect window', () => {
+    expect(GameService.judgeKeystroke(NOTES, [], 'C4', 1030, WINDOWS)).toEqual({
+      accuracy: 'perfect',
+      noteIndex: 0,
+      offset: 30
+    });
+  });
+
+  test('judges a hit inside the good window', () => {
+    expect(GameService.judgeKeystroke(NOTES, [], 'C4', 900, WINDOWS)).toEqual({
+      accuracy: 'good',
+      noteIndex: 0,
+      offset: -100
+    });
+  });
+
+  test('misses outside the good window', () => {
+    expect(GameService.judgeKeystroke(NOTES, [], 'C4', 1200, WINDOWS)).toEqual({
+      accuracy: 'miss',
+      noteIndex: null,
+      offset: null
+    });
+  });
+
+  test('misses a wrong pitch and an invalid key', () => {
+    expect(GameService.judgeKeystroke(NOTES, [], 'D4', 1000, WINDOWS).accuracy).toBe('miss');
+    expect(GameService.judgeKeystroke(NOTES, [], 'H9', 1000, WINDOWS).accuracy).toBe('miss');
+  });
+
+  test('matches enharmonic spellings to the same note', () => {
+    const notes = [{ key: 'C#4', time: 500 }];
+    expect(GameService.judgeKeystroke(notes, [], 'Db4', 500, WINDOWS).noteIndex).toBe(0);
+  });
+
+  test('does not hit a consumed note twice', () => {
+    expect(GameService.judgeKeystroke(NOTES, [0], 'C4', 1000, WINDOWS).accuracy).toBe('miss');
+  });
+
+  test('judges each key of a chord against its own note', () => {
+    const first = GameService.judgeKeystroke(NOTES, [], 'C4', 1000, WINDOWS);
+    const second = GameService.judgeKeystroke(NOTES, [first.noteIndex], 'E4', 1005, WINDOWS);
+
+    expect(first.noteIndex).toBe(0);
+    expect(second).toEqual({ accuracy: 'perfect', noteIndex: 1, offset: 5 });
+  });
+
+  test('ignores pauses', () => {
+    expect(GameService.judgeKeystroke(NOTES, [0], 'C4', 1500, WINDOWS).accuracy).toBe('miss');
+  });
+
+  test('picks the closest unplayed note', () => {
+    const notes = [{ key: 'A4', time: 1000 }, { key: 'A4', time: 1100 }];
+    expect(GameService.judgeKeystroke(notes, [], 'A4', 1080, WINDOWS).noteIndex).toBe(1);
+  });
+
+  test('only judges notes inside the practice range', () => {
+    const range = { startTime: 1800, endTime: 3500 };
+    expect(GameService.judgeKeystroke(NOTES, [], 'C4', 1000, WINDOWS, range).accuracy).toBe('miss');
+    expect(GameService.judgeKeystroke(NOTES, [], 'C4', 2000, WINDOWS, range).noteIndex).toBe(3);
+  });
+});
+
+describe('GameService.countUnplayedNotes', () => {
+  const practiceGame = (range, autoPlayUntil = null) => ({
+    getJudgedRange: () => range,
+    getActiveEffects: (time) => ({ autoPlay: autoPlayUntil !== null && time <= autoPlayUntil })
+  });
+
+  test('counts playable notes that were not consumed', () => {
+    expect(GameService.countUnplayedNotes(NOTES, [])).toBe(4);
+    expect(GameService.countUnplayedNotes(NOTES, [0, 3])).toBe(2);
+    expect(GameService.countUnplayedNotes(NOTES, [0, 1, 3, 4])).toBe(0);
+  });
+
+  test('only counts notes inside the judged range', () => {
+    const game = practiceGame({ startTime: 1800, endTime: 3500 });
+    expect(GameService.countUnplayedNotes(NOTES, [], game)).toBe(2);
+  });
+
+  test('skips notes covered by auto play', () => {
+    const game = practiceGame(null, 2000);
+    expect(GameService.countUnplayedNotes(NOTES, [], game)).toBe(1);
+  });
+});
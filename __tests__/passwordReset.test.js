@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const PasswordResetService = require('../services/passwordResetService');
+const OutboxTransport = require('../services/mailer/outboxTransport');
+
+const EMAIL = 'player@example.com';
+
+const buildUser = (overrides = {}) => ({
+  _id: 'user-1',
+  email: EMAIL,
+  username: 'player',
+  status: 'active',
+  preferences: { language: 'en' },
+  security: {},
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+// Reset links look like <APP_URL>/reset-password?token=<token>
+const tokenFromMail = (message) => /reset-password\?token=([0-9a-f]+)/.exec(message.text)[1];
+
+describe('PasswordResetService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.APP_URL = 'https://piano.example.com';
+    delete process.env.MAIL_OUTBOX_DIR;
+    OutboxTransport.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  test('mails a reset link whose token is stored only as a hash', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const result = await PasswordResetService.requestReset('Player@Example.com');
+
+    expect(result).toEqual({ success: true, sent: true });
+    expect(User.findOne).toHaveBeenCalledWith({ email: EMAIL });
+    expect(user.save).toHaveBeenCalled();
+
+    const messages = OutboxTransport.getMessages(EMAIL);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe('Reset your BigCoin Piano password');
+    expect(messages[0].html).toContain('https://piano.example.com/reset-password?token=');
+
+    const token = tokenFromMail(messages[0]);
+    expect(user.security.passwordReset.tokenHash).toBe(PasswordResetService.hashToken(token));
+    expect(user.security.passwordReset.tokenHash).not.toBe(token);
+    expect(user.security.passwordReset.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('uses the user language for the mail', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser({ preferences: { language: 'vi' } }));
+
+    await PasswordResetService.requestReset(EMAIL);
+
+    expect(OutboxTransport.getMessages(EMAIL)[0].subject).toBe('Đặt lại mật khẩu BigCoin Piano');
+  });
+
+  test('sends nothing for unknown or inactive accounts', async () => {
+    jest.spyOn(User, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(buildUser({ status: 'banned' }));
+
+    expect(await PasswordResetService.requestReset('nobody@example.com')).toEqual({ success: true, sent: false });
+    expect(await PasswordResetService.requestReset(EMAIL)).toEqual({ success: true, sent: false });
+    expect(OutboxTransport.getMessages()).toHaveLength(0);
+  });
+
+  test('resets the password with the mailed token and signs out every session', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    await PasswordResetService.requestReset(EMAIL);
+    const token = tokenFromMail(OutboxTransport.getMessages(EMAIL)[0]);
+
+    const resetUser = buildUser({
+      security: { failedLoginAttempts: 5, accountLocked: true, lockedUntil: new Date() }
+    });
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue({
+      select: jest.fn().mockResolvedValue(resetUser)
+    });
+    jest.spyOn(SessionService, 'revokeAll').mockResolvedValue({ revoked: ['session-1', 'session-2'] });
+
+    const result = await PasswordResetService.resetPassword(token, 'new-secret');
+
+    expect(result).toEqual({ success: true, revokedSessions: ['session-1', 'session-2'] });
+
+    // The token is claimed by its hash and removed in the same update
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(filter['security.passwordReset.tokenHash']).toBe(user.security.passwordReset.tokenHash);
+    expect(update).toEqual({ $unset: { 'security.passwordReset': 1 } });
+
+    expect(resetUser.password).toBe('new-secret');
+    expect(resetUser.security.accountLocked).toBe(false);
+    expect(resetUser.security.failedLoginAttempts).toBe(0);
+    expect(resetUser.security.sessionsRevokedAt).toBeInstanceOf(Date);
+    expect(SessionService.revokeAll).toHaveBeenCalledWith('user-1', 'password_reset');
+
+    // The "password changed" notice is sent without blocking the reset
+    await new Promise(resolve => setImmediate(resolve));
+    expect(OutboxTransport.getMessages(EMAIL)[0].subject).toBe('Your BigCoin Piano password was changed');
+  });
+
+  test('rejects a used or expired token', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue({
+      select: jest.fn().mockResolvedValue(null)
+    });
+
+    await expect(PasswordResetService.resetPassword('stale', 'new-secret'))
+      .rejects.toThrow('Reset link is invalid or has expired');
+  });
+
+  test('rejects a short password before touching the token', async () => {
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate');
+
+    await expect(PasswordResetService.resetPassword('token', '123'))
+      .rejects.toThrow('Password must be at least 6 characters long');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+// Vai trò và quyền hạn (RBAC)
+// Mỗi vai trò có sẵn một bộ quyền; có thể cấp thêm quyền lẻ cho từng user qua User.permissions
+const PERMISSIONS = [
+  'music:publish',     // Duyệt / từ chối bài hát gửi lên
+  'music:import',      // Tìm và nhập bài hát từ nhà cung cấp bên ngoài
+  'issue:manage',      // Xử lý báo lỗi chart
+  'kyc:review',        // Duyệt hồ sơ KYC
+  'payment:approve',   // Duyệt / từ chối yêu cầu rút tiền
+  'payment:report',    // Xem báo cáo tài chính
+  'user:ban',          // Khóa / mở khóa tài khoản
+  'user:manage_roles'  // Đổi vai trò và quyền của user khác
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['music:publish', 'music:import', 'issue:manage'],
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES
+};
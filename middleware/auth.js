@@ -17,6 +17,14 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session; refresh tokens are not accepted here
+    if (decoded.type === 'refresh' || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -28,6 +36,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset are no longer valid
+    if (user.isTokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again'
+      });
+    }
+
     // Check if account is active
     if (user.status !== 'active') {
       return res.status(403).json({
@@ -45,26 +61,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Update last login if different session
-    if (!req.headers['x-session-id'] || req.headers['x-session-id'] !== user.security.sessionId) {
-      user.security.lastLogin = new Date();
-      
-      // Add login history
-      user.security.loginHistory.unshift({
-        ip: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('User-Agent'),
-        location: req.headers['x-user-location'] || 'Unknown'
+    // Session logged out (here or from another device) or replaced by a newer login
+    const SessionService = require('../services/sessionService');
+    const session = await SessionService.getActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again'
       });
-      
-      // Keep only last 10 login records
-      if (user.security.loginHistory.length > 10) {
-        user.security.loginHistory = user.security.loginHistory.slice(0, 10);
-      }
-      
-      await user.save();
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
     
   } catch (error) {
@@ -100,8 +108,13 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.status === 'active') {
-        req.user = user;
+      if (user && user.status === 'active' && !user.isTokenRevoked(decoded.iat)) {
+        const SessionService = require('../services/sessionService');
+        const session = decoded.type !== 'refresh' && await SessionService.getActiveSession(decoded);
+        if (session) {
+          req.user = user;
+          req.sessionId = session._id;
+        }
       }
     }
     
@@ -135,6 +148,30 @@ const requireRole = (roles) => {
   };
 };
 
+// Check fine-grained permissions (config/permissions.js); all listed permissions are required
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        required: missing
+      });
+    }
+
+    next();
+  };
+};
+
 // Check KYC verification status
 const requireKYC = (level = 'verified') => {
   return (req, res, next) => {
@@ -182,6 +219,74 @@ const requirePremium = (req, res, next) => {
   next();
 };
 
+// Block money-moving actions until the account has verified its email
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.isEmailVerified()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Email verification required',
+      emailVerified: false
+    });
+  }
+
+  next();
+};
+
+// Require a fresh TOTP (or recovery) code for sensitive actions when 2FA is on.
+// The code comes in the X-2FA-Code header or as twoFactorCode / recoveryCode in the body.
+const requireTwoFactor = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.security.twoFactorEnabled) {
+    return next();
+  }
+
+  const code = req.headers['x-2fa-code'] || (req.body && req.body.twoFactorCode);
+  const recoveryCode = req.body && req.body.recoveryCode;
+
+  if (!code && !recoveryCode) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor code required',
+      twoFactorRequired: true
+    });
+  }
+
+  try {
+    const TwoFactorService = require('../services/twoFactorService');
+    const result = await TwoFactorService.verifyFresh(req.user._id, { code, recoveryCode });
+
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+        twoFactorRequired: true
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('Two-factor check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code'
+    });
+  }
+};
+
 // Rate limiting based on user level
 const userRateLimit = (req, res, next) => {
   if (!req.user) {
@@ -220,16 +325,16 @@ const userRateLimit = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate JWT token for a session (see SessionService.createSession)
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
 };
 
-// Refresh token
+// Refresh token: rotates the session's refresh token, replaying an old one revokes the session
 const refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
@@ -241,35 +346,25 @@ const refreshToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (!user || user.status !== 'active') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
-
-    const newAccessToken = generateToken(user._id);
-    const newRefreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: '30d' }
-    );
+    const SessionService = require('../services/sessionService');
+    const result = await SessionService.rotate(refreshToken, req);
 
     res.json({
       success: true,
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      sessionId: result.sessionId,
       user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
+        id: result.user._id,
+        username: result.user.username,
+        email: result.user.email
       }
     });
 
   } catch (error) {
+    if (!error.message.includes('Invalid refresh token')) {
+      console.error('Refresh token error:', error);
+    }
     return res.status(401).json({
       success: false,
       message: 'Invalid refresh token'
@@ -277,11 +372,12 @@ const refreshToken = async (req, res, next) => {
   }
 };
 
-// Logout (invalidate tokens)
+// Logout (revoke the current session)
 const logout = async (req, res) => {
   try {
-    // In a production environment, you would add the token to a blacklist
-    // or store active sessions in Redis and remove them
+    const SessionService = require('../services/sessionService');
+    const result = await SessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+    SessionService.disconnectSockets(req.app.get('io'), result.revoked);
     
     res.json({
       success: true,
@@ -350,8 +446,11 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireRole,
+  requirePermission,
   requireKYC,
   requirePremium,
+  requireVerifiedEmail,
+  requireTwoFactor,
   userRateLimit,
   generateToken,
   refreshToken,
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const achievementSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Achievement name is required'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  icon: String,
+  category: {
+    type: String,
+    enum: ['skill', 'dedication', 'exploration'],
+    default: 'skill'
+  },
+  criteria: {
+    metric: {
+      type: String,
+      enum: [
+        'accuracy',        // Accuracy tốt nhất trong 1 game
+        'maxCombo',        // Combo tốt nhất trong 1 game
+        'notesPerSecond',  // Tốc độ tốt nhất trong 1 game
+        'sessionDuration', // Thời lượng 1 game (giây)
+        'gamesPlayed',     // Tổng số game hoàn thành
+        'totalScore',      // Tổng điểm tích lũy
+        'playStreak',      // Số ngày chơi liên tiếp
+        'genresCompleted'  // Số thể loại đã hoàn thành
+      ],
+      required: true
+    },
+    minNotes: {
+      type: Number, // Số nốt tối thiểu để game được tính
+      default: 0
+    }
+  },
+  tiers: [{
+    level: {
+      type: Number,
+      required: true
+    },
+    name: {
+      type: String,
+      enum: ['bronze', 'silver', 'gold', 'platinum', 'diamond']
+    },
+    threshold: {
+      type: Number,
+      required: true
+    },
+    reward: {
+      coins: {
+        type: Number,
+        default: 0
+      },
+      experience: {
+        type: Number,
+        default: 0
+      }
+    }
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+achievementSchema.virtual('maxLevel').get(function() {
+  return this.tiers.length;
+});
+
+// Indexes
+achievementSchema.index({ active: 1, order: 1 });
+
+// Pre-save middleware
+achievementSchema.pre('save', function(next) {
+  // Tiers luôn theo thứ tự tăng dần
+  this.tiers.sort((a, b) => a.threshold - b.threshold);
+  this.tiers.forEach((tier, index) => {
+    tier.level = index + 1;
+  });
+  next();
+});
+
+// Instance methods
+achievementSchema.methods.getReachedTiers = function(progress) {
+  return this.tiers.filter(tier => progress >= tier.threshold);
+};
+
+// Static methods
+achievementSchema.statics.getCatalog = async function() {
+  return await this.find({ active: true }).sort({ order: 1, createdAt: 1 });
+};
+
+// Thêm các achievement mặc định nếu chưa có (không ghi đè chỉnh sửa)
+achievementSchema.statics.seedDefaults = async function(definitions) {
+  await Promise.all(definitions.map((definition, index) =>
+    this.updateOne(
+      { key: definition.key },
+      { $setOnInsert: { ...definition, order: index } },
+      { upsert: true }
+    )
+  ));
+};
+
+module.exports = mongoose.model('Achievement', achievementSchema);
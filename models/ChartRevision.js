@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Ảnh chụp bất biến của sheet sau mỗi lần chỉnh sửa chart
+const chartRevisionSchema = new mongoose.Schema({
+  musicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Music',
+    required: true
+  },
+  number: {
+    type: Number, // Tăng dần theo từng bài, bắt đầu từ 1
+    required: true,
+    min: 1
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Revision message cannot exceed 200 characters']
+  },
+  sheet: {
+    notes: [{
+      _id: false,
+      time: Number,
+      key: String,
+      duration: Number,
+      velocity: Number,
+      type: { type: String }
+    }],
+    keySignature: String,
+    timeSignature: String,
+    sections: [{
+      _id: false,
+      name: String,
+      startTime: Number,
+      endTime: Number,
+      difficulty: String
+    }]
+  },
+  chartHash: {
+    type: String,
+    required: true
+  },
+  // Tóm tắt thay đổi so với bản trước
+  summary: {
+    notesAdded: {
+      type: Number,
+      default: 0
+    },
+    notesRemoved: {
+      type: Number,
+      default: 0
+    },
+    noteCount: {
+      type: Number,
+      default: 0
+    },
+    fieldsChanged: [String],
+    text: String
+  },
+  revertedFrom: {
+    type: Number // Số revision được khôi phục (nếu là revert)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+chartRevisionSchema.index({ musicId: 1, number: -1 }, { unique: true });
+chartRevisionSchema.index({ musicId: 1, chartHash: 1 });
+
+// Pre-save middleware
+chartRevisionSchema.pre('save', function(next) {
+  // Revision đã lưu thì không được sửa
+  if (!this.isNew) {
+    return next(new Error('Chart revisions are immutable'));
+  }
+  next();
+});
+
+const rejectUpdate = function(next) {
+  next(new Error('Chart revisions are immutable'));
+};
+
+chartRevisionSchema.pre('updateOne', rejectUpdate);
+chartRevisionSchema.pre('updateMany', rejectUpdate);
+chartRevisionSchema.pre('findOneAndUpdate', rejectUpdate);
+chartRevisionSchema.pre('replaceOne', rejectUpdate);
+
+// Static methods
+chartRevisionSchema.statics.getHistory = async function(musicId, limit = 50) {
+  return await this.find({ musicId })
+    .select('-sheet')
+    .populate('author', 'username avatar')
+    .sort({ number: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ChartRevision', chartRevisionSchema);
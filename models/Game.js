@@ -13,6 +13,27 @@ const gameSchema = new mongoose.Schema({
     ref: 'Music',
     required: true
   },
+  chartHash: {
+    type: String // Dấu vân tay của sheet.notes lúc bắt đầu chơi
+  },
+  chart: {
+    type: String,
+    default: 'main' // Tên chart được chơi (xem Music.charts)
+  },
+  chartRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartRevision' // Revision của chart lúc bắt đầu chơi
+  },
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match' // Chỉ có khi chơi trong phòng multiplayer
+  },
+  mode: {
+    type: String,
+    enum: ['normal', 'practice'],
+    default: 'normal',
+    index: true
+  },
   session: {
     sessionId: {
       type: String,
@@ -145,8 +166,42 @@ const gameSchema = new mongoose.Schema({
     points: {
       type: Number,
       default: 0
+    },
+    noteIndex: {
+      type: Number // Index trong music.sheet.notes, null nếu không khớp nốt nào
+    },
+    offset: {
+      type: Number // Lệch so với thời điểm của nốt (ms), âm = sớm
+    },
+    clientAccuracy: {
+      type: String,
+      enum: ['perfect', 'good', 'miss']
     }
   }],
+  judging: {
+    windows: {
+      perfect: Number, // ms
+      good: Number // ms
+    },
+    consumedNotes: [Number], // Index các nốt đã được chấm
+    // Keystroke được chấm tuần tự (save có version); game cũ hơn có thể lệch khi phát lại replay
+    serialized: Boolean,
+    unplayedNotes: {
+      type: Number,
+      default: 0
+    },
+    discrepancies: [{
+      key: String,
+      timestamp: Number,
+      noteIndex: Number,
+      claimed: String,
+      judged: String,
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   powerUps: [{
     type: {
       type: String,
@@ -160,6 +215,70 @@ const gameSchema = new mongoose.Schema({
     },
     effect: mongoose.Schema.Types.Mixed
   }],
+  replay: {
+    shareId: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    sharedAt: Date
+  },
+  // Các bước sau khi hoàn thành game (stats, leaderboard, achievement...) chưa chạy xong.
+  // Lưu cùng lúc với trạng thái completed; mỗi bước được rút khỏi danh sách trước khi chạy
+  completion: {
+    pendingSteps: [String],
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Practice: chỉ chấm các nốt trong khoảng, có thể lặp lại nhiều lượt
+  practice: {
+    section: String,
+    startTime: Number, // ms
+    endTime: Number,   // ms
+    loop: {
+      type: Boolean,
+      default: false
+    },
+    passStartKeystroke: {
+      type: Number, // Vị trí keystroke đầu tiên của lượt hiện tại
+      default: 0
+    },
+    passes: [{
+      totalNotes: Number,
+      perfectNotes: Number,
+      goodNotes: Number,
+      missedNotes: Number,
+      accuracy: Number,
+      completedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Accuracy theo từng section của bài (cộng dồn qua các lượt)
+  sectionStats: [{
+    name: String,
+    startTime: Number,
+    endTime: Number,
+    totalNotes: {
+      type: Number,
+      default: 0
+    },
+    perfectNotes: {
+      type: Number,
+      default: 0
+    },
+    goodNotes: {
+      type: Number,
+      default: 0
+    },
+    accuracy: {
+      type: Number,
+      default: 0
+    }
+  }],
   settings: {
     difficulty: {
       type: String,
@@ -169,7 +288,7 @@ const gameSchema = new mongoose.Schema({
     speed: {
       type: Number,
       default: 1.0,
-      min: 0.5,
+      min: 0.25, // Dưới 0.5 chỉ cho phép trong practice
       max: 2.0
     },
     autoPlay: {
@@ -183,13 +302,21 @@ const gameSchema = new mongoose.Schema({
     visualEffects: {
       type: Boolean,
       default: true
+    },
+    ranked: {
+      type: Boolean, // Game tính vào rating của mùa giải
+      default: false
     }
   },
   achievements: [{
     type: {
-      type: String,
-      enum: ['first_game', 'perfect_combo', 'speed_demon', 'accuracy_master', 'endurance_player']
+      type: String // Key của Achievement
+    },
+    achievementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Achievement'
     },
+    tier: Number,
     unlockedAt: {
       type: Date,
       default: Date.now
@@ -198,6 +325,10 @@ const gameSchema = new mongoose.Schema({
     reward: {
       coins: Number,
       experience: Number
+    },
+    rewardGranted: {
+      type: Boolean, // Thưởng đã được cộng qua Transaction khi mở khóa
+      default: false
     }
   }],
   analytics: {
@@ -235,6 +366,8 @@ const gameSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  // Keystroke, power-up và kết thúc game có thể ghi đồng thời: save cũ sẽ lỗi VersionError
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -268,6 +401,7 @@ gameSchema.index({ userId: 1, createdAt: -1 });
 gameSchema.index({ 'session.status': 1 });
 gameSchema.index({ 'scoring.totalScore': -1 });
 gameSchema.index({ 'session.sessionId': 1 }, { unique: true });
+gameSchema.index({ musicId: 1, chart: 1, 'session.status': 1 });
 
 // Pre-save middleware
 gameSchema.pre('save', function(next) {
@@ -277,13 +411,14 @@ gameSchema.pre('save', function(next) {
   }
   
   // Calculate total score
-  this.scoring.totalScore = this.scoring.baseScore + 
-                           this.scoring.comboBonus + 
-                           this.scoring.accuracyBonus + 
-                           this.scoring.speedBonus;
+  this.scoring.totalScore = this.calculateTotalScore();
   
-  // Calculate rewards
-  if (this.isModified('scoring.totalScore')) {
+  // Calculate rewards (practice không có thưởng)
+  if (this.mode === 'practice') {
+    this.rewards.coins = 0;
+    this.rewards.bonusCoins = 0;
+    this.rewards.experience = 0;
+  } else if (this.isModified('scoring.totalScore')) {
     this.rewards.points = Math.floor(this.scoring.totalScore);
     this.rewards.coins = Math.floor(this.scoring.totalScore * (parseFloat(process.env.COIN_PER_POINT) || 0.001));
     this.rewards.experience = Math.floor(this.scoring.totalScore / 100);
@@ -298,16 +433,43 @@ gameSchema.pre('save', function(next) {
 });
 
 // Instance methods
-gameSchema.methods.addKeystroke = function(key, accuracy, reactionTime) {
-  const points = this.calculateKeystrokePoints(accuracy, this.gameplay.currentCombo);
+gameSchema.methods.addKeystroke = function(key, accuracy, reactionTime, judgement = {}) {
+  this.applyKeystroke(key, accuracy, reactionTime, judgement);
+  return this.save();
+};
+
+// Cập nhật gameplay/scoring mà không lưu (dùng chung cho replay)
+gameSchema.methods.applyKeystroke = function(key, accuracy, reactionTime, judgement = {}) {
+  const effects = this.getActiveEffects(judgement.timestamp);
+  const points = this.calculateKeystrokePoints(accuracy, this.gameplay.currentCombo, effects);
   
   this.keystrokes.push({
     key,
-    timestamp: Date.now() - this.session.startTime.getTime(),
+    timestamp: typeof judgement.timestamp === 'number'
+      ? judgement.timestamp
+      : Date.now() - this.session.startTime.getTime(),
     accuracy,
     reactionTime,
-    points
+    points,
+    noteIndex: judgement.noteIndex,
+    offset: judgement.offset,
+    clientAccuracy: judgement.clientAccuracy
   });
+
+  if (typeof judgement.noteIndex === 'number') {
+    this.judging.consumedNotes.push(judgement.noteIndex);
+  }
+
+  // Client accuracy chỉ mang tính tham khảo, ghi lại nếu khác kết quả server
+  if (judgement.clientAccuracy && judgement.clientAccuracy !== accuracy) {
+    this.judging.discrepancies.push({
+      key,
+      timestamp: judgement.timestamp,
+      noteIndex: judgement.noteIndex,
+      claimed: judgement.clientAccuracy,
+      judged: accuracy
+    });
+  }
   
   this.gameplay.totalNotes += 1;
   
@@ -323,16 +485,17 @@ gameSchema.methods.addKeystroke = function(key, accuracy, reactionTime) {
     this.gameplay.maxCombo = Math.max(this.gameplay.maxCombo, this.gameplay.currentCombo);
   } else {
     this.gameplay.missedNotes += 1;
-    this.gameplay.currentCombo = 0;
+    // Shield / auto play giữ combo khi miss
+    if (!effects.protectCombo) {
+      this.gameplay.currentCombo = 0;
+    }
   }
   
   this.scoring.baseScore += points;
   this.updateBonusScores();
-  
-  return this.save();
 };
 
-gameSchema.methods.calculateKeystrokePoints = function(accuracy, combo) {
+gameSchema.methods.calculateKeystrokePoints = function(accuracy, combo, effects = {}) {
   let basePoints = 0;
   
   switch (accuracy) {
@@ -350,7 +513,46 @@ gameSchema.methods.calculateKeystrokePoints = function(accuracy, combo) {
   // Combo multiplier
   const comboMultiplier = Math.min(1 + (combo * 0.1), 3);
   
-  return Math.floor(basePoints * comboMultiplier * this.scoring.multiplier);
+  // Power-up nhân điểm (double_score)
+  const powerUpMultiplier = effects.scoreMultiplier || 1;
+  
+  return Math.floor(basePoints * comboMultiplier * this.scoring.multiplier * powerUpMultiplier);
+};
+
+// Power-up đang có hiệu lực tại thời điểm (ms trong bài)
+gameSchema.methods.getActivePowerUps = function(timestamp) {
+  if (typeof timestamp !== 'number') return [];
+
+  return this.powerUps.filter(p =>
+    timestamp >= p.activatedAt && timestamp < p.activatedAt + p.duration * 1000
+  );
+};
+
+// Gộp hiệu ứng của các power-up đang hoạt động
+gameSchema.methods.getActiveEffects = function(timestamp) {
+  return this.getActivePowerUps(timestamp).reduce((effects, p) => ({
+    ...effects,
+    ...(p.effect || {})
+  }), {});
+};
+
+// Coin thưởng thêm từ điểm kiếm được trong thời gian coin_boost
+gameSchema.methods.calculateBoostedCoins = function() {
+  const coinPerPoint = parseFloat(process.env.COIN_PER_POINT) || 0.001;
+
+  const bonus = this.keystrokes.reduce((sum, k) => {
+    const coinMultiplier = this.getActiveEffects(k.timestamp).coinMultiplier || 1;
+    return sum + k.points * coinPerPoint * (coinMultiplier - 1);
+  }, 0);
+
+  return Math.floor(bonus);
+};
+
+gameSchema.methods.calculateTotalScore = function() {
+  return this.scoring.baseScore + 
+         this.scoring.comboBonus + 
+         this.scoring.accuracyBonus + 
+         this.scoring.speedBonus;
 };
 
 gameSchema.methods.updateBonusScores = function() {
@@ -358,12 +560,18 @@ gameSchema.methods.updateBonusScores = function() {
   this.scoring.comboBonus = Math.floor(this.gameplay.maxCombo * 50);
   
   // Accuracy bonus
+  if (this.gameplay.totalNotes > 0) {
+    this.gameplay.accuracy = (this.gameplay.correctNotes / this.gameplay.totalNotes) * 100;
+  }
+
   if (this.gameplay.accuracy >= 95) {
     this.scoring.accuracyBonus = Math.floor(this.scoring.baseScore * 0.5);
   } else if (this.gameplay.accuracy >= 90) {
     this.scoring.accuracyBonus = Math.floor(this.scoring.baseScore * 0.3);
   } else if (this.gameplay.accuracy >= 80) {
     this.scoring.accuracyBonus = Math.floor(this.scoring.baseScore * 0.1);
+  } else {
+    this.scoring.accuracyBonus = 0;
   }
   
   // Speed bonus
@@ -374,64 +582,56 @@ gameSchema.methods.updateBonusScores = function() {
   }
 };
 
+// Khoảng thời gian được chấm điểm (null = cả bài)
+gameSchema.methods.getJudgedRange = function() {
+  if (this.mode !== 'practice') return null;
+  return { startTime: this.practice.startTime, endTime: this.practice.endTime };
+};
+
+// Cộng dồn accuracy theo section
+gameSchema.methods.mergeSectionStats = function(stats) {
+  stats.forEach(stat => {
+    let existing = this.sectionStats.find(s =>
+      s.name === stat.name && s.startTime === stat.startTime && s.endTime === stat.endTime
+    );
+    if (!existing) {
+      this.sectionStats.push({ name: stat.name, startTime: stat.startTime, endTime: stat.endTime });
+      existing = this.sectionStats[this.sectionStats.length - 1];
+    }
+
+    existing.totalNotes += stat.totalNotes;
+    existing.perfectNotes += stat.perfectNotes;
+    existing.goodNotes += stat.goodNotes;
+    existing.accuracy = existing.totalNotes > 0
+      ? ((existing.perfectNotes + existing.goodNotes) / existing.totalNotes) * 100
+      : 0;
+  });
+};
+
+// Nốt trong bài chưa được chơi tính là miss khi kết thúc game
+gameSchema.methods.registerUnplayedNotes = function(count) {
+  if (count <= 0) return;
+
+  this.judging.unplayedNotes += count;
+  this.gameplay.totalNotes += count;
+  this.gameplay.missedNotes += count;
+  this.gameplay.currentCombo = 0;
+  this.updateBonusScores();
+};
+
 gameSchema.methods.completeGame = function() {
   this.session.status = 'completed';
   this.session.endTime = new Date();
-  
-  // Check for achievements
-  this.checkAchievements();
+  this.rewards.bonusCoins = this.calculateBoostedCoins();
   
   return this.save();
 };
 
-gameSchema.methods.checkAchievements = function() {
-  // First game achievement
-  if (this.gameplay.totalNotes > 0 && !this.achievements.find(a => a.type === 'first_game')) {
-    this.achievements.push({
-      type: 'first_game',
-      description: 'Completed your first game!',
-      reward: { coins: 50, experience: 100 }
-    });
-  }
-  
-  // Perfect combo achievement
-  if (this.gameplay.maxCombo >= 100 && !this.achievements.find(a => a.type === 'perfect_combo')) {
-    this.achievements.push({
-      type: 'perfect_combo',
-      description: 'Achieved a combo of 100+!',
-      reward: { coins: 200, experience: 300 }
-    });
-  }
-  
-  // Accuracy master achievement
-  if (this.gameplay.accuracy >= 98 && !this.achievements.find(a => a.type === 'accuracy_master')) {
-    this.achievements.push({
-      type: 'accuracy_master',
-      description: 'Achieved 98%+ accuracy!',
-      reward: { coins: 150, experience: 250 }
-    });
-  }
-  
-  // Speed demon achievement
-  if (this.notesPerSecond >= 6 && !this.achievements.find(a => a.type === 'speed_demon')) {
-    this.achievements.push({
-      type: 'speed_demon',
-      description: 'Played at lightning speed!',
-      reward: { coins: 100, experience: 200 }
-    });
-  }
-  
-  // Endurance player achievement
-  if (this.session.duration >= 300 && !this.achievements.find(a => a.type === 'endurance_player')) {
-    this.achievements.push({
-      type: 'endurance_player',
-      description: 'Played for 5+ minutes straight!',
-      reward: { coins: 75, experience: 150 }
-    });
+gameSchema.methods.claimRewards = async function() {
+  if (this.mode === 'practice') {
+    throw new Error('Practice sessions have no rewards');
   }
-};
 
-gameSchema.methods.claimRewards = async function() {
   if (this.rewards.claimed) {
     throw new Error('Rewards already claimed');
   }
@@ -439,9 +639,9 @@ gameSchema.methods.claimRewards = async function() {
   let totalCoins = this.rewards.coins + this.rewards.bonusCoins;
   let totalExperience = this.rewards.experience;
   
-  // Add achievement rewards
+  // Add achievement rewards (not yet granted on unlock)
   this.achievements.forEach(achievement => {
-    if (achievement.reward) {
+    if (achievement.reward && !achievement.rewardGranted) {
       totalCoins += achievement.reward.coins || 0;
       totalExperience += achievement.reward.experience || 0;
     }
@@ -476,6 +676,11 @@ gameSchema.methods.abandonGame = function() {
 };
 
 // Static methods
+// Game cũ (trước khi có nhiều chart) không có trường chart, tính là 'main'
+gameSchema.statics.chartFilter = function(chart = 'main') {
+  return chart === 'main' ? { $in: ['main', null] } : chart;
+};
+
 gameSchema.statics.getPlayerStats = async function(userId, period = '30d') {
   const startDate = new Date();
   
@@ -499,6 +704,7 @@ gameSchema.statics.getPlayerStats = async function(userId, period = '30d') {
       $match: {
         userId: new mongoose.Types.ObjectId(userId),
         'session.status': 'completed',
+        mode: { $ne: 'practice' },
         createdAt: { $gte: startDate }
       }
     },
@@ -531,6 +737,71 @@ gameSchema.statics.getPlayerStats = async function(userId, period = '30d') {
   };
 };
 
+// Các phiên đang chơi mà người chơi cho phép xem công khai
+gameSchema.statics.getLiveSessions = async function(limit = 20) {
+  const activeSince = new Date(Date.now() - 30 * 60 * 1000);
+
+  return await this.aggregate([
+    {
+      $match: {
+        'session.status': 'active',
+        'session.startTime': { $gte: activeSince }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    {
+      $unwind: '$user'
+    },
+    {
+      $match: {
+        'user.preferences.spectating': { $nin: ['friends', 'private'] }
+      }
+    },
+    {
+      $lookup: {
+        from: 'music',
+        localField: 'musicId',
+        foreignField: '_id',
+        as: 'music'
+      }
+    },
+    {
+      $unwind: '$music'
+    },
+    {
+      $project: {
+        sessionId: '$session.sessionId',
+        startTime: '$session.startTime',
+        userId: '$user._id',
+        username: '$user.username',
+        avatar: '$user.avatar',
+        level: '$user.statistics.level',
+        music: {
+          id: '$music._id',
+          title: '$music.title',
+          artist: '$music.artist'
+        },
+        totalScore: '$scoring.totalScore',
+        combo: '$gameplay.currentCombo',
+        accuracy: '$gameplay.accuracy'
+      }
+    },
+    {
+      $sort: { totalScore: -1 }
+    },
+    {
+      $limit: limit
+    }
+  ]);
+};
+
 gameSchema.statics.getLeaderboard = async function(period = '30d', limit = 100) {
   const startDate = new Date();
   
@@ -550,6 +821,7 @@ gameSchema.statics.getLeaderboard = async function(period = '30d', limit = 100)
     {
       $match: {
         'session.status': 'completed',
+        mode: { $ne: 'practice' },
         createdAt: { $gte: startDate }
       }
     },
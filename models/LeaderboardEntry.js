@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Bảng xếp hạng theo bài hát được tính sẵn, cập nhật khi game kết thúc
+const leaderboardEntrySchema = new mongoose.Schema({
+  musicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Music',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Mỗi chart của bài có bảng xếp hạng riêng
+  chart: {
+    type: String,
+    default: 'main'
+  },
+  // 'all', tháng ('2026-10') hoặc tuần ISO ('2026-W43')
+  period: {
+    type: String,
+    required: true
+  },
+  bestScore: {
+    type: Number,
+    default: 0
+  },
+  bestAccuracy: {
+    type: Number,
+    default: 0
+  },
+  bestGameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  bestAt: Date,
+  totalPlays: {
+    type: Number,
+    default: 0
+  },
+  // Game gần đây đã được đếm vào totalPlays, để cập nhật lại không đếm hai lần
+  countedGameIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  }],
+  lastPlayed: Date,
+  // Thông tin người chơi lưu kèm để không phải lookup
+  username: String,
+  avatar: String,
+  level: Number,
+  country: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+leaderboardEntrySchema.index({ musicId: 1, chart: 1, period: 1, userId: 1 }, { unique: true });
+leaderboardEntrySchema.index({ musicId: 1, chart: 1, period: 1, bestScore: -1, bestAccuracy: -1, bestAt: 1 });
+leaderboardEntrySchema.index({ musicId: 1, chart: 1, period: 1, country: 1, bestScore: -1 });
+leaderboardEntrySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
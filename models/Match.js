@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const matchSchema = new mongoose.Schema({
+  roomCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  musicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Music',
+    required: true
+  },
+  settings: {
+    chart: {
+      type: String,
+      default: 'main' // Mọi người chơi cùng một chart
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'expert'],
+      default: 'easy'
+    },
+    speed: {
+      type: Number,
+      default: 1.0,
+      min: 0.5,
+      max: 2.0
+    },
+    ranked: {
+      type: Boolean,
+      default: false
+    }
+  },
+  maxPlayers: {
+    type: Number,
+    default: 4,
+    min: 2,
+    max: 8
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'countdown', 'playing', 'completed', 'cancelled'],
+    default: 'waiting'
+  },
+  players: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: String,
+    ready: {
+      type: Boolean,
+      default: false
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    leftAt: Date,
+    gameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Game'
+    },
+    sessionId: String,
+    finished: {
+      type: Boolean,
+      default: false
+    },
+    finishedAt: Date,
+    score: {
+      type: Number,
+      default: 0
+    },
+    accuracy: {
+      type: Number,
+      default: 0
+    },
+    maxCombo: {
+      type: Number,
+      default: 0
+    },
+    rank: Number
+  }],
+  countdown: {
+    startsAt: Date // Thời điểm tất cả người chơi bắt đầu cùng lúc
+  },
+  startedAt: Date,
+  endedAt: Date,
+  winnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+matchSchema.virtual('activePlayers').get(function() {
+  return this.players.filter(p => !p.leftAt);
+});
+
+matchSchema.virtual('isFull').get(function() {
+  return this.activePlayers.length >= this.maxPlayers;
+});
+
+// Indexes
+matchSchema.index({ status: 1, createdAt: -1 });
+matchSchema.index({ 'players.userId': 1, createdAt: -1 });
+matchSchema.index({ 'players.sessionId': 1 });
+
+// Pre-save middleware
+matchSchema.pre('validate', function(next) {
+  if (this.isNew && !this.roomCode) {
+    this.roomCode = crypto.randomBytes(3).toString('hex').toUpperCase();
+  }
+  next();
+});
+
+// Instance methods
+matchSchema.methods.getPlayer = function(userId) {
+  return this.players.find(p => p.userId.toString() === userId.toString() && !p.leftAt);
+};
+
+matchSchema.methods.addPlayer = function(user) {
+  if (this.getPlayer(user._id)) {
+    return this;
+  }
+
+  if (this.isFull) {
+    throw new Error('Room is full');
+  }
+
+  this.players.push({
+    userId: user._id,
+    username: user.username
+  });
+  return this;
+};
+
+matchSchema.methods.removePlayer = function(userId) {
+  const player = this.getPlayer(userId);
+  if (!player) {
+    throw new Error('Player is not in this room');
+  }
+
+  if (this.status === 'waiting') {
+    // Chưa bắt đầu: xóa hẳn khỏi phòng
+    this.players = this.players.filter(p => p.userId.toString() !== userId.toString());
+  } else {
+    player.leftAt = new Date();
+  }
+
+  // Chuyển quyền host cho người còn lại
+  if (this.hostId.toString() === userId.toString() && this.activePlayers.length > 0) {
+    this.hostId = this.activePlayers[0].userId;
+  }
+
+  if (this.activePlayers.length === 0 && this.status !== 'completed') {
+    this.status = 'cancelled';
+    this.endedAt = new Date();
+  }
+
+  return this;
+};
+
+matchSchema.methods.allReady = function() {
+  return this.activePlayers.length >= 2 && this.activePlayers.every(p => p.ready);
+};
+
+matchSchema.methods.allFinished = function() {
+  return this.players.every(p => p.finished || p.leftAt);
+};
+
+// Xếp hạng: điểm cao hơn, rồi accuracy cao hơn, rồi hoàn thành sớm hơn
+matchSchema.methods.computeStandings = function() {
+  const finished = this.players
+    .filter(p => p.finished)
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy;
+      return a.finishedAt - b.finishedAt;
+    });
+
+  finished.forEach((player, index) => {
+    player.rank = index + 1;
+  });
+
+  this.winnerId = finished.length > 0 ? finished[0].userId : undefined;
+  this.status = 'completed';
+  this.endedAt = new Date();
+
+  return this.getStandings();
+};
+
+matchSchema.methods.getStandings = function() {
+  return this.players
+    .map(p => ({
+      userId: p.userId,
+      username: p.username,
+      gameId: p.gameId,
+      score: p.score,
+      accuracy: p.accuracy,
+      maxCombo: p.maxCombo,
+      rank: p.rank || null,
+      finished: p.finished,
+      forfeited: !p.finished && !!p.leftAt
+    }))
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+};
+
+matchSchema.methods.toRoomState = function() {
+  return {
+    matchId: this._id,
+    roomCode: this.roomCode,
+    hostId: this.hostId,
+    musicId: this.musicId,
+    settings: this.settings,
+    maxPlayers: this.maxPlayers,
+    status: this.status,
+    startsAt: this.countdown.startsAt,
+    players: this.activePlayers.map(p => ({
+      userId: p.userId,
+      username: p.username,
+      ready: p.ready,
+      finished: p.finished,
+      score: p.score
+    }))
+  };
+};
+
+// Static methods
+matchSchema.statics.findOpenRoom = function(roomCode) {
+  return this.findOne({
+    roomCode: String(roomCode || '').toUpperCase(),
+    status: { $in: ['waiting', 'countdown', 'playing'] }
+  });
+};
+
+module.exports = mongoose.model('Match', matchSchema);
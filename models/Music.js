@@ -1,5 +1,33 @@
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const noteSchema = new mongoose.Schema({
+  time: {
+    type: Number, // Timestamp trong bài hát (ms)
+    required: true
+  },
+  key: {
+    type: String, // Tên phím piano (C4, D#4, etc.)
+    required: true,
+    match: /^[A-G]([#b])?[0-8]$/
+  },
+  duration: {
+    type: Number, // Thời gian giữ phím (ms)
+    default: 100
+  },
+  velocity: {
+    type: Number, // Độ mạnh (0-127)
+    min: 0,
+    max: 127,
+    default: 80
+  },
+  type: {
+    type: String,
+    enum: ['note', 'chord', 'pause'],
+    default: 'note'
+  }
+});
 
 const musicSchema = new mongoose.Schema({
   title: {
@@ -63,7 +91,9 @@ const musicSchema = new mongoose.Schema({
   audio: {
     url: {
       type: String,
-      required: true
+      required: function() {
+        return this.status !== 'draft'; // Bản nháp (vd. import từ MIDI) chưa cần audio
+      }
     },
     format: {
       type: String,
@@ -80,32 +110,7 @@ const musicSchema = new mongoose.Schema({
     }
   },
   sheet: {
-    notes: [{
-      time: {
-        type: Number, // Timestamp trong bài hát (ms)
-        required: true
-      },
-      key: {
-        type: String, // Tên phím piano (C4, D#4, etc.)
-        required: true,
-        match: /^[A-G]([#b])?[0-8]$/
-      },
-      duration: {
-        type: Number, // Thời gian giữ phím (ms)
-        default: 100
-      },
-      velocity: {
-        type: Number, // Độ mạnh (0-127)
-        min: 0,
-        max: 127,
-        default: 80
-      },
-      type: {
-        type: String,
-        enum: ['note', 'chord', 'pause'],
-        default: 'note'
-      }
-    }],
+    notes: [noteSchema],
     keySignature: {
       type: String,
       default: 'C'
@@ -279,13 +284,140 @@ const musicSchema = new mongoose.Schema({
         type: String,
         enum: ['open', 'investigating', 'resolved', 'rejected'],
         default: 'open'
-      }
+      },
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Moderator phụ trách
+      },
+      assignedAt: Date,
+      resolution: {
+        note: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        at: Date
+      },
+      history: [{
+        _id: false,
+        status: String,
+        assignedTo: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now
+        }
+      }]
     }]
   },
   status: {
     type: String,
     enum: ['draft', 'pending', 'published', 'archived', 'deleted'],
     default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Quy trình duyệt: draft -> pending -> published/draft (bị từ chối) -> archived
+  moderation: {
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: String, // Nhận xét gần nhất của moderator
+    lint: {
+      errors: Number,
+      warnings: Number,
+      checkedAt: Date
+    },
+    history: [{
+      action: {
+        type: String,
+        enum: ['submit', 'approve', 'reject', 'archive', 'unpublish']
+      },
+      from: String,
+      to: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      comment: String,
+      chartRevision: Number,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Các độ khó khác của cùng bài hát (vd. sinh tự động từ chart expert)
+  charts: [{
+    name: {
+      type: String, // Tên duy nhất trong bài (vd. 'easy', 'hard-one-hand'); 'main' là sheet chính
+      required: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]{1,30}$/, 'Chart name can only contain letters, numbers and dashes']
+    },
+    level: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'expert'] // Bỏ trống thì tự tính khi save
+    },
+    hands: {
+      type: String,
+      enum: ['one', 'two'],
+      default: 'two'
+    },
+    notes: [noteSchema],
+    rating: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    keyCount: Number,
+    autoGenerated: {
+      type: Boolean,
+      default: false
+    },
+    generatedFrom: {
+      revision: Number, // Revision của sheet gốc
+      chartHash: String
+    },
+    generatedAt: Date
+  }],
+  // Nguồn bài hát khi import từ nhà cung cấp bên ngoài (Jamendo, Spotify...)
+  source: {
+    provider: String,
+    externalId: String,
+    url: String,
+    importedAt: Date,
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Revision hiện tại của sheet (xem ChartRevision)
+  chart: {
+    revision: {
+      type: Number,
+      default: 0
+    },
+    revisionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChartRevision'
+    }
   }
 }, {
   timestamps: true,
@@ -331,30 +463,22 @@ musicSchema.index({ 'statistics.averageScore': -1 });
 musicSchema.index({ status: 1, 'availability.premium': 1 });
 musicSchema.index({ createdAt: -1 });
 musicSchema.index({ 'metadata.tags': 1 });
+musicSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+musicSchema.index({ 'quality.issues.status': 1, 'quality.issues.type': 1 });
+musicSchema.index({ 'quality.issues.reportedBy': 1 });
+musicSchema.index({ 'metadata.isrc': 1 }, { sparse: true });
+musicSchema.index({ 'source.provider': 1, 'source.externalId': 1 }, { sparse: true });
 
 // Pre-save middleware
 musicSchema.pre('save', function(next) {
   // Tính toán difficulty rating dựa trên notes
   if (this.isModified('sheet.notes') && this.sheet.notes.length > 0) {
-    const noteDensity = this.noteCount / this.duration;
-    const tempoFactor = this.difficulty.tempo / 120; // 120 BPM làm baseline
-    
-    let calculatedRating = Math.min(10, Math.max(1, 
-      (noteDensity * 2) + (tempoFactor * 2) + (this.difficulty.keyCount / 10)
-    ));
-    
-    this.difficulty.rating = Math.round(calculatedRating);
-    
-    // Auto-assign difficulty level
-    if (calculatedRating <= 3) {
-      this.difficulty.level = 'easy';
-    } else if (calculatedRating <= 6) {
-      this.difficulty.level = 'medium';
-    } else if (calculatedRating <= 8) {
-      this.difficulty.level = 'hard';
-    } else {
-      this.difficulty.level = 'expert';
-    }
+    const calculated = this.constructor.calculateDifficulty(
+      this.noteCount, this.duration, this.difficulty.tempo, this.difficulty.keyCount
+    );
+
+    this.difficulty.rating = calculated.rating;
+    this.difficulty.level = calculated.level;
   }
   
   // Validate notes format
@@ -368,7 +492,34 @@ musicSchema.pre('save', function(next) {
     // Sort notes by time
     this.sheet.notes.sort((a, b) => a.time - b.time);
   }
-  
+
+  // Các chart phụ: tên không trùng, tự tính rating/keyCount khi notes thay đổi
+  const names = new Set(['main']);
+  this.charts.forEach((chart, index) => {
+    if (names.has(chart.name)) {
+      throw new Error(`Duplicate chart name: ${chart.name}`);
+    }
+    names.add(chart.name);
+
+    if (!chart.isNew && !this.isModified(`charts.${index}.notes`)) return;
+
+    chart.notes.forEach(note => {
+      if (note.time < 0 || note.time > this.duration * 1000) {
+        throw new Error(`Note time is outside song duration in chart ${chart.name}`);
+      }
+    });
+    chart.notes.sort((a, b) => a.time - b.time);
+
+    chart.keyCount = Math.max(1, new Set(chart.notes.filter(n => n.type !== 'pause').map(n => n.key)).size);
+    const calculated = this.constructor.calculateDifficulty(
+      chart.notes.length, this.duration, this.difficulty.tempo, chart.keyCount
+    );
+    chart.rating = calculated.rating;
+    if (!chart.level) {
+      chart.level = calculated.level;
+    }
+  });
+
   next();
 });
 
@@ -412,12 +563,47 @@ musicSchema.methods.verify = function(userId) {
   return this.save();
 };
 
+// Đổi trạng thái và ghi lại vào lịch sử duyệt (chưa save)
+musicSchema.methods.recordStatusChange = function(action, to, userId, comment) {
+  this.moderation.history.push({
+    action,
+    from: this.status,
+    to,
+    by: userId,
+    comment,
+    chartRevision: this.chart.revision
+  });
+  this.status = to;
+};
+
 musicSchema.methods.getNotesInTimeRange = function(startTime, endTime) {
   return this.sheet.notes.filter(note => 
     note.time >= startTime && note.time <= endTime
   );
 };
 
+// Dấu vân tay của chart, dùng để biết replay có còn khớp với sheet hiện tại
+musicSchema.methods.getChartHash = function(notes = this.sheet.notes) {
+  const fingerprint = notes.map(note => [note.time, note.key, note.duration, note.type]);
+  return crypto.createHash('sha1').update(JSON.stringify(fingerprint)).digest('hex').substring(0, 16);
+};
+
+// Chart theo tên; 'main' (hoặc bỏ trống) là sheet chính
+musicSchema.methods.getChart = function(name) {
+  if (!name || name === 'main') {
+    return {
+      name: 'main',
+      level: this.difficulty.level,
+      hands: this.features.multiHand ? 'two' : 'one',
+      rating: this.difficulty.rating,
+      keyCount: this.difficulty.keyCount,
+      notes: this.sheet.notes
+    };
+  }
+
+  return (this.charts || []).find(chart => chart.name === name) || null;
+};
+
 musicSchema.methods.generatePreview = function(duration = 30) {
   const previewStart = Math.max(0, (this.duration * 1000 / 2) - (duration * 1000 / 2));
   const previewEnd = previewStart + (duration * 1000);
@@ -430,7 +616,30 @@ musicSchema.methods.generatePreview = function(duration = 30) {
 };
 
 // Static methods
-musicSchema.statics.search = async function(query, filters = {}) {
+musicSchema.statics.calculateDifficulty = function(noteCount, duration, tempo, keyCount) {
+  const noteDensity = noteCount / duration;
+  const tempoFactor = tempo / 120; // 120 BPM làm baseline
+
+  const calculatedRating = Math.min(10, Math.max(1,
+    (noteDensity * 2) + (tempoFactor * 2) + (keyCount / 10)
+  ));
+
+  // Auto-assign difficulty level
+  let level;
+  if (calculatedRating <= 3) {
+    level = 'easy';
+  } else if (calculatedRating <= 6) {
+    level = 'medium';
+  } else if (calculatedRating <= 8) {
+    level = 'hard';
+  } else {
+    level = 'expert';
+  }
+
+  return { rating: Math.round(calculatedRating), level };
+};
+
+musicSchema.statics.search = async function(query, filters = {}, options = {}) {
   const searchQuery = {
     status: 'published',
     ...filters
@@ -439,10 +648,26 @@ musicSchema.statics.search = async function(query, filters = {}) {
   if (query) {
     searchQuery.$text = { $search: query };
   }
-  
-  return await this.find(searchQuery)
-    .sort({ 'statistics.playCount': -1, score: { $meta: 'textScore' } })
-    .limit(50);
+
+  // Chỉ sắp xếp theo độ liên quan khi có từ khóa (textScore cần $text)
+  const sort = options.sort || (query
+    ? { score: { $meta: 'textScore' }, 'statistics.playCount': -1 }
+    : { 'statistics.playCount': -1 });
+  // Danh sách kết quả không cần notes và báo lỗi
+  const projection = { 'sheet.notes': 0, 'charts.notes': 0, 'quality.issues': 0 };
+  if (query) {
+    projection.score = { $meta: 'textScore' };
+  }
+
+  const [music, total] = await Promise.all([
+    this.find(searchQuery, projection)
+      .sort(sort)
+      .skip(options.skip || 0)
+      .limit(options.limit || 50),
+    this.countDocuments(searchQuery)
+  ]);
+
+  return { music, total };
 };
 
 musicSchema.statics.getRecommendations = async function(userId, limit = 10) {
@@ -502,7 +727,8 @@ musicSchema.statics.getTrending = async function(period = '7d', limit = 20) {
     {
       $match: {
         createdAt: { $gte: startDate },
-        'session.status': 'completed'
+        'session.status': 'completed',
+        mode: { $ne: 'practice' }
       }
     },
     {
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Ngưỡng rating của các division (từ thấp đến cao)
+const DIVISIONS = [
+  { name: 'bronze', minRating: 0 },
+  { name: 'silver', minRating: 1200 },
+  { name: 'gold', minRating: 1400 },
+  { name: 'platinum', minRating: 1600 },
+  { name: 'diamond', minRating: 1800 },
+  { name: 'master', minRating: 2000 }
+];
+
+const HISTORY_LIMIT = 200;
+
+const ratingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  peakRating: {
+    type: Number,
+    default: 1500
+  },
+  gamesPlayed: {
+    type: Number,
+    default: 0
+  },
+  wins: {
+    type: Number,
+    default: 0
+  },
+  losses: {
+    type: Number,
+    default: 0
+  },
+  division: {
+    type: String,
+    enum: DIVISIONS.map(d => d.name),
+    default: 'gold'
+  },
+  lastPlayedAt: Date,
+  history: [{
+    rating: Number,
+    delta: Number,
+    source: {
+      type: String,
+      enum: ['match', 'percentile', 'season_start']
+    },
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match'
+    },
+    gameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Game'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  seasonReward: {
+    coins: Number,
+    transactionId: String,
+    grantedAt: Date
+  }
+}, {
+  timestamps: true,
+  // Game (solo) và match có thể cập nhật cùng một rating đồng thời
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+ratingSchema.virtual('placed').get(function() {
+  return this.gamesPlayed >= (parseInt(process.env.RANKED_PLACEMENT_GAMES) || 5);
+});
+
+// Indexes
+ratingSchema.index({ seasonId: 1, userId: 1 }, { unique: true });
+ratingSchema.index({ seasonId: 1, rating: -1 });
+
+// Pre-save middleware
+ratingSchema.pre('save', function(next) {
+  this.division = this.constructor.getDivision(this.rating);
+  this.peakRating = Math.max(this.peakRating, this.rating);
+  next();
+});
+
+// Instance methods
+ratingSchema.methods.applyChange = function(delta, details = {}) {
+  this.rating = Math.max(0, Math.round(this.rating + delta));
+  this.gamesPlayed += 1;
+  this.lastPlayedAt = new Date();
+
+  if (details.outcome === 'win') this.wins += 1;
+  if (details.outcome === 'loss') this.losses += 1;
+
+  this.history.push({
+    rating: this.rating,
+    delta: Math.round(delta),
+    source: details.source,
+    matchId: details.matchId,
+    gameId: details.gameId
+  });
+
+  if (this.history.length > HISTORY_LIMIT) {
+    this.history = this.history.slice(-HISTORY_LIMIT);
+  }
+
+  return this;
+};
+
+// Static methods
+ratingSchema.statics.getDivision = function(rating) {
+  let division = DIVISIONS[0].name;
+  DIVISIONS.forEach(d => {
+    if (rating >= d.minRating) division = d.name;
+  });
+  return division;
+};
+
+ratingSchema.statics.getDivisions = function() {
+  return DIVISIONS;
+};
+
+module.exports = mongoose.model('Rating', ratingSchema);
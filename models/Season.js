@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const seasonSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  // Thưởng cuối mùa theo division
+  rewards: [{
+    division: {
+      type: String,
+      enum: ['bronze', 'silver', 'gold', 'platinum', 'diamond', 'master']
+    },
+    coins: {
+      type: Number,
+      default: 0
+    }
+  }],
+  rewardsDistributedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+seasonSchema.virtual('isRunning').get(function() {
+  const now = new Date();
+  return this.status === 'active' && this.startsAt <= now && this.endsAt > now;
+});
+
+// Indexes
+seasonSchema.index({ status: 1, endsAt: 1 });
+
+// Instance methods
+seasonSchema.methods.getReward = function(division) {
+  const reward = this.rewards.find(r => r.division === division);
+  return reward ? reward.coins : 0;
+};
+
+// Static methods
+// Mùa đang diễn ra; mùa đã hết hạn nhưng chưa được cron đóng thì không tính
+seasonSchema.statics.getActive = function(now = new Date()) {
+  return this.findOne({
+    status: 'active',
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).sort({ number: -1 });
+};
+
+seasonSchema.statics.getLatest = function() {
+  return this.findOne().sort({ number: -1 });
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Mỗi lần đăng nhập tạo một phiên (một "family" refresh token) gắn với một thiết bị
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String, // Header X-Device-Id do client gửi, hoặc ngẫu nhiên nếu không có
+    required: true
+  },
+  deviceName: String,
+  userAgent: String,
+  ip: String,
+  location: String,
+  // jti của refresh token duy nhất còn hợp lệ; token cũ gửi lại = bị đánh cắp
+  refreshJti: {
+    type: String,
+    required: true
+  },
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'remote_logout', 'logout_others', 'new_login', 'password_reset', 'reuse_detected', 'banned']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1, lastActiveAt: -1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+// MongoDB tự xóa phiên hết hạn
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
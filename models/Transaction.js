@@ -77,6 +77,19 @@ const transactionSchema = new mongoose.Schema({
     paymentId: String,
     paymentData: mongoose.Schema.Types.Mixed,
     
+    // For item purchases with coins
+    item: {
+      type: { type: String },
+      quantity: Number,
+      unitPrice: Number
+    },
+
+    // For achievement rewards
+    achievement: {
+      key: String,
+      level: Number
+    },
+
     // Fee information
     fees: {
       platform: {
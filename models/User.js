@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,6 +21,20 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Please provide a valid email']
   },
+  // Xác minh email khi đăng ký. Tài khoản tạo trước khi có tính năng này không có
+  // verified (undefined) và được coi là đã xác minh, xem isEmailVerified()
+  emailVerification: {
+    verified: Boolean,
+    verifiedAt: Date,
+    tokenHash: String,
+    expiresAt: Date,
+    lastSentAt: Date,
+    sentCount: { // Số lần gửi trong cửa sổ hiện tại (giới hạn gửi lại)
+      type: Number,
+      default: 0
+    },
+    windowStartedAt: Date
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -30,6 +45,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  country: {
+    type: String, // ISO 3166-1 alpha-2, dùng cho bảng xếp hạng theo khu vực
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter code']
+  },
   coins: {
     total: {
       type: Number,
@@ -109,8 +129,70 @@ const userSchema = new mongoose.Schema({
     autoPlay: {
       type: Boolean,
       default: false
+    },
+    spectating: {
+      type: String,
+      enum: ['public', 'friends', 'private'], // Ai được xem người chơi đang chơi
+      default: 'public'
+    },
+    timezone: {
+      type: String, // IANA timezone, dùng để tính ngày cho streak
+      default: 'UTC',
+      validate: {
+        validator: function(value) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Invalid timezone'
+      }
+    }
+  },
+  inventory: {
+    powerUps: {
+      double_score: { type: Number, default: 0, min: 0 },
+      time_slow: { type: Number, default: 0, min: 0 },
+      auto_play: { type: Number, default: 0, min: 0 },
+      shield: { type: Number, default: 0, min: 0 },
+      coin_boost: { type: Number, default: 0, min: 0 }
+    },
+    streakFreezes: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
+  streak: {
+    current: {
+      type: Number,
+      default: 0
+    },
+    longest: {
+      type: Number,
+      default: 0
+    },
+    lastActiveDay: String, // Ngày hoạt động gần nhất theo múi giờ người dùng (YYYY-MM-DD)
+    lastRewardDay: String,
+    breaksAt: Date, // Nửa đêm (giờ địa phương) mà streak sẽ mất nếu không hoạt động
+    calendar: [{
+      day: String,
+      source: {
+        type: String,
+        enum: ['check_in', 'play', 'freeze']
+      },
+      coins: {
+        type: Number,
+        default: 0
+      }
+    }]
+  },
+  friends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   kyc: {
     status: {
       type: String,
@@ -119,6 +201,12 @@ const userSchema = new mongoose.Schema({
     },
     submittedAt: Date,
     verifiedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String,
     documents: [{
       type: {
         type: String,
@@ -185,7 +273,22 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    twoFactorSecret: String
+    twoFactorSecret: String, // Secret TOTP đã mã hóa (xem TwoFactorService)
+    twoFactorPendingSecret: String, // Secret đang chờ xác nhận bằng mã đầu tiên
+    twoFactorEnabledAt: Date,
+    twoFactorLastStep: Number, // Bước thời gian của mã gần nhất, chống dùng lại mã
+    twoFactorRecoveryCodes: [{
+      _id: false,
+      hash: String, // Chỉ lưu SHA-256, mã gốc chỉ hiện một lần
+      usedAt: Date
+    }],
+    // Token đặt lại mật khẩu đang chờ (chỉ lưu hash, dùng một lần)
+    passwordReset: {
+      tokenHash: String,
+      expiresAt: Date,
+      requestedAt: Date
+    },
+    sessionsRevokedAt: Date // Token phát hành trước thời điểm này không còn hợp lệ
   },
   subscriptions: {
     premium: {
@@ -223,6 +326,39 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'suspended', 'banned', 'deleted'],
     default: 'active'
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user' // moderator: duyệt bài hát gửi lên; quyền theo vai trò xem config/permissions.js
+  },
+  permissions: [{
+    type: String, // Quyền cấp thêm ngoài quyền của vai trò
+    enum: PERMISSIONS
+  }],
+  // Lịch sử đổi vai trò / quyền: ai đổi và lúc nào (by trống = script tạo admin)
+  roleHistory: [{
+    _id: false,
+    fromRole: String,
+    toRole: String,
+    fromPermissions: [String],
+    toPermissions: [String],
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  ban: {
+    reason: String,
+    bannedAt: Date,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   referral: {
     code: {
       type: String,
@@ -233,6 +369,7 @@ const userSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    bonusPaidAt: Date, // Thưởng cho người giới thiệu chỉ trả sau khi email được xác minh
     referredUsers: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -255,6 +392,14 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.security.twoFactorSecret;
+      delete ret.security.twoFactorPendingSecret;
+      delete ret.security.twoFactorLastStep;
+      delete ret.security.twoFactorRecoveryCodes;
+      delete ret.security.passwordReset;
+      delete ret.roleHistory;
+      if (ret.emailVerification) {
+        delete ret.emailVerification.tokenHash;
+      }
       return ret;
     }
   },
@@ -277,6 +422,11 @@ userSchema.virtual('experienceProgress').get(function() {
   return Math.max(0, Math.min(1, progress));
 });
 
+// Indexes
+userSchema.index({ 'streak.breaksAt': 1 });
+userSchema.index({ 'security.passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+
 // Pre-save middleware
 userSchema.pre('save', async function(next) {
   // Hash password nếu đã được modify
@@ -339,9 +489,62 @@ userSchema.methods.updateStats = function(gameData) {
   return this.save();
 };
 
+userSchema.methods.isFriend = function(userId) {
+  return this.friends.some(friendId => friendId.toString() === userId.toString());
+};
+
+// Kiểm tra quyền xem trực tiếp theo tùy chọn của người chơi
+userSchema.methods.allowsSpectator = function(viewerId) {
+  if (this._id.toString() === viewerId.toString()) return true;
+
+  switch (this.preferences.spectating) {
+    case 'private':
+      return false;
+    case 'friends':
+      return this.isFriend(viewerId);
+    default:
+      return true;
+  }
+};
+
+// Quốc gia trên profile, nếu không có thì lấy từ KYC
+userSchema.methods.getCountry = function() {
+  const kycCountry = this.kyc && this.kyc.personalInfo && this.kyc.personalInfo.address
+    ? this.kyc.personalInfo.address.country
+    : null;
+  return this.country || (kycCountry ? kycCountry.toUpperCase() : null);
+};
+
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerification.verified !== false;
+};
+
+// Quyền của vai trò cộng với quyền cấp thêm
+userSchema.methods.getPermissions = function() {
+  const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+  return [...new Set([...rolePermissions, ...(this.permissions || [])])];
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+userSchema.methods.recordRoleChange = function(role, permissions, userId) {
+  this.roleHistory.push({
+    fromRole: this.role,
+    toRole: role,
+    fromPermissions: [...this.permissions],
+    toPermissions: permissions,
+    by: userId
+  });
+  this.role = role;
+  this.permissions = permissions;
+};
+
 userSchema.methods.canWithdraw = function(amount) {
   const minWithdrawal = parseFloat(process.env.MIN_WITHDRAWAL) || 10;
-  return this.kyc.status === 'verified' && 
+  return this.isEmailVerified() &&
+         this.kyc.status === 'verified' && 
          this.coins.available >= amount && 
          amount >= minWithdrawal;
 };
@@ -352,6 +555,12 @@ userSchema.methods.lockAccount = function(duration = 30) {
   return this.save();
 };
 
+// JWT iat (giây) phát hành trước lần thu hồi phiên gần nhất thì bị từ chối
+userSchema.methods.isTokenRevoked = function(issuedAt) {
+  const revokedAt = this.security.sessionsRevokedAt;
+  return !!revokedAt && issuedAt * 1000 < revokedAt.getTime();
+};
+
 userSchema.methods.unlockAccount = function() {
   this.security.accountLocked = false;
   this.security.lockedUntil = undefined;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const userAchievementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  achievementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Achievement',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  state: {
+    // Các thể loại đã hoàn thành
+    genres: [String]
+  },
+  // Game gần đây đã được tính vào progress, để chạy lại bước achievements không cộng hai lần
+  countedGameIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  }],
+  tiers: [{
+    level: {
+      type: Number,
+      required: true
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now
+    },
+    gameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Game'
+    },
+    reward: {
+      coins: Number,
+      experience: Number
+    },
+    transactionId: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+userAchievementSchema.virtual('currentLevel').get(function() {
+  return this.tiers.reduce((max, tier) => Math.max(max, tier.level), 0);
+});
+
+// Indexes
+userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+
+// Instance methods
+userAchievementSchema.methods.hasTier = function(level) {
+  return this.tiers.some(tier => tier.level === level);
+};
+
+module.exports = mongoose.model('UserAchievement', userAchievementSchema);
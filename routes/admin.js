@@ -0,0 +1,314 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const { ROLE_PERMISSIONS, PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Map service errors to HTTP status codes
+const adminErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Cannot') || error.message.includes('cannot be banned')) return 403;
+  if (/already|is not (banned|pending)/.test(error.message)) return 409;
+  return 400;
+};
+
+const validUserId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/admin/me/permissions
+// @desc    Effective permissions of the current user (for showing admin tools)
+// @access  Private
+router.get('/me/permissions', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    role: req.user.role,
+    permissions: req.user.getPermissions()
+  });
+});
+
+// @route   GET /api/admin/roles
+// @desc    Roles with their built-in permissions, and all grantable permissions
+// @access  Private (user:manage_roles)
+router.get('/roles', authenticateToken, requirePermission('user:manage_roles'), (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLE_PERMISSIONS,
+    permissions: PERMISSIONS
+  });
+});
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's role and/or extra permissions
+// @access  Private (user:manage_roles)
+router.put('/users/:userId/role', authenticateToken, requirePermission('user:manage_roles'), validUserId, async (req, res) => {
+  try {
+    const { role, permissions } = req.body;
+
+    if (role === undefined && permissions === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role or permissions are required'
+      });
+    }
+
+    const AdminService = require('../services/adminService');
+    const result = await AdminService.setRole(req.params.userId, { role, permissions }, req.user);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/ban
+// @desc    Ban a user and sign them out of every device
+// @access  Private (user:ban)
+router.post('/users/:userId/ban', authenticateToken, requirePermission('user:ban'), validUserId, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ban reason is required'
+      });
+    }
+
+    const AdminService = require('../services/adminService');
+    const SessionService = require('../services/sessionService');
+    const result = await AdminService.banUser(req.params.userId, reason, req.user);
+    SessionService.disconnectSockets(req.app.get('io'), result.revokedSessions);
+
+    res.json({
+      success: true,
+      message: 'User banned'
+    });
+
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/unban
+// @desc    Lift a ban
+// @access  Private (user:ban)
+router.post('/users/:userId/unban', authenticateToken, requirePermission('user:ban'), validUserId, async (req, res) => {
+  try {
+    const AdminService = require('../services/adminService');
+    await AdminService.unbanUser(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'User unbanned'
+    });
+
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/kyc/pending
+// @desc    KYC submissions waiting for review, oldest first
+// @access  Private (kyc:review)
+router.get('/kyc/pending', authenticateToken, requirePermission('kyc:review'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const AdminService = require('../services/adminService');
+    const result = await AdminService.getPendingKyc({ page, limit });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get pending KYC error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting pending KYC submissions'
+    });
+  }
+});
+
+// @route   POST /api/admin/kyc/:userId/review
+// @desc    Verify or reject a KYC submission
+// @access  Private (kyc:review)
+router.post('/kyc/:userId/review', authenticateToken, requirePermission('kyc:review'), validUserId, async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    const AdminService = require('../services/adminService');
+    const result = await AdminService.reviewKyc(req.params.userId, decision, reason, req.user);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${req.params.userId}`).emit('kyc_reviewed', {
+        status: result.kycStatus,
+        reason: result.kycStatus === 'rejected' ? reason : undefined
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Review KYC error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/withdrawals/pending
+// @desc    Withdrawals waiting for approval
+// @access  Private (payment:approve)
+router.get('/withdrawals/pending', authenticateToken, requirePermission('payment:approve'), async (req, res) => {
+  try {
+    const PaymentService = require('../services/paymentService');
+    const withdrawals = await PaymentService.getPendingWithdrawals();
+
+    res.json({
+      success: true,
+      withdrawals
+    });
+
+  } catch (error) {
+    console.error('Get pending withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting pending withdrawals'
+    });
+  }
+});
+
+// @route   POST /api/admin/withdrawals/batch-approve
+// @desc    Approve several withdrawals; each one succeeds or fails on its own
+// @access  Private (payment:approve, 2FA code when enabled)
+router.post('/withdrawals/batch-approve', authenticateToken, requirePermission('payment:approve'), requireTwoFactor, async (req, res) => {
+  try {
+    const { transactionIds } = req.body;
+
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction IDs are required'
+      });
+    }
+
+    if (transactionIds.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot approve more than 50 withdrawals at once'
+      });
+    }
+
+    const PaymentService = require('../services/paymentService');
+    const result = await PaymentService.processBatchWithdrawals(transactionIds, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Batch approve withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving withdrawals'
+    });
+  }
+});
+
+// @route   POST /api/admin/withdrawals/:transactionId/approve
+// @desc    Approve and process a pending withdrawal
+// @access  Private (payment:approve, 2FA code when enabled)
+router.post('/withdrawals/:transactionId/approve', authenticateToken, requirePermission('payment:approve'), requireTwoFactor, async (req, res) => {
+  try {
+    const PaymentService = require('../services/paymentService');
+    const result = await PaymentService.approveWithdrawal(req.params.transactionId, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/withdrawals/:transactionId/reject
+// @desc    Reject a pending withdrawal and refund the coins
+// @access  Private (payment:approve)
+router.post('/withdrawals/:transactionId/reject', authenticateToken, requirePermission('payment:approve'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const PaymentService = require('../services/paymentService');
+    const result = await PaymentService.rejectWithdrawal(req.params.transactionId, reason, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    res.status(adminErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/reports/financial
+// @desc    Transaction totals by type for a period (7d, 30d, 90d)
+// @access  Private (payment:report)
+router.get('/reports/financial', authenticateToken, requirePermission('payment:report'), async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+
+    if (!['7d', '30d', '90d'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. Allowed: 7d, 30d, 90d'
+      });
+    }
+
+    const PaymentService = require('../services/paymentService');
+    const report = await PaymentService.generateFinancialReport(period);
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('Financial report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating financial report'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,11 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const crypto = require("crypto");
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { authenticateToken, generateToken, refreshToken, logout } = require('../middleware/auth');
+const StreakService = require('../services/streakService');
+const LeaderboardService = require('../services/leaderboardService');
+const { authenticateToken, refreshToken, logout } = require('../middleware/auth');
 const rateLimit = require('express-rate-limit');
 const validator = require('validator');
 
@@ -99,6 +101,9 @@ router.post('/register', registerLimiter, async (req, res) => {
       referral: {
         referredBy
       },
+      emailVerification: {
+        verified: false
+      },
       security: {
         loginHistory: [{
           ip: req.ip || req.connection.remoteAddress,
@@ -111,27 +116,26 @@ router.post('/register', registerLimiter, async (req, res) => {
     await user.save();
 
     // Generate JWT token
-    const token = generateToken(user._id);
-
-    // Process referral bonus if applicable
-    if (referredBy) {
-      try {
-        const PaymentService = require('../services/paymentService');
-        await PaymentService.processReferralBonus(referredBy, user._id);
-      } catch (referralError) {
-        console.error('Referral bonus error:', referralError);
-        // Don't fail registration if referral processing fails
-      }
-    }
+    const SessionService = require('../services/sessionService');
+    const { accessToken: token, refreshToken: refreshTokenValue, sessionId } =
+      await SessionService.createSession(user, req);
+
+    // The referral bonus is paid once the email is verified (see EmailVerificationService)
+    const EmailVerificationService = require('../services/emailVerificationService');
+    EmailVerificationService.sendVerification(user)
+      .catch(error => console.error('Verification mail error:', error));
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken: refreshTokenValue,
+      sessionId,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: false,
         level: user.statistics.level,
         coins: user.coins,
         preferences: user.preferences
@@ -147,8 +151,64 @@ router.post('/register', registerLimiter, async (req, res) => {
   }
 });
 
+// Record the login and send tokens; shared by password and 2FA login steps
+const completeLogin = async (req, res, user) => {
+  // Update login information
+  user.security.lastLogin = new Date();
+  user.security.loginHistory.unshift({
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    location: req.headers['x-user-location'] || 'Unknown'
+  });
+
+  // Keep only last 10 login records
+  if (user.security.loginHistory.length > 10) {
+    user.security.loginHistory = user.security.loginHistory.slice(0, 10);
+  }
+
+  await user.save();
+
+  // Generate tokens for a new device session
+  const SessionService = require('../services/sessionService');
+  const { accessToken, refreshToken: refreshTokenValue, sessionId } =
+    await SessionService.createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    accessToken,
+    refreshToken: refreshTokenValue,
+    sessionId,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      level: user.statistics.level,
+      coins: user.coins,
+      preferences: user.preferences,
+      kycStatus: user.kyc.status,
+      premiumActive: user.subscriptions.premium.active,
+      isShowAds: user.isShowAds,
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: user.security.twoFactorEnabled,
+      role: user.role,
+      permissions: user.getPermissions(),
+      statistics: {
+        totalGames: user.statistics.totalGames,
+        totalScore: user.statistics.totalScore,
+        bestScore: user.statistics.bestScore,
+        totalPlayTime: user.statistics.totalPlayTime,
+        favoriteGenre: user.statistics.favoriteGenre,
+        level: user.statistics.level,
+        experience: user.statistics.experience,
+        accuracy: user.statistics.accuracy
+      }
+    }
+  });
+};
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; with 2FA on, returns a challenge for /2fa/login instead of tokens
 // @access  Public
 router.post('/login', authLimiter, async (req, res) => {
   try {
@@ -164,57 +224,19 @@ router.post('/login', authLimiter, async (req, res) => {
 
     // Find user and authenticate
     const user = await User.findByCredentials(email, password);
-    
-    // Update login information
-    user.security.lastLogin = new Date();
-    user.security.loginHistory.unshift({
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      location: req.headers['x-user-location'] || 'Unknown'
-    });
 
-    // Keep only last 10 login records
-    if (user.security.loginHistory.length > 10) {
-      user.security.loginHistory = user.security.loginHistory.slice(0, 10);
+    if (user.security.twoFactorEnabled) {
+      const TwoFactorService = require('../services/twoFactorService');
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user),
+        expiresIn: TwoFactorService.getChallengeMinutes() * 60
+      });
     }
 
-    await user.save();
-
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshTokenValue = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      accessToken,
-      refreshToken: refreshTokenValue,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        level: user.statistics.level,
-        coins: user.coins,
-        preferences: user.preferences,
-        kycStatus: user.kyc.status,
-        premiumActive: user.subscriptions.premium.active,
-        isShowAds: user.isShowAds,
-        statistics: {
-          totalGames: user.statistics.totalGames,
-          totalScore: user.statistics.totalScore,
-          bestScore: user.statistics.bestScore,
-          totalPlayTime: user.statistics.totalPlayTime,
-          favoriteGenre: user.statistics.favoriteGenre,
-          level: user.statistics.level,
-          experience: user.statistics.experience,
-          accuracy: user.statistics.accuracy
-        }
-      }
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -234,6 +256,118 @@ router.post('/login', authLimiter, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/login
+// @desc    Second login step: challenge token plus TOTP or recovery code
+// @access  Public
+router.post('/2fa/login', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code or recovery code are required'
+      });
+    }
+
+    const TwoFactorService = require('../services/twoFactorService');
+    const result = await TwoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+
+    await completeLogin(req, res, result.user);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status and remaining recovery codes
+// @access  Private
+router.get('/2fa', authenticateToken, (req, res) => {
+  const TwoFactorService = require('../services/twoFactorService');
+
+  res.json({
+    success: true,
+    twoFactor: TwoFactorService.getStatus(req.user)
+  });
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: new secret and otpauth URI for the authenticator app
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const TwoFactorService = require('../services/twoFactorService');
+    const result = await TwoFactorService.beginEnrollment(req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(error.message.includes('already enabled') ? 409 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with the first code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const TwoFactorService = require('../services/twoFactorService');
+    const result = await TwoFactorService.confirmEnrollment(req.user._id, code);
+
+    res.json({
+      ...result,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(error.message.includes('already enabled') ? 409 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires the account password)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const TwoFactorService = require('../services/twoFactorService');
+    const result = await TwoFactorService.disable(req.user._id, req.body.password);
+
+    res.json({
+      ...result,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(error.message.includes('incorrect') ? 401 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/refresh
 // @desc    Refresh access token
 // @access  Public
@@ -244,6 +378,82 @@ router.post('/refresh', refreshToken);
 // @access  Private
 router.post('/logout', authenticateToken, logout);
 
+// @route   GET /api/auth/sessions
+// @desc    List devices currently signed in to the account
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const SessionService = require('../services/sessionService');
+    const result = await SessionService.listSessions(req.user._id, req.sessionId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other devices, keeping the current session
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const SessionService = require('../services/sessionService');
+    const result = await SessionService.revokeAll(req.user._id, 'logout_others', req.sessionId);
+    SessionService.disconnectSockets(req.app.get('io'), result.revoked);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      revokedCount: result.revoked.length
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out other devices'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out a single device
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const SessionService = require('../services/sessionService');
+    const result = await SessionService.revokeSession(req.user._id, sessionId, 'remote_logout');
+    SessionService.disconnectSockets(req.app.get('io'), result.revoked);
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      current: sessionId === req.sessionId.toString()
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -273,7 +483,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
   try {
     // giải mã req.body with key
       
-    const { username, preferences, personalInfo, coins, statistics } = req.body;
+    const { username, country, preferences, personalInfo, coins, statistics } = req.body;
     const user = await User.findById(req.user._id);
 
     // Update username if provided and available
@@ -288,6 +498,10 @@ router.put('/profile', authenticateToken, async (req, res) => {
       user.username = username;
     }
 
+    if (country !== undefined) {
+      user.country = country || undefined;
+    }
+
     // Update preferences
     if (preferences) {
       if (preferences.language) user.preferences.language = preferences.language;
@@ -295,6 +509,11 @@ router.put('/profile', authenticateToken, async (req, res) => {
       if (preferences.musicVolume !== undefined) user.preferences.musicVolume = Math.max(0, Math.min(100, preferences.musicVolume));
       if (preferences.effectsVolume !== undefined) user.preferences.effectsVolume = Math.max(0, Math.min(100, preferences.effectsVolume));
       if (typeof preferences.autoPlay === 'boolean') user.preferences.autoPlay = preferences.autoPlay;
+      if (['public', 'friends', 'private'].includes(preferences.spectating)) user.preferences.spectating = preferences.spectating;
+      if (preferences.timezone) {
+        user.preferences.timezone = preferences.timezone;
+        user.streak.breaksAt = StreakService.computeBreaksAt(user);
+      }
     }
 
     // update coins 
@@ -367,6 +586,11 @@ router.put('/profile', authenticateToken, async (req, res) => {
 
     await user.save();
 
+    // Leaderboard entries keep a copy of the player's name and country
+    if (username || country !== undefined) {
+      await LeaderboardService.updatePlayer(user);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -389,6 +613,156 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/friends
+// @desc    Get friends list
+// @access  Private
+router.get('/friends', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('friends', 'username avatar statistics.level');
+
+    res.json({
+      success: true,
+      friends: user.friends
+    });
+
+  } catch (error) {
+    console.error('Get friends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving friends'
+    });
+  }
+});
+
+// @route   POST /api/auth/friends
+// @desc    Add a friend by username
+// @access  Private
+router.post('/friends', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username is required'
+      });
+    }
+
+    const friend = await User.findOne({ username, status: 'active' });
+    if (!friend || friend._id.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.isFriend(friend._id)) {
+      user.friends.push(friend._id);
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Friend added',
+      friend: {
+        id: friend._id,
+        username: friend.username,
+        avatar: friend.avatar
+      }
+    });
+
+  } catch (error) {
+    console.error('Add friend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding friend'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/friends/:userId
+// @desc    Remove a friend
+// @access  Private
+router.delete('/friends/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(req.user._id);
+    user.friends = user.friends.filter(friendId => friendId.toString() !== userId);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Friend removed'
+    });
+
+  } catch (error) {
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing friend'
+    });
+  }
+});
+
+// @route   GET /api/auth/streak
+// @desc    Get daily streak and activity calendar
+// @access  Private
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const result = await StreakService.getStreak(req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get streak error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/check-in
+// @desc    Daily check-in, pays the streak bonus once per local day
+// @access  Private
+router.post('/check-in', authenticateToken, async (req, res) => {
+  try {
+    const result = await StreakService.checkIn(req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/streak/freezes/purchase
+// @desc    Buy streak freeze items with coins
+// @access  Private
+router.post('/streak/freezes/purchase', authenticateToken, async (req, res) => {
+  try {
+    const { quantity = 1 } = req.body;
+
+    const result = await StreakService.purchaseFreeze(req.user._id, parseInt(quantity));
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Purchase streak freeze error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -454,19 +828,15 @@ router.post('/forgot-password', authLimiter, async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-
-    // Always return success to prevent email enumeration
+    // Always return success to prevent email enumeration; the mail goes out afterwards
     res.json({
       success: true,
       message: 'If an account with that email exists, we have sent a password reset link'
     });
 
-    // Send reset email if user exists (implement email service)
-    if (user) {
-      // TODO: Implement email service for password reset
-      console.log(`Password reset requested for user: ${user.email}`);
-    }
+    const PasswordResetService = require('../services/passwordResetService');
+    PasswordResetService.requestReset(email)
+      .catch(error => console.error('Password reset mail error:', error));
 
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -477,6 +847,109 @@ router.post('/forgot-password', authLimiter, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out all sessions
+// @access  Public
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    const PasswordResetService = require('../services/passwordResetService');
+    const result = await PasswordResetService.resetPassword(token, password);
+
+    const SessionService = require('../services/sessionService');
+    SessionService.disconnectSockets(req.app.get('io'), result.revokedSessions);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    const invalid = /invalid or has expired|at least/.test(error.message);
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email ownership with the token from the verification mail
+// @access  Public
+router.post('/verify-email', authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const EmailVerificationService = require('../services/emailVerificationService');
+    const result = await EmailVerificationService.verify(token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      emailVerified: true,
+      referralBonusPaid: result.referralBonusPaid
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    const invalid = error.message.includes('invalid or has expired');
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: invalid ? error.message : 'Error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (throttled)
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const EmailVerificationService = require('../services/emailVerificationService');
+    const result = await EmailVerificationService.resend(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+      expiresAt: result.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    const verified = error.message.includes('already verified');
+    res.status(verified ? 409 : 500).json({
+      success: false,
+      message: verified ? error.message : 'Error sending verification email'
+    });
+  }
+});
+
 // @route   GET /api/auth/check-username/:username
 // @desc    Check if username is available
 // @access  Public
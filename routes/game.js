@@ -2,6 +2,9 @@
 const express = require('express');
 const { authenticateToken, userRateLimit, requireOwnership } = require('../middleware/auth');
 const GameService = require('../services/gameService');
+const MatchService = require('../services/matchService');
+const AchievementService = require('../services/achievementService');
+const RankedService = require('../services/rankedService');
 const Game = require('../models/Game');
 const Music = require('../models/Music');
 const rateLimit = require('express-rate-limit');
@@ -18,6 +21,14 @@ const gameActionLimiter = rateLimit({
   }
 });
 
+// Tell spectators of a session that it is over
+const notifySpectatorsEnded = (req, sessionId, status) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`spectate_${sessionId}`).emit('spectate_ended', { sessionId, status });
+  }
+};
+
 // @route   POST /api/game/start
 // @desc    Start new game session
 // @access  Private
@@ -42,6 +53,9 @@ router.post('/start', authenticateToken, userRateLimit, async (req, res) => {
       });
     }
 
+    // Match sessions are only created by MatchService
+    delete settings.matchId;
+
     // Add client info to settings
     settings.clientIP = req.ip;
     settings.userAgent = req.get('User-Agent');
@@ -60,6 +74,91 @@ router.post('/start', authenticateToken, userRateLimit, async (req, res) => {
   }
 });
 
+// @route   POST /api/game/practice/start
+// @desc    Start a practice session on a section or time range
+// @access  Private
+router.post('/practice/start', authenticateToken, userRateLimit, async (req, res) => {
+  try {
+    const { musicId, section, startTime, endTime, loop = false, settings = {} } = req.body;
+
+    if (!musicId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Music ID is required'
+      });
+    }
+
+    const validation = GameService.validateGameSettings(settings, 'practice');
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid practice settings',
+        errors: validation.errors
+      });
+    }
+
+    const result = await GameService.startPractice(req.user._id, musicId, {
+      ...settings,
+      section,
+      startTime,
+      endTime,
+      loop,
+      clientIP: req.ip,
+      userAgent: req.get('User-Agent'),
+      platform: req.body.platform || 'web'
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Start practice error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/game/:sessionId/practice/loop
+// @desc    Finish the current practice pass and loop back
+// @access  Private
+router.post('/:sessionId/practice/loop', authenticateToken, gameActionLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await GameService.loopPractice(sessionId, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Loop practice error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/practice/:musicId/sections
+// @desc    Get per-section accuracy and mastery for a song
+// @access  Private
+router.get('/practice/:musicId/sections', authenticateToken, async (req, res) => {
+  try {
+    const { musicId } = req.params;
+
+    const result = await GameService.getSectionProgress(req.user._id, musicId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get section progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/game/:sessionId/keystroke
 // @desc    Process keystroke input
 // @access  Private
@@ -69,17 +168,11 @@ router.post('/:sessionId/keystroke', authenticateToken, gameActionLimiter, async
     const { key, timestamp, accuracy, reactionTime } = req.body;
 
     // Validate input
-    if (!key || !timestamp || !accuracy) {
+    const inputError = GameService.validateKeystrokeInput({ key, timestamp, accuracy });
+    if (inputError) {
       return res.status(400).json({
         success: false,
-        message: 'Key, timestamp, and accuracy are required'
-      });
-    }
-
-    if (!['perfect', 'good', 'miss'].includes(accuracy)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid accuracy value'
+        message: inputError
       });
     }
 
@@ -112,6 +205,82 @@ router.post('/:sessionId/keystroke', authenticateToken, gameActionLimiter, async
   }
 });
 
+// @route   POST /api/game/:sessionId/powerup
+// @desc    Activate a power-up from the inventory
+// @access  Private
+router.post('/:sessionId/powerup', authenticateToken, gameActionLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { type, timestamp } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Power-up type is required'
+      });
+    }
+
+    const result = await GameService.activatePowerUp(sessionId, req.user._id, type, timestamp);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Activate power-up error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/powerups
+// @desc    Get power-up catalog and the user's inventory
+// @access  Private
+router.get('/powerups', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      catalog: GameService.getPowerUpCatalog(),
+      inventory: req.user.inventory.powerUps,
+      maxPerSession: GameService.getMaxPowerUpsPerSession()
+    });
+
+  } catch (error) {
+    console.error('Get power-ups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving power-ups'
+    });
+  }
+});
+
+// @route   POST /api/game/powerups/purchase
+// @desc    Buy power-ups with coins
+// @access  Private
+router.post('/powerups/purchase', authenticateToken, userRateLimit, async (req, res) => {
+  try {
+    const { type, quantity = 1 } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Power-up type is required'
+      });
+    }
+
+    const result = await GameService.purchasePowerUp(req.user._id, type, parseInt(quantity));
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Purchase power-up error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/game/:sessionId/end
 // @desc    End game session
 // @access  Private
@@ -131,6 +300,12 @@ router.post('/:sessionId/end', authenticateToken, async (req, res) => {
 
     const result = await GameService.endGame(sessionId, endData);
 
+    // Report the result to the versus match this session belongs to
+    const matchResult = await MatchService.recordGameResult(sessionId);
+    MatchService.emitResult(req.app.get('io'), matchResult);
+
+    notifySpectatorsEnded(req, sessionId, 'completed');
+
     res.json(result);
 
   } catch (error) {
@@ -218,8 +393,23 @@ router.post('/:sessionId/abandon', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
+    // Validate session belongs to user
+    const isValid = await GameService.validateSession(sessionId, req.user._id);
+    if (!isValid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired game session'
+      });
+    }
+
     const result = await GameService.abandonGame(sessionId);
 
+    // Abandoning a match game forfeits it so the match can still finish
+    const matchResult = await MatchService.recordAbandonedGame(sessionId);
+    MatchService.emitResult(req.app.get('io'), matchResult);
+
+    notifySpectatorsEnded(req, sessionId, 'abandoned');
+
     res.json(result);
 
   } catch (error) {
@@ -231,19 +421,26 @@ router.post('/:sessionId/abandon', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/game/:sessionId
-// @desc    Get game session details
-// @access  Private
-router.get('/:sessionId', authenticateToken, async (req, res) => {
+// @route   GET /api/game/live
+// @desc    List active public sessions that can be spectated
+// @access  Public
+router.get('/live', async (req, res) => {
   try {
-    const { sessionId } = req.params;
+    const { limit = 20 } = req.query;
 
-    const result = await GameService.getGameSession(sessionId, req.user._id);
+    const result = await GameService.getLiveSessions(Math.min(parseInt(limit) || 20, 100));
+
+    // Spectator counts come from the Socket.IO rooms
+    const io = req.app.get('io');
+    result.sessions.forEach(session => {
+      const room = io && io.sockets.adapter.rooms.get(`spectate_${session.sessionId}`);
+      session.spectators = room ? room.size : 0;
+    });
 
     res.json(result);
 
   } catch (error) {
-    console.error('Get game session error:', error);
+    console.error('Get live sessions error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -350,47 +547,54 @@ router.get('/:gameId/analytics', authenticateToken, requireOwnership(Game, 'game
   }
 });
 
-// @route   GET /api/game/achievements
-// @desc    Get user achievements
+// @route   GET /api/game/:gameId/replay
+// @desc    Get replay of a completed game (creates a share link)
 // @access  Private
-router.get('/achievements', authenticateToken, async (req, res) => {
+router.get('/:gameId/replay', authenticateToken, requireOwnership(Game, 'gameId'), async (req, res) => {
   try {
-    const games = await Game.find({ userId: req.user._id })
-      .select('achievements createdAt')
-      .sort({ createdAt: -1 });
-
-    // Collect all achievements
-    const allAchievements = [];
-    games.forEach(game => {
-      game.achievements.forEach(achievement => {
-        allAchievements.push({
-          ...achievement.toObject(),
-          gameId: game._id,
-          earnedAt: achievement.unlockedAt || game.createdAt
-        });
-      });
+    const { gameId } = req.params;
+
+    const result = await GameService.getReplay(gameId, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+});
 
-    // Sort by date and remove duplicates
-    const uniqueAchievements = allAchievements
-      .sort((a, b) => b.earnedAt - a.earnedAt)
-      .filter((achievement, index, array) => 
-        array.findIndex(a => a.type === achievement.type) === index
-      );
+// @route   GET /api/game/replays/:shareId
+// @desc    Get shared replay
+// @access  Public
+router.get('/replays/:shareId', async (req, res) => {
+  try {
+    const { shareId } = req.params;
 
-    // Achievement statistics
-    const achievementStats = {
-      total: uniqueAchievements.length,
-      totalPossible: 5, // Based on achievement types in Game model
-      completionRate: (uniqueAchievements.length / 5) * 100,
-      latestUnlocked: uniqueAchievements[0] || null
-    };
+    const result = await GameService.getSharedReplay(shareId);
 
-    res.json({
-      success: true,
-      achievements: uniqueAchievements,
-      stats: achievementStats
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get shared replay error:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message
     });
+  }
+});
+
+// @route   GET /api/game/achievements
+// @desc    Get user achievements
+// @access  Private
+router.get('/achievements', authenticateToken, async (req, res) => {
+  try {
+    const result = await AchievementService.getUserAchievements(req.user._id);
+
+    res.json(result);
 
   } catch (error) {
     console.error('Get achievements error:', error);
@@ -583,4 +787,107 @@ router.get('/favorites', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/game/ranked/season
+// @desc    Get the current ranked season and divisions
+// @access  Public
+router.get('/ranked/season', async (req, res) => {
+  try {
+    const result = await RankedService.getSeasonInfo();
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get ranked season error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/ranked/standings
+// @desc    Get ranked standings for a season
+// @access  Public
+router.get('/ranked/standings', async (req, res) => {
+  try {
+    const { season, division, page = 1, limit = 50 } = req.query;
+
+    const result = await RankedService.getStandings({
+      seasonNumber: season ? parseInt(season) : null,
+      division,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get ranked standings error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/ranked/me
+// @desc    Get current user's rating and history
+// @access  Private
+router.get('/ranked/me', authenticateToken, async (req, res) => {
+  try {
+    const { season } = req.query;
+
+    const result = await RankedService.getRatingHistory(req.user._id, season ? parseInt(season) : null);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get my rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/ranked/users/:userId/history
+// @desc    Get a user's rating history
+// @access  Public
+router.get('/ranked/users/:userId/history', async (req, res) => {
+  try {
+    const { season } = req.query;
+
+    const result = await RankedService.getRatingHistory(req.params.userId, season ? parseInt(season) : null);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/game/:sessionId
+// @desc    Get game session details
+// @access  Private
+router.get('/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await GameService.getGameSession(sessionId, req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get game session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
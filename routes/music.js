@@ -1,312 +1,756 @@
 
 const express = require('express');
-const { authenticateToken, optionalAuth, requirePremium } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requirePremium, requirePermission } = require('../middleware/auth');
 const Music = require('../models/Music');
 const User = require('../models/User');
-const axios = require('axios');
+const Game = require('../models/Game');
+const multer = require('multer');
+const MidiService = require('../services/midiService');
+const CatalogService = require('../services/catalogService');
+const ChartExportService = require('../services/chartExportService');
+const ChartGeneratorService = require('../services/chartGeneratorService');
+const ChartLintService = require('../services/chartLintService');
+const ChartService = require('../services/chartService');
+const ExternalMusicService = require('../services/externalMusicService');
+const IssueService = require('../services/issueService');
+const LeaderboardService = require('../services/leaderboardService');
+const ModerationService = require('../services/moderationService');
 
 const router = express.Router();
 
+// MIDI uploads are parsed in memory, never written to disk
+const midiUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MidiService.getMaxFileSize() },
+  fileFilter: (req, file, cb) => {
+    if (/\.midi?$/i.test(file.originalname) || /midi/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only MIDI files (.mid, .midi) are allowed'));
+    }
+  }
+});
+
+const uploadMidi = (req, res, next) => {
+  midiUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'MIDI file is required'
+      });
+    }
+    next();
+  });
+};
+
+// Track indexes arrive as "0,2" or a JSON array in multipart forms
+const parseTrackList = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).replace(/[\[\]]/g, '').split(',');
+  return list.map(v => parseInt(v)).filter(v => Number.isInteger(v) && v >= 0);
+};
+
 // @route   GET /api/music/search
 // @desc    Search music library
 // @access  Public
 router.get('/search', optionalAuth, async (req, res) => {
   try {
-    const { 
-      q, 
-      genre, 
-      difficulty, 
-      page = 1, 
-      limit = 12,
-      sort = 'popularity' 
-    } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    console.log(offset, limit, page, q, genre, difficulty, sort);
-
-    // Build search filters
-    const filters = { status: 'published' };
-    const response = await axios.get(`${process.env.MUSIC_API_URL}/tracks/?client_id=${process.env.MUSIC_API_KEY}&format=json&limit=${limit}&offset=${offset}&namesearch=${q || ''}`);
-    
-    // const accessToken = process.env.MUSIC_API_ACCESS_TOKEN;
-    // const response = await axios.get(`${process.env.MUSIC_API_URL}/search?q=lofi&type=track&limit=${limit}`, {
-    //   headers: {
-    //     Authorization: `Bearer ${accessToken}`
-    //   }
-    // });
-
-    // console.log('Music API response:', response.data.tracks.items[0]);
-    // track
-  //   {
-  //     album_type: 'single',
-  //     artists: [ [Object] ],
-  //     available_markets: [
-  //       'AR', 'AU', 'AT', 'BE', 'BO', 'BR', 'BG', 'CA', 'CL', 'CO',
-  //       'CR', 'CY', 'CZ', 'DK', 'DO', 'DE', 'EC', 'EE', 'SV', 'FI',
-  //       'FR', 'GR', 'GT', 'HN', 'HK', 'HU', 'IS', 'IE', 'IT', 'LV',
-  //       'LT', 'LU', 'MY', 'MT', 'MX', 'NL', 'NZ', 'NI', 'NO', 'PA',
-  //       'PY', 'PE', 'PH', 'PL', 'PT', 'SG', 'SK', 'ES', 'SE', 'CH',
-  //       'TW', 'TR', 'UY', 'US', 'GB', 'AD', 'LI', 'MC', 'ID', 'JP',
-  //       'TH', 'VN', 'RO', 'IL', 'ZA', 'SA', 'AE', 'BH', 'QA', 'OM',
-  //       'KW', 'EG', 'MA', 'DZ', 'TN', 'LB', 'JO', 'PS', 'IN', 'BY',
-  //       'KZ', 'MD', 'UA', 'AL', 'BA', 'HR', 'ME', 'MK', 'RS', 'SI',
-  //       'KR', 'BD', 'PK', 'LK', 'GH', 'KE', 'NG', 'TZ', 'UG', 'AG',
-  //       ... 85 more items
-  //     ],
-  //     external_urls: {
-  //       spotify: 'https://open.spotify.com/album/0rHXUdJb3E01dEBIkZwX6m'
-  //     },
-  //     href: 'https://api.spotify.com/v1/albums/0rHXUdJb3E01dEBIkZwX6m',
-  //     id: '0rHXUdJb3E01dEBIkZwX6m',
-  //     images: [ [Object], [Object], [Object] ],
-  //     is_playable: true,
-  //     name: 'Pure Imagination (Lofi)',
-  //     release_date: '2022-04-06',
-  //     release_date_precision: 'day',
-  //     total_tracks: 1,
-  //     type: 'album',
-  //     uri: 'spotify:album:0rHXUdJb3E01dEBIkZwX6m'
-  //   },
-  //   artists: [
-  //     {
-  //       external_urls: [Object],
-  //       href: 'https://api.spotify.com/v1/artists/0C7tVaY5qlP5YgYh7DSUoJ',
-  //       id: '0C7tVaY5qlP5YgYh7DSUoJ',
-  //       name: 'G Sounds',
-  //       type: 'artist',
-  //       uri: 'spotify:artist:0C7tVaY5qlP5YgYh7DSUoJ'
-  //     }
-  //   ],
-  //   available_markets: [
-  //     'AR', 'AU', 'AT', 'BE', 'BO', 'BR', 'BG', 'CA', 'CL', 'CO',
-  //     'CR', 'CY', 'CZ', 'DK', 'DO', 'DE', 'EC', 'EE', 'SV', 'FI',
-  //     'FR', 'GR', 'GT', 'HN', 'HK', 'HU', 'IS', 'IE', 'IT', 'LV',
-  //     'LT', 'LU', 'MY', 'MT', 'MX', 'NL', 'NZ', 'NI', 'NO', 'PA',
-  //     'PY', 'PE', 'PH', 'PL', 'PT', 'SG', 'SK', 'ES', 'SE', 'CH',
-  //     'TW', 'TR', 'UY', 'US', 'GB', 'AD', 'LI', 'MC', 'ID', 'JP',
-  //     'TH', 'VN', 'RO', 'IL', 'ZA', 'SA', 'AE', 'BH', 'QA', 'OM',
-  //     'KW', 'EG', 'MA', 'DZ', 'TN', 'LB', 'JO', 'PS', 'IN', 'BY',
-  //     'KZ', 'MD', 'UA', 'AL', 'BA', 'HR', 'ME', 'MK', 'RS', 'SI',
-  //     'KR', 'BD', 'PK', 'LK', 'GH', 'KE', 'NG', 'TZ', 'UG', 'AG',
-  //     ... 85 more items
-  //   ],
-  //   disc_number: 1,
-  //   duration_ms: 65619,
-  //   explicit: false,
-  //   external_ids: { isrc: 'QZHN32227729' },
-  //   external_urls: { spotify: 'https://open.spotify.com/track/2PkaitJg8kFOdLTtrEFGyM' },
-  //   href: 'https://api.spotify.com/v1/tracks/2PkaitJg8kFOdLTtrEFGyM',
-  //   id: '2PkaitJg8kFOdLTtrEFGyM',
-  //   is_local: false,
-  //   is_playable: true,
-  //   name: 'Pure Imagination (Lofi)',
-  //   popularity: 55,
-  //   preview_url: null,
-  //   track_number: 1,
-  //   type: 'track',
-  //   uri: 'spotify:track:2PkaitJg8kFOdLTtrEFGyM'
-  // }
-    // console.log('Music API response:', response.data.headers);
+    const result = await CatalogService.search(req.query, req.user);
+
     res.json({
-        success: true,
-        totalItems: 12 * 20,
-        music: response.data.results.map(track => ({
-          _id: track.id,
-          title: track.name,
-          artist: track.artist_name,
-          genre: track.genre || 'unknown',
-          duration: track.duration,
-          audioUrl: track.audio,
-          statistics: {
-            playCount: track.statistics ? track.statistics.playCount : 0,
-            averageScore: track.statistics ? track.statistics.averageScore : 0
-          },
-          trending: track.trending || false,
-          featured: track.featured || false,
-          tags: track.tags || []
-          // _id: track.id,
-          // title: track.name,
-          // artist: track.artists[0].name,
-          // genre: track.album ? track.album.name : 'unknown',
-          // duration: track.duration_ms,
-          // audioUrl: track.preview_url || null,
-          // statistics: {
-          //   playCount: track.popularity || 0,
-          //   averageScore: 0 // Placeholder, as Spotify doesn't provide this
-          // },
-          // trending: false, // Placeholder, as Spotify doesn't provide this
-          // featured: false, // Placeholder, as Spotify doesn't provide this
-          // tags: track.available_markets || []
-        
-        }))
-    })
-    
-    // if (genre) filters.genre = genre;
-    // if (difficulty) filters['difficulty.level'] = difficulty;
-    
-    // // If user not premium, exclude premium songs
-    // if (!req.user || !req.user.subscriptions.premium.active) {
-    //   filters['availability.premium'] = false;
-    // }
-
-    // // Search query
-    // let searchResults;
-    // if (q) {
-    //   searchResults = await Music.search(q, filters);
-    // } else {
-    //   let sortQuery = {};
-    //   switch (sort) {
-    //     case 'popularity':
-    //       sortQuery = { 'statistics.playCount': -1 };
-    //       break;
-    //     case 'newest':
-    //       sortQuery = { createdAt: -1 };
-    //       break;
-    //     case 'difficulty':
-    //       sortQuery = { 'difficulty.rating': 1 };
-    //       break;
-    //     case 'duration':
-    //       sortQuery = { duration: 1 };
-    //       break;
-    //     default:
-    //       sortQuery = { 'statistics.playCount': -1 };
-    //   }
-
-    //   searchResults = await Music.find(filters)
-    //     .sort(sortQuery)
-    //     .limit(parseInt(limit))
-    //     .skip((parseInt(page) - 1) * parseInt(limit));
-    // }
-
-    // const total = await Music.countDocuments(filters);
-
-    // res.json({
-    //   success: true,
-    //   music: searchResults,
-    //   pagination: {
-    //     page: parseInt(page),
-    //     limit: parseInt(limit),
-    //     total,
-    //     pages: Math.ceil(total / parseInt(limit))
-    //   },
-    //   filters: {
-    //     query: q,
-    //     genre,
-    //     difficulty,
-    //     sort
-    //   }
-    // });
+      ...result,
+      totalItems: result.pagination.total
+    });
 
   } catch (error) {
     console.error('Music search error:', error);
+    const invalid = /Invalid|cannot be greater/.test(error.message);
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: invalid ? error.message : 'Error searching music library'
+    });
+  }
+});
+
+// External provider errors: unknown or unconfigured provider, missing track, or upstream failure
+const externalErrorStatus = (error) => {
+  if (error.message.includes('Unknown provider') || error.message.includes('Invalid genre') ||
+      error.message.includes('No tracks selected') || error.message.includes('Cannot import more')) return 400;
+  if (error.message.includes('not configured')) return 503;
+  if (error.message.includes('not found')) return 404;
+  return 502;
+};
+
+// @route   GET /api/music/external/providers
+// @desc    List external music providers and whether they are configured
+// @access  Private (music:import)
+router.get('/external/providers', authenticateToken, requirePermission('music:import'), (req, res) => {
+  res.json({
+    success: true,
+    providers: ExternalMusicService.getProviders()
+  });
+});
+
+// @route   GET /api/music/external/search
+// @desc    Search an external provider for tracks to import
+// @access  Private (music:import)
+router.get('/external/search', authenticateToken, requirePermission('music:import'), async (req, res) => {
+  try {
+    const { provider, q, page, limit } = req.query;
+
+    const result = await ExternalMusicService.searchTracks(provider, q, { page, limit });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('External search error:', error);
+    res.status(externalErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/external/import
+// @desc    Import selected external tracks into the catalog as drafts
+// @access  Private (music:import)
+router.post('/external/import', authenticateToken, requirePermission('music:import'), async (req, res) => {
+  try {
+    const { provider, trackIds, genre } = req.body;
+
+    if (!Array.isArray(trackIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'trackIds must be an array'
+      });
+    }
+
+    const result = await ExternalMusicService.importTracks(provider, trackIds, req.user, { genre });
+
+    res.status(result.imported.length > 0 ? 201 : 200).json(result);
+
+  } catch (error) {
+    console.error('External import error:', error);
+    res.status(externalErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/external/:trackId
+// @desc    Get one track from an external provider
+// @access  Private (music:import)
+router.get('/external/:trackId', authenticateToken, requirePermission('music:import'), async (req, res) => {
+  try {
+    const result = await ExternalMusicService.getTrack(req.query.provider, req.params.trackId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('External track error:', error);
+    res.status(externalErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/import/midi/tracks
+// @desc    Inspect a MIDI file and list its tracks before importing
+// @access  Private
+router.post('/import/midi/tracks', authenticateToken, uploadMidi, async (req, res) => {
+  try {
+    const analysis = MidiService.analyze(req.file.buffer);
+
+    res.json({
+      success: true,
+      format: analysis.format,
+      bpm: Math.round(analysis.bpm),
+      timeSignature: analysis.timeSignature,
+      keySignature: analysis.keySignature,
+      tracks: MidiService.summarizeTracks(analysis),
+      defaultTracks: MidiService.getDefaultTracks(analysis)
+    });
+
+  } catch (error) {
+    console.error('Inspect MIDI error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/import/midi
+// @desc    Import a MIDI file as a draft music chart
+// @access  Private
+router.post('/import/midi', authenticateToken, uploadMidi, async (req, res) => {
+  try {
+    const { title, artist, album, genre, audioUrl, licensingType, tracks } = req.body;
+
+    if (!title || !artist || !genre) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, artist and genre are required'
+      });
+    }
+
+    const result = await MidiService.importMidi(req.file.buffer, req.user._id, {
+      title,
+      artist,
+      album,
+      genre,
+      audioUrl,
+      licensingType,
+      tracks: parseTrackList(tracks)
+    });
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Import MIDI error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/lint
+// @desc    Lint a chart: a saved song ({ musicId }) or unsaved notes
+// @access  Private
+router.post('/lint', authenticateToken, async (req, res) => {
+  try {
+    const { musicId, notes, sections, tempo, keyCount, hands } = req.body;
+
+    if (musicId) {
+      const music = await Music.findById(musicId);
+
+      const canView = music && (music.status === 'published' ||
+        ChartService.canEdit(music, req.user) || ModerationService.isModerator(req.user));
+      if (!canView) {
+        return res.status(404).json({
+          success: false,
+          message: 'Music not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        lint: ChartLintService.lintMusic(music)
+      });
+    }
+
+    if (!Array.isArray(notes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either musicId or a notes array is required'
+      });
+    }
+
+    if (hands !== undefined && !['one', 'two'].includes(hands)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hands must be one or two'
+      });
+    }
+
+    res.json({
+      success: true,
+      lint: ChartLintService.lint({
+        notes,
+        sections: Array.isArray(sections) ? sections : [],
+        tempo: parseFloat(tempo) || null,
+        keyCount: parseInt(keyCount) || null,
+        hands
+      })
+    });
+
+  } catch (error) {
+    console.error('Lint chart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error linting chart'
+    });
+  }
+});
+
+// Chart authoring errors: missing chart, not the author, or invalid edit
+const chartErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Not allowed')) return 403;
+  if (error.message.includes('reload and try again')) return 409;
+  return 400;
+};
+
+// @route   POST /api/music
+// @desc    Create a draft chart
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { title, artist, genre } = req.body;
+
+    if (!title || !artist || !genre) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, artist and genre are required'
+      });
+    }
+
+    const result = await ChartService.createDraft(req.user, req.body);
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Create chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/music/:id
+// @desc    Update a draft chart; sheet edits create a new revision
+// @access  Private (author)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await ChartService.updateDraft(req.params.id, req.user, req.body);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Update chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/:id/revisions
+// @desc    List chart revisions, newest first
+// @access  Public (published) / Private (author of drafts)
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const result = await ChartService.getRevisions(
+      req.params.id,
+      req.user,
+      Math.min(parseInt(limit) || 50, 200)
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/:id/revisions/:number
+// @desc    Get a chart revision including its sheet
+// @access  Public (published) / Private (author of drafts)
+router.get('/:id/revisions/:number', optionalAuth, async (req, res) => {
+  try {
+    const result = await ChartService.getRevision(req.params.id, req.user, parseInt(req.params.number));
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/:id/revisions/:number/revert
+// @desc    Restore the sheet of an earlier revision as a new revision
+// @access  Private (author)
+router.post('/:id/revisions/:number/revert', authenticateToken, async (req, res) => {
+  try {
+    const result = await ChartService.revertToRevision(
+      req.params.id,
+      req.user,
+      parseInt(req.params.number),
+      req.body.message
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Revert chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/moderation/queue
+// @desc    Charts waiting for review, oldest first
+// @access  Private (music:publish)
+router.get('/moderation/queue', authenticateToken, requirePermission('music:publish'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await ModerationService.getQueue({ page, limit });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting moderation queue'
+    });
+  }
+});
+
+// @route   POST /api/music/:id/submit
+// @desc    Submit a draft chart for review
+// @access  Private (author)
+router.post('/:id/submit', authenticateToken, async (req, res) => {
+  try {
+    const result = await ModerationService.submitForReview(req.params.id, req.user, req.body.comment);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Submit chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/:id/approve
+// @desc    Approve a pending chart and publish it
+// @access  Private (music:publish)
+router.post('/:id/approve', authenticateToken, requirePermission('music:publish'), async (req, res) => {
+  try {
+    const result = await ModerationService.approve(req.params.id, req.user, req.body.comment);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Approve chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/:id/reject
+// @desc    Send a pending chart back to its author with comments
+// @access  Private (music:publish)
+router.post('/:id/reject', authenticateToken, requirePermission('music:publish'), async (req, res) => {
+  try {
+    const result = await ModerationService.reject(req.params.id, req.user, req.body.comment);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Reject chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/:id/archive
+// @desc    Archive a chart
+// @access  Private (author or moderator)
+router.post('/:id/archive', authenticateToken, async (req, res) => {
+  try {
+    const result = await ModerationService.archive(req.params.id, req.user, req.body.comment);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Archive chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/:id/moderation
+// @desc    Status history of a chart
+// @access  Private (author or moderator)
+router.get('/:id/moderation', authenticateToken, async (req, res) => {
+  try {
+    const result = await ModerationService.getHistory(req.params.id, req.user);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get moderation history error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/issues
+// @desc    Triage list of reported issues across all songs
+// @access  Private (issue:manage)
+router.get('/issues', authenticateToken, requirePermission('issue:manage'), async (req, res) => {
+  try {
+    const { status = 'open', type, assignedTo, musicId, page = 1, limit = 20 } = req.query;
+
+    if (!Object.keys(IssueService.getTransitions()).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid issue status'
+      });
+    }
+
+    if (type && !IssueService.getIssueTypes().includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid issue type'
+      });
+    }
+
+    const result = await IssueService.listIssues({ status, type, assignedTo, musicId, page, limit }, req.user);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('List issues error:', error);
+    res.status(error.message.includes('Invalid') ? 400 : 500).json({
+      success: false,
+      message: error.message.includes('Invalid') ? error.message : 'Error listing issues'
+    });
+  }
+});
+
+// @route   GET /api/music/issues/mine
+// @desc    Issues reported by the current user and their resolution
+// @access  Private
+router.get('/issues/mine', authenticateToken, async (req, res) => {
+  try {
+    const result = await IssueService.getMyReports(req.user._id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting reports'
+    });
+  }
+});
+
+// @route   POST /api/music/issues/:issueId/assign
+// @desc    Assign an issue to a moderator (omit moderatorId to unassign)
+// @access  Private (issue:manage)
+router.post('/issues/:issueId/assign', authenticateToken, requirePermission('issue:manage'), async (req, res) => {
+  try {
+    const { moderatorId } = req.body;
+
+    const result = await IssueService.assignIssue(req.params.issueId, req.user, moderatorId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Assign issue error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/music/issues/:issueId/status
+// @desc    Move an issue to investigating/resolved/rejected (or reopen it)
+// @access  Private (issue:manage)
+router.post('/issues/:issueId/status', authenticateToken, requirePermission('issue:manage'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const result = await IssueService.updateIssueStatus(req.params.issueId, req.user, status, note);
+
+    IssueService.notifyReporter(req.app.get('io'), result);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Update issue error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/music/:id/charts
+// @desc    Difficulty charts available for a song
+// @access  Public
+router.get('/:id/charts', optionalAuth, async (req, res) => {
+  try {
+    const music = await Music.findById(req.params.id).select('status duration difficulty features sheet charts createdBy');
+
+    if (!music || music.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Music not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      charts: ChartGeneratorService.formatCharts(music)
+    });
+
+  } catch (error) {
+    console.error('Get charts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error searching music library'
+      message: 'Error getting charts'
+    });
+  }
+});
+
+// @route   POST /api/music/:id/charts/generate
+// @desc    Generate easier charts from the expert chart
+// @access  Private (author or moderator)
+router.post('/:id/charts/generate', authenticateToken, async (req, res) => {
+  try {
+    const { levels } = req.body;
+
+    if (levels !== undefined && (!Array.isArray(levels) || levels.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Levels must be a non-empty array'
+      });
+    }
+
+    const result = await ChartGeneratorService.generateVariants(req.params.id, req.user, levels);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Generate charts error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/music/:id/charts/:name
+// @desc    Add or replace a named chart (e.g. hard-one-hand) on a draft
+// @access  Private (author)
+router.put('/:id/charts/:name', authenticateToken, async (req, res) => {
+  try {
+    const { level, hands, notes } = req.body;
+
+    const result = await ChartService.saveChart(req.params.id, req.user, req.params.name, { level, hands, notes });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Save chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/music/:id/charts/:name
+// @desc    Remove a named chart from a draft
+// @access  Private (author)
+router.delete('/:id/charts/:name', authenticateToken, async (req, res) => {
+  try {
+    const result = await ChartService.removeChart(req.params.id, req.user, req.params.name);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Remove chart error:', error);
+    res.status(chartErrorStatus(error)).json({
+      success: false,
+      message: error.message
     });
   }
 });
-// {
-//   "access_token": "BQBAAmK3xFTeFDcmT9Mo0Z-0YNFteKMcvkmE4e_pfWiG4tUL10zoOJraNWoIpZcSFZQS9l382Xsc_XUlZUgAxxtviaSkSMOeIm4qQpA_uf_yVUbzC_q2dP3UyO-gyT9myqTMLL8qDT0",
-//   "token_type": "Bearer",
-//   "expires_in": 3600
-// }
 
 // @route   GET /api/music/:id
 // @desc    Get music details
 // @access  Public
-router.get('/:id', optionalAuth, async (req, res) => {
+// Only 24-hex ids match, so the static routes declared below (/trending, /new-releases, ...) are not shadowed
+router.get('/:id([0-9a-fA-F]{24})', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // const music = await Music.findById(id);
-    
-    // if (!music || music.status !== 'published') {
-    //   return res.status(404).json({
-    //     success: false,
-    //     message: 'Music not found'
-    //   });
-    // }
-
-    // // Check premium access
-    // if (music.availability.premium && (!req.user || !req.user.subscriptions.premium.active)) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: 'Premium subscription required',
-    //     premium: true
-    //   });
-    // }
-
-    // // Get user's best score for this music
-    // let userBestScore = null;
-    // if (req.user) {
-    //   const Game = require('../models/Game');
-    //   const bestGame = await Game.findOne({
-    //     userId: req.user._id,
-    //     musicId: id,
-    //     'session.status': 'completed'
-    //   }).sort({ 'scoring.totalScore': -1 });
-      
-    //   if (bestGame) {
-    //     userBestScore = {
-    //       score: bestGame.scoring.totalScore,
-    //       accuracy: bestGame.gameplay.accuracy,
-    //       achievedAt: bestGame.createdAt
-    //     };
-    //   }
-    // }
-
-    // res.json({
-    //   success: true,
-    //   music: {
-    //     ...music.toObject(),
-    //     userBestScore
-    //   }
-    // });
-    // https://api.jamendo.com/v3.0/tracks?client_id=86025b4a&id=169
-    const response = await axios.get(`${process.env.MUSIC_API_URL}/tracks?client_id=${process.env.MUSIC_API_KEY}&id=${id}`);
-    // const accessToken = process.env.MUSIC_API_ACCESS_TOKEN;
-    // const response = await axios.get(`${process.env.MUSIC_API_URL}/tracks/${id}`, {
-    //   headers: {
-    //     Authorization: `Bearer ${accessToken}`
-    //   }
-    // });
-    console.log('Music API response:', response.data);
-    if (!response.data || !response.data.results || response.data.results.length === 0) {
+    const music = await Music.findById(id).select('-quality.issues');
+
+    // Authors and moderators can also open charts that are not published yet
+    const canView = music && (music.status === 'published' ||
+      ChartService.canEdit(music, req.user) || ModerationService.isModerator(req.user));
+
+    if (!canView) {
       return res.status(404).json({
         success: false,
         message: 'Music not found'
       });
     }
-    const track = response.data.results[0];
+
+    // Check premium access
+    if (music.availability.premium && (!req.user || !req.user.subscriptions.premium.active)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Premium subscription required',
+        premium: true
+      });
+    }
+
+    // Get user's best score for this music
+    let userBestScore = null;
+    if (req.user) {
+      const bestGame = await Game.findOne({
+        userId: req.user._id,
+        musicId: id,
+        'session.status': 'completed'
+      }).sort({ 'scoring.totalScore': -1 });
+
+      if (bestGame) {
+        userBestScore = {
+          score: bestGame.scoring.totalScore,
+          accuracy: bestGame.gameplay.accuracy,
+          chart: bestGame.chart,
+          achievedAt: bestGame.createdAt
+        };
+      }
+    }
+
     res.json({
       success: true,
       music: {
-        _id: track.id,
-        title: track.name,
-        artist: track.artist_name,
-        genre: track.genre || 'unknown',
-        duration: track.duration,
-        audioUrl: track.audiodownload,
-        statistics: {
-          playCount: track.statistics ? track.statistics.playCount : 0,
-          averageScore: track.statistics ? track.statistics.averageScore : 0
-        },
-        trending: track.trending || false,
-        featured: track.featured || false,
-        tags: track.tags || []
-        // _id: track.id,
-        //   title: track.name,
-        //   artist: track.artists[0].name,
-        //   genre: track.album ? track.album.name : 'unknown',
-        //   duration: track.duration_ms,
-        //   audioUrl: track.uri || null,
-        //   statistics: {
-        //     playCount: track.popularity || 0,
-        //     averageScore: 0 // Placeholder, as Spotify doesn't provide this
-        //   },
-        //   trending: false, // Placeholder, as Spotify doesn't provide this
-        //   featured: false, // Placeholder, as Spotify doesn't provide this
-        //   tags: track.available_markets || []
-       
+        ...music.toObject(),
+        userBestScore
       }
     });
 
@@ -357,6 +801,55 @@ router.get('/:id/preview', async (req, res) => {
   }
 });
 
+// @route   GET /api/music/:id/export
+// @desc    Download a song chart as Standard MIDI or MusicXML
+// @access  Private
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'midi' } = req.query;
+
+    if (!['midi', 'musicxml'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be midi or musicxml'
+      });
+    }
+
+    const file = await ChartExportService.exportChart(id, req.user, format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+      'Content-Length': file.body.length
+    });
+    res.send(file.body);
+
+  } catch (error) {
+    console.error('Export chart error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Music not found'
+      });
+    }
+
+    if (error.message.includes('Premium') || error.message.includes('not licensed')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message.replace('Failed to export chart: ', ''),
+        premium: error.message.includes('Premium')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting chart'
+    });
+  }
+});
+
 // @route   GET /api/music/trending
 // @desc    Get trending music
 // @access  Public
@@ -569,31 +1062,38 @@ router.post('/:id/report', authenticateToken, async (req, res) => {
       });
     }
 
-    const validTypes = ['audio_quality', 'sync_issue', 'wrong_notes', 'copyright', 'inappropriate'];
-    if (!validTypes.includes(type)) {
+    if (!IssueService.getIssueTypes().includes(type)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid issue type'
       });
     }
 
-    const music = await Music.findById(id);
-    if (!music) {
-      return res.status(404).json({
-        success: false,
-        message: 'Music not found'
-      });
-    }
-
-    await music.reportIssue(type, description, req.user._id);
+    const result = await IssueService.reportIssue(id, req.user, type, description);
 
     res.json({
       success: true,
-      message: 'Issue reported successfully'
+      message: 'Issue reported successfully',
+      issueId: result.issue._id
     });
 
   } catch (error) {
     console.error('Report music error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Music not found'
+      });
+    }
+
+    if (error.message.includes('already reported')) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already reported this issue'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error reporting issue'
@@ -754,13 +1254,13 @@ router.get('/charts/top', optionalAuth, async (req, res) => {
         break;
     }
 
-    const Game = require('../models/Game');
     
     // Get top played songs in the period
     const topCharts = await Game.aggregate([
       {
         $match: {
           'session.status': 'completed',
+          mode: { $ne: 'practice' },
           ...(Object.keys(dateFilter).length > 0 && { createdAt: dateFilter })
         }
       },
@@ -869,11 +1369,39 @@ router.get('/random', optionalAuth, async (req, res) => {
 
 // @route   GET /api/music/:id/leaderboard
 // @desc    Get leaderboard for specific music
-// @access  Public
-router.get('/:id/leaderboard', async (req, res) => {
+// @access  Public (friends scope and "my rank" need login)
+router.get('/:id/leaderboard', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, chart = 'main', period = 'all', scope = 'global', country, neighbours = 2 } = req.query;
+
+    if (!['all', 'month', 'week'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be all, month or week'
+      });
+    }
+
+    if (!['global', 'friends'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be global or friends'
+      });
+    }
+
+    if (scope === 'friends' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login required for friends leaderboard'
+      });
+    }
+
+    if (country && !/^[a-zA-Z]{2}$/.test(country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Country must be a 2-letter code'
+      });
+    }
 
     const music = await Music.findById(id);
     if (!music) {
@@ -883,63 +1411,30 @@ router.get('/:id/leaderboard', async (req, res) => {
       });
     }
 
-    const Game = require('../models/Game');
-    
-    const leaderboard = await Game.aggregate([
-      {
-        $match: {
-          musicId: music._id,
-          'session.status': 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: '$userId',
-          bestScore: { $max: '$scoring.totalScore' },
-          bestAccuracy: { $max: '$gameplay.accuracy' },
-          totalPlays: { $sum: 1 },
-          lastPlayed: { $max: '$createdAt' }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      {
-        $unwind: '$user'
-      },
-      {
-        $project: {
-          userId: '$_id',
-          username: '$user.username',
-          avatar: '$user.avatar',
-          level: '$user.statistics.level',
-          bestScore: 1,
-          bestAccuracy: 1,
-          totalPlays: 1,
-          lastPlayed: 1
-        }
-      },
-      {
-        $sort: { bestScore: -1, bestAccuracy: -1 }
-      },
-      {
-        $limit: parseInt(limit)
-      }
-    ]);
+    if (!music.getChart(chart)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chart not found'
+      });
+    }
+
+    const result = await LeaderboardService.getLeaderboard(music._id, {
+      chart,
+      period,
+      scope,
+      country,
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 10)),
+      neighbours: Math.min(10, Math.max(0, parseInt(neighbours) || 0)),
+      viewer: req.user || null
+    });
 
     res.json({
-      success: true,
+      ...result,
       music: {
         id: music._id,
         title: music.title,
         artist: music.artist
-      },
-      leaderboard
+      }
     });
 
   } catch (error) {
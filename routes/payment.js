@@ -1,6 +1,6 @@
 
 const express = require('express');
-const { authenticateToken, requireKYC } = require('../middleware/auth');
+const { authenticateToken, requireKYC, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
 const PaymentService = require('../services/paymentService');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
@@ -20,8 +20,8 @@ const paymentLimiter = rateLimit({
 
 // @route   POST /api/payment/withdraw
 // @desc    Request withdrawal
-// @access  Private (KYC required)
-router.post('/withdraw', authenticateToken, requireKYC('verified'), paymentLimiter, async (req, res) => {
+// @access  Private (verified email and KYC required, 2FA code when enabled)
+router.post('/withdraw', authenticateToken, requireVerifiedEmail, requireKYC('verified'), paymentLimiter, requireTwoFactor, async (req, res) => {
   try {
     const { amount, method, accountInfo } = req.body;
 
@@ -0,0 +1,52 @@
+// Bootstrap the first admin account.
+//
+//   npm run create-admin -- --email admin@example.com
+//       promotes an existing user
+//   ADMIN_PASSWORD=... npm run create-admin -- --email admin@example.com --username admin
+//       creates the user when it does not exist yet
+//
+// Values may also come from ADMIN_EMAIL / ADMIN_USERNAME / ADMIN_PASSWORD (keeps the
+// password out of shell history). Refuses to run when an admin exists, unless --force.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const AdminService = require('../services/adminService');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      args.force = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  try {
+    const result = await AdminService.bootstrapAdmin({
+      email: args.email || process.env.ADMIN_EMAIL,
+      username: args.username || process.env.ADMIN_USERNAME,
+      password: args.password || process.env.ADMIN_PASSWORD,
+      force: !!args.force
+    });
+
+    console.log(`${result.created ? 'Created' : 'Promoted'} admin ${result.user.username} <${result.user.email}>`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main();
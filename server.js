@@ -6,6 +6,7 @@ const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const { securityHeaders } = require('./middleware/auth');
 const GameService = require('./services/gameService');
+const MatchService = require('./services/matchService');
 const cron = require('node-cron');
 
 // Load environment variables
@@ -115,6 +116,7 @@ app.use('/api/game', require('./routes/game'));
 app.use('/api/music', require('./routes/music'));
 app.use('/api/payment', require('./routes/payment'));
 app.use('/api/spotify', require('./routes/spotify'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Socket.IO setup for real-time game features
 const http = require('http');
@@ -127,6 +129,9 @@ const io = socketIo(server, {
   pingInterval: 25000
 });
 
+// Expose io to routes that need to broadcast (e.g. match results)
+app.set('io', io);
+
 // Socket.IO middleware for authentication
 io.use(async (socket, next) => {
   try {
@@ -137,6 +142,9 @@ io.use(async (socket, next) => {
 
     const jwt = require('jsonwebtoken');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type === 'refresh') {
+      return next(new Error('Authentication failed'));
+    }
     
     const User = require('./models/User');
     const user = await User.findById(decoded.userId);
@@ -145,7 +153,16 @@ io.use(async (socket, next) => {
       return next(new Error('Invalid user'));
     }
 
+    // Same rules as authenticateToken: revoked or logged-out sessions cannot connect
+    const SessionService = require('./services/sessionService');
+    const session = !user.isTokenRevoked(decoded.iat) && await SessionService.getActiveSession(decoded);
+    if (!session) {
+      return next(new Error('Session has been revoked'));
+    }
+
     socket.userId = user._id.toString();
+    socket.data.userId = socket.userId; // Visible through fetchSockets()
+    socket.authSessionId = session._id.toString();
     socket.user = user;
     next();
   } catch (error) {
@@ -153,12 +170,31 @@ io.use(async (socket, next) => {
   }
 });
 
+// Spectators receive the player's feed after a delay so it can't be used to assist them
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS) || 3000;
+
+const broadcastToSpectators = (sessionId, event, payload) => {
+  setTimeout(() => {
+    io.to(`spectate_${sessionId}`).emit(event, payload);
+  }, SPECTATOR_DELAY_MS);
+};
+
+const emitSpectatorCount = async (sessionId) => {
+  const spectators = await io.in(`spectate_${sessionId}`).fetchSockets();
+  io.to(`game_${sessionId}`).to(`spectate_${sessionId}`).emit('spectator_count', {
+    sessionId,
+    spectators: spectators.length
+  });
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`User ${socket.user.username} connected`);
 
   // Join user-specific room
   socket.join(`user_${socket.userId}`);
+  // Lets remote logout drop this connection (SessionService.disconnectSockets)
+  socket.join(`auth_session_${socket.authSessionId}`);
 
   // Handle game session events
   socket.on('join_game', async (data) => {
@@ -180,13 +216,24 @@ io.on('connection', (socket) => {
   // Handle real-time keystroke events
   socket.on('keystroke', async (data) => {
     try {
-      const { sessionId, key, timestamp, accuracy, reactionTime } = data;
+      const { sessionId, key, timestamp, accuracy, reactionTime } = data || {};
+
+      // Only the player who joined the session may send input
+      if (!socket.rooms.has(`game_${sessionId}`)) {
+        return socket.emit('game_error', { message: 'Join the game session first' });
+      }
+
+      // Same checks as the REST keystroke route
+      const inputError = GameService.validateKeystrokeInput({ key, timestamp, accuracy });
+      if (inputError) {
+        return socket.emit('game_error', { message: inputError });
+      }
       
       const result = await GameService.processKeystroke(sessionId, {
         key,
         timestamp,
         accuracy,
-        reactionTime
+        reactionTime: reactionTime || 0
       });
 
       // Emit to game room for multiplayer features (future)
@@ -197,6 +244,24 @@ io.on('connection', (socket) => {
       });
 
       socket.emit('keystroke_result', result);
+
+      broadcastToSpectators(sessionId, 'keystroke_result', {
+        userId: socket.userId,
+        username: socket.user.username,
+        ...result
+      });
+
+      // Live score for versus matches
+      if (result.matchId) {
+        io.to(`match_${result.matchId}`).emit('match_score_update', {
+          matchId: result.matchId,
+          userId: socket.userId,
+          username: socket.user.username,
+          totalScore: result.totalScore,
+          combo: result.combo,
+          accuracy: result.accuracy
+        });
+      }
     } catch (error) {
       socket.emit('game_error', { message: error.message });
     }
@@ -205,16 +270,157 @@ io.on('connection', (socket) => {
   // Handle game state updates
   socket.on('game_state_update', (data) => {
     const { sessionId, state } = data;
-    socket.to(`game_${sessionId}`).emit('player_state_update', {
+
+    if (!socket.rooms.has(`game_${sessionId}`)) {
+      return socket.emit('game_error', { message: 'Join the game session first' });
+    }
+
+    const update = {
       userId: socket.userId,
       username: socket.user.username,
       state
-    });
+    };
+
+    socket.to(`game_${sessionId}`).emit('player_state_update', update);
+    broadcastToSpectators(sessionId, 'player_state_update', update);
+  });
+
+  // Spectator mode (read-only, delayed feed)
+  socket.on('spectate', async (data = {}) => {
+    try {
+      const { sessionId } = data;
+      const snapshot = await GameService.getSpectatableSession(sessionId, socket.userId);
+
+      socket.join(`spectate_${sessionId}`);
+      socket.emit('spectate_joined', {
+        ...snapshot,
+        delay: SPECTATOR_DELAY_MS
+      });
+
+      await emitSpectatorCount(sessionId);
+    } catch (error) {
+      socket.emit('spectate_error', { message: error.message });
+    }
+  });
+
+  socket.on('stop_spectating', async (data = {}) => {
+    try {
+      const { sessionId } = data;
+
+      socket.leave(`spectate_${sessionId}`);
+      socket.emit('spectate_left', { sessionId });
+
+      await emitSpectatorCount(sessionId);
+    } catch (error) {
+      socket.emit('spectate_error', { message: error.message });
+    }
+  });
+
+  // Rooms are gone by 'disconnect', remember spectated sessions for the count update
+  socket.on('disconnecting', () => {
+    socket.data.spectating = [...socket.rooms]
+      .filter(room => room.startsWith('spectate_'))
+      .map(room => room.replace('spectate_', ''));
+  });
+
+  // Multiplayer versus rooms
+  socket.on('create_room', async (data = {}) => {
+    try {
+      const match = await MatchService.createRoom(socket.userId, data.musicId, data.settings);
+
+      socket.join(`match_${match._id}`);
+      socket.data.roomCode = match.roomCode;
+      socket.emit('room_created', match.toRoomState());
+    } catch (error) {
+      socket.emit('room_error', { message: error.message });
+    }
+  });
+
+  socket.on('join_room', async (data = {}) => {
+    try {
+      const match = await MatchService.joinRoom(data.roomCode, socket.userId);
+
+      socket.join(`match_${match._id}`);
+      socket.data.roomCode = match.roomCode;
+      io.to(`match_${match._id}`).emit('room_update', match.toRoomState());
+    } catch (error) {
+      socket.emit('room_error', { message: error.message });
+    }
+  });
+
+  socket.on('leave_room', async (data = {}) => {
+    try {
+      const result = await MatchService.leaveRoom(data.roomCode || socket.data.roomCode, socket.userId);
+
+      socket.leave(`match_${result.match._id}`);
+      socket.data.roomCode = null;
+      socket.emit('room_left', { roomCode: result.match.roomCode });
+      MatchService.emitResult(io, result);
+    } catch (error) {
+      socket.emit('room_error', { message: error.message });
+    }
+  });
+
+  socket.on('room_ready', async (data = {}) => {
+    try {
+      const match = await MatchService.setReady(data.roomCode, socket.userId, data.ready !== false);
+      io.to(`match_${match._id}`).emit('room_update', match.toRoomState());
+    } catch (error) {
+      socket.emit('room_error', { message: error.message });
+    }
+  });
+
+  socket.on('start_match', async (data = {}) => {
+    try {
+      const { match, sessions } = await MatchService.startMatch(data.roomCode, socket.userId);
+      const room = `match_${match._id}`;
+
+      io.to(room).emit('match_countdown', {
+        matchId: match._id,
+        roomCode: match.roomCode,
+        startsAt: match.countdown.startsAt,
+        serverTime: new Date()
+      });
+
+      // Each player receives their own game session
+      sessions.forEach(({ userId, game }) => {
+        io.to(`user_${userId}`).emit('match_session', {
+          matchId: match._id,
+          startsAt: match.countdown.startsAt,
+          game
+        });
+      });
+
+      MatchService.scheduleStart(io, match);
+    } catch (error) {
+      socket.emit('room_error', { message: error.message });
+    }
   });
 
   // Handle disconnect
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     console.log(`User ${socket.user.username} disconnected`);
+
+    (socket.data.spectating || []).forEach(sessionId => {
+      emitSpectatorCount(sessionId).catch(error => console.error('Spectator count error:', error));
+    });
+
+    // Leave the room unless the player is still connected from another socket;
+    // during countdown or play this forfeits their game so the match can finish
+    if (socket.data.roomCode) {
+      try {
+        const match = await MatchService.getRoom(socket.data.roomCode);
+        const sockets = await io.in(`match_${match._id}`).fetchSockets();
+        const stillConnected = sockets.some(s => s.data.userId === socket.userId);
+
+        if (!stillConnected) {
+          const result = await MatchService.leaveRoom(match.roomCode, socket.userId);
+          MatchService.emitResult(io, result);
+        }
+      } catch (error) {
+        // Room already closed
+      }
+    }
   });
 
   // Handle errors
@@ -281,17 +487,53 @@ app.use('*', (req, res) => {
 });
 
 // Scheduled tasks
-if (process.env.NODE_ENV === 'production') {
-  // Clean up expired game sessions every 30 minutes
-  cron.schedule('*/30 * * * *', async () => {
-    try {
-      console.log('Running cleanup job...');
-      const cleanedUp = await GameService.cleanupExpiredSessions();
-      console.log(`Cleaned up ${cleanedUp} expired sessions`);
-    } catch (error) {
-      console.error('Cleanup job error:', error);
+// Game state jobs run everywhere: matches, streaks and seasons depend on them
+// Clean up expired game sessions every 30 minutes, forfeiting them in their matches
+cron.schedule('*/30 * * * *', async () => {
+  try {
+    console.log('Running cleanup job...');
+    const cleanedUp = await GameService.cleanupExpiredSessions();
+    console.log(`Cleaned up ${cleanedUp} expired sessions`);
+
+    const resolved = await MatchService.resolveStaleMatches();
+    resolved.forEach(result => MatchService.emitResult(io, result));
+
+    const completions = await GameService.retryFailedCompletions();
+    if (completions.retried > 0) {
+      console.log(`Retried completion of ${completions.retried} game(s), ${completions.recovered} recovered`);
     }
-  });
+  } catch (error) {
+    console.error('Cleanup job error:', error);
+  }
+});
+
+// Apply streak freezes or reset broken streaks at each user's local midnight
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const StreakService = require('./services/streakService');
+    const { frozen, reset } = await StreakService.resetBrokenStreaks();
+    if (frozen || reset) {
+      console.log(`Streaks: ${frozen} frozen, ${reset} reset`);
+    }
+  } catch (error) {
+    console.error('Streak reset job error:', error);
+  }
+});
+
+// Close expired ranked seasons and pay out season rewards
+cron.schedule('5 * * * *', async () => {
+  try {
+    const RankedService = require('./services/rankedService');
+    const result = await RankedService.rolloverSeasons();
+    if (result.ended > 0) {
+      console.log(`Ended ${result.ended} season(s), rewarded ${result.distributed} players`);
+    }
+  } catch (error) {
+    console.error('Season rollover error:', error);
+  }
+});
+
+if (process.env.NODE_ENV === 'production') {
 
   // Update crypto prices every hour
   cron.schedule('0 * * * *', async () => {
@@ -358,6 +600,11 @@ process.on('unhandledRejection', (reason, promise) => {
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
+  // Countdowns that were running when the server stopped
+  MatchService.recoverCountdowns(io)
+    .then(count => count > 0 && console.log(`Resumed ${count} match countdown(s)`))
+    .catch(error => console.error('Match recovery error:', error));
+
   console.log(`
 🎹 BigCoin Piano Mining Game Backend
 🚀 Server running on port ${PORT}
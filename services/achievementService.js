@@ -0,0 +1,341 @@
+const Achievement = require('../models/Achievement');
+const UserAchievement = require('../models/UserAchievement');
+const Transaction = require('../models/Transaction');
+
+// Recent games remembered per user achievement; covers the completion retry window
+const COUNTED_GAMES_LIMIT = 100;
+
+// Default catalog, inserted once and then editable in the collection
+const DEFAULT_ACHIEVEMENTS = [
+  {
+    key: 'games_played',
+    name: 'Piano Player',
+    description: 'Complete games',
+    category: 'dedication',
+    criteria: { metric: 'gamesPlayed' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 1, reward: { coins: 50, experience: 100 } },
+      { level: 2, name: 'silver', threshold: 25, reward: { coins: 150, experience: 300 } },
+      { level: 3, name: 'gold', threshold: 100, reward: { coins: 500, experience: 1000 } }
+    ]
+  },
+  {
+    key: 'perfect_combo',
+    name: 'Combo Master',
+    description: 'Reach a high combo in a single game',
+    category: 'skill',
+    criteria: { metric: 'maxCombo' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 50, reward: { coins: 100, experience: 150 } },
+      { level: 2, name: 'silver', threshold: 100, reward: { coins: 200, experience: 300 } },
+      { level: 3, name: 'gold', threshold: 250, reward: { coins: 400, experience: 600 } }
+    ]
+  },
+  {
+    key: 'accuracy_master',
+    name: 'Accuracy Master',
+    description: 'Finish a game with high accuracy',
+    category: 'skill',
+    criteria: { metric: 'accuracy', minNotes: 50 },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 90, reward: { coins: 75, experience: 150 } },
+      { level: 2, name: 'silver', threshold: 95, reward: { coins: 100, experience: 200 } },
+      { level: 3, name: 'gold', threshold: 98, reward: { coins: 150, experience: 250 } }
+    ]
+  },
+  {
+    key: 'speed_demon',
+    name: 'Speed Demon',
+    description: 'Play at lightning speed',
+    category: 'skill',
+    criteria: { metric: 'notesPerSecond', minNotes: 50 },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 4, reward: { coins: 50, experience: 100 } },
+      { level: 2, name: 'silver', threshold: 6, reward: { coins: 100, experience: 200 } }
+    ]
+  },
+  {
+    key: 'endurance_player',
+    name: 'Endurance Player',
+    description: 'Play long songs to the end',
+    category: 'dedication',
+    criteria: { metric: 'sessionDuration' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 180, reward: { coins: 40, experience: 80 } },
+      { level: 2, name: 'silver', threshold: 300, reward: { coins: 75, experience: 150 } }
+    ]
+  },
+  {
+    key: 'daily_streak',
+    name: 'Daily Devotion',
+    description: 'Play on consecutive days',
+    category: 'dedication',
+    criteria: { metric: 'playStreak' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 3, reward: { coins: 50, experience: 100 } },
+      { level: 2, name: 'silver', threshold: 7, reward: { coins: 150, experience: 300 } },
+      { level: 3, name: 'gold', threshold: 30, reward: { coins: 600, experience: 1200 } }
+    ]
+  },
+  {
+    key: 'genre_explorer',
+    name: 'Genre Explorer',
+    description: 'Complete songs from different genres',
+    category: 'exploration',
+    criteria: { metric: 'genresCompleted' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 3, reward: { coins: 60, experience: 120 } },
+      { level: 2, name: 'silver', threshold: 6, reward: { coins: 120, experience: 240 } },
+      { level: 3, name: 'gold', threshold: 10, reward: { coins: 300, experience: 600 } }
+    ]
+  },
+  {
+    key: 'score_collector',
+    name: 'Score Collector',
+    description: 'Accumulate points across all games',
+    category: 'dedication',
+    criteria: { metric: 'totalScore' },
+    tiers: [
+      { level: 1, name: 'bronze', threshold: 100000, reward: { coins: 100, experience: 200 } },
+      { level: 2, name: 'silver', threshold: 1000000, reward: { coins: 500, experience: 1000 } }
+    ]
+  }
+];
+
+let seeded = null;
+
+class AchievementService {
+
+  // Insert default definitions once per process
+  static ensureDefaults() {
+    if (!seeded) {
+      seeded = Achievement.seedDefaults(DEFAULT_ACHIEVEMENTS).catch(error => {
+        seeded = null;
+        throw error;
+      });
+    }
+    return seeded;
+  }
+
+  // Compute the new progress value of an achievement after a game
+  static calculateProgress(achievement, userAchievement, game, music, user) {
+    const { metric, minNotes } = achievement.criteria;
+    const progress = userAchievement.progress;
+
+    // Game-level metrics only count for games with enough notes
+    const qualifies = game.gameplay.totalNotes >= (minNotes || 0);
+
+    switch (metric) {
+      case 'accuracy':
+        return qualifies ? Math.max(progress, game.gameplay.accuracy) : progress;
+      case 'maxCombo':
+        return qualifies ? Math.max(progress, game.gameplay.maxCombo) : progress;
+      case 'notesPerSecond':
+        return qualifies ? Math.max(progress, game.notesPerSecond) : progress;
+      case 'sessionDuration':
+        return qualifies ? Math.max(progress, game.session.duration) : progress;
+      case 'gamesPlayed':
+        return progress + 1;
+      case 'totalScore':
+        return progress + game.scoring.totalScore;
+      // Same streak as the daily bonus (user's timezone, freezes), kept by StreakService
+      case 'playStreak':
+        return Math.max(progress, user.streak.current);
+      case 'genresCompleted': {
+        const state = userAchievement.state;
+        if (music && music.genre && !state.genres.includes(music.genre)) {
+          state.genres.push(music.genre);
+        }
+        return state.genres.length;
+      }
+      default:
+        return progress;
+    }
+  }
+
+  // Grant a tier reward exactly once
+  static async grantTier(user, achievement, userAchievement, tier, gameId) {
+    // Atomic guard: only the request that adds the tier grants the reward
+    const result = await UserAchievement.updateOne(
+      { _id: userAchievement._id, 'tiers.level': { $ne: tier.level } },
+      {
+        $push: {
+          tiers: {
+            level: tier.level,
+            gameId,
+            reward: tier.reward
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    let transaction = null;
+    if (tier.reward.coins > 0) {
+      await user.addCoins(tier.reward.coins, 'bonus');
+
+      transaction = new Transaction({
+        userId: user._id,
+        type: 'bonus',
+        amount: tier.reward.coins,
+        currency: 'BIGCOIN',
+        description: `Achievement unlocked: ${achievement.name} (${tier.name || `tier ${tier.level}`})`,
+        status: 'completed',
+        metadata: {
+          gameId,
+          achievement: {
+            key: achievement.key,
+            level: tier.level
+          }
+        },
+        audit: {
+          createdBy: 'system'
+        }
+      });
+
+      await transaction.save();
+
+      await UserAchievement.updateOne(
+        { _id: userAchievement._id, 'tiers.level': tier.level },
+        { $set: { 'tiers.$.transactionId': transaction.transactionId } }
+      );
+    }
+
+    if (tier.reward.experience > 0) {
+      await user.addExperience(tier.reward.experience);
+    }
+
+    return {
+      achievementId: achievement._id,
+      key: achievement.key,
+      name: achievement.name,
+      description: achievement.description,
+      level: tier.level,
+      tier: tier.name,
+      reward: tier.reward,
+      transactionId: transaction ? transaction.transactionId : null
+    };
+  }
+
+  // Update progress for every achievement after a completed game
+  static async processGameCompletion(user, game, music) {
+    try {
+      await this.ensureDefaults();
+
+      const catalog = await Achievement.getCatalog();
+      const existing = await UserAchievement.find({ userId: user._id });
+      const byAchievement = new Map(existing.map(ua => [ua.achievementId.toString(), ua]));
+
+      const unlocked = [];
+
+      for (const achievement of catalog) {
+        let userAchievement = byAchievement.get(achievement._id.toString());
+        if (!userAchievement) {
+          userAchievement = new UserAchievement({
+            userId: user._id,
+            achievementId: achievement._id,
+            key: achievement.key
+          });
+        }
+
+        // A retried step skips achievements this game already counted towards,
+        // but still grants tiers that were reached and not granted yet
+        const counted = userAchievement.countedGameIds.some(id => id.equals(game._id));
+        if (!counted) {
+          userAchievement.progress = this.calculateProgress(achievement, userAchievement, game, music, user);
+          userAchievement.countedGameIds.push(game._id);
+          if (userAchievement.countedGameIds.length > COUNTED_GAMES_LIMIT) {
+            userAchievement.countedGameIds = userAchievement.countedGameIds.slice(-COUNTED_GAMES_LIMIT);
+          }
+          await userAchievement.save();
+        }
+
+        const newTiers = achievement.getReachedTiers(userAchievement.progress)
+          .filter(tier => !userAchievement.hasTier(tier.level));
+
+        for (const tier of newTiers) {
+          const granted = await this.grantTier(user, achievement, userAchievement, tier, game._id);
+          if (granted) {
+            unlocked.push(granted);
+          }
+        }
+      }
+
+      return unlocked;
+
+    } catch (error) {
+      throw new Error(`Failed to update achievements: ${error.message}`);
+    }
+  }
+
+  // Catalog with the user's progress
+  static async getUserAchievements(userId) {
+    try {
+      await this.ensureDefaults();
+
+      const catalog = await Achievement.getCatalog();
+      const progress = await UserAchievement.find({ userId });
+      const byAchievement = new Map(progress.map(ua => [ua.achievementId.toString(), ua]));
+
+      let unlockedTiers = 0;
+      let totalTiers = 0;
+      let latestUnlocked = null;
+
+      const achievements = catalog.map(achievement => {
+        const userAchievement = byAchievement.get(achievement._id.toString());
+        const tiers = userAchievement ? userAchievement.tiers : [];
+        const currentLevel = userAchievement ? userAchievement.currentLevel : 0;
+        const nextTier = achievement.tiers.find(tier => tier.level > currentLevel) || null;
+
+        unlockedTiers += tiers.length;
+        totalTiers += achievement.tiers.length;
+
+        tiers.forEach(tier => {
+          if (!latestUnlocked || tier.unlockedAt > latestUnlocked.unlockedAt) {
+            latestUnlocked = {
+              key: achievement.key,
+              name: achievement.name,
+              level: tier.level,
+              unlockedAt: tier.unlockedAt
+            };
+          }
+        });
+
+        return {
+          id: achievement._id,
+          key: achievement.key,
+          name: achievement.name,
+          description: achievement.description,
+          icon: achievement.icon,
+          category: achievement.category,
+          metric: achievement.criteria.metric,
+          tiers: achievement.tiers,
+          progress: userAchievement ? userAchievement.progress : 0,
+          currentLevel,
+          nextThreshold: nextTier ? nextTier.threshold : null,
+          completed: currentLevel >= achievement.tiers.length,
+          unlocked: tiers
+        };
+      });
+
+      return {
+        success: true,
+        achievements,
+        stats: {
+          total: unlockedTiers,
+          totalPossible: totalTiers,
+          completionRate: totalTiers > 0 ? (unlockedTiers / totalTiers) * 100 : 0,
+          latestUnlocked
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get achievements: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AchievementService;
@@ -0,0 +1,269 @@
+const User = require('../models/User');
+const SessionService = require('./sessionService');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+class AdminService {
+
+  static async findUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.status === 'deleted') {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  // The last admin cannot be demoted, otherwise nobody could grant roles again
+  static async ensureNotLastAdmin(user) {
+    if (user.role !== 'admin') return;
+
+    const admins = await User.countDocuments({ role: 'admin', status: 'active' });
+    if (admins <= 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+  }
+
+  // Change role and/or extra permissions of another user
+  static async setRole(userId, { role, permissions }, actor) {
+    try {
+      if (userId.toString() === actor._id.toString()) {
+        throw new Error('Cannot change your own role');
+      }
+
+      if (role !== undefined && !ROLES.includes(role)) {
+        throw new Error(`Invalid role. Allowed: ${ROLES.join(', ')}`);
+      }
+
+      if (permissions !== undefined) {
+        if (!Array.isArray(permissions)) {
+          throw new Error('Permissions must be an array');
+        }
+        const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+        if (unknown.length > 0) {
+          throw new Error(`Invalid permissions: ${unknown.join(', ')}`);
+        }
+      }
+
+      const user = await this.findUser(userId);
+
+      // No escalation: the actor must already hold everything the target has or gets
+      const actorPermissions = actor.getPermissions();
+      const granted = [
+        ...user.getPermissions(),
+        ...(role !== undefined ? ROLE_PERMISSIONS[role] : []),
+        ...(permissions || [])
+      ];
+      if (granted.some(p => !actorPermissions.includes(p))) {
+        throw new Error('Cannot grant or change permissions you do not have');
+      }
+
+      if (role !== undefined && role !== user.role) {
+        await this.ensureNotLastAdmin(user);
+      }
+
+      user.recordRoleChange(
+        role !== undefined ? role : user.role,
+        permissions !== undefined ? [...new Set(permissions)] : [...user.permissions],
+        actor._id
+      );
+      await user.save();
+
+      return {
+        success: true,
+        user: {
+          id: user._id,
+          username: user.username,
+          role: user.role,
+          permissions: user.permissions,
+          effectivePermissions: user.getPermissions()
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to update role: ${error.message}`);
+    }
+  }
+
+  // Ban signs the user out everywhere; the caller disconnects the returned sessions' sockets
+  static async banUser(userId, reason, actor) {
+    try {
+      if (userId.toString() === actor._id.toString()) {
+        throw new Error('Cannot ban yourself');
+      }
+
+      const user = await this.findUser(userId);
+
+      if (user.role === 'admin') {
+        throw new Error('Admins cannot be banned, change their role first');
+      }
+
+      if (user.status === 'banned') {
+        throw new Error('User is already banned');
+      }
+
+      user.status = 'banned';
+      user.ban = {
+        reason,
+        bannedAt: new Date(),
+        bannedBy: actor._id
+      };
+      await user.save();
+
+      const { revoked } = await SessionService.revokeAll(user._id, 'banned');
+
+      return {
+        success: true,
+        revokedSessions: revoked
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to ban user: ${error.message}`);
+    }
+  }
+
+  static async unbanUser(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.status !== 'banned') {
+        throw new Error('User is not banned');
+      }
+
+      user.status = 'active';
+      user.ban = undefined;
+      await user.save();
+
+      return { success: true };
+
+    } catch (error) {
+      throw new Error(`Failed to unban user: ${error.message}`);
+    }
+  }
+
+  static async getPendingKyc({ page = 1, limit = 20 } = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const filter = { 'kyc.status': 'pending' };
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select('username email kyc createdAt')
+          .sort({ 'kyc.submittedAt': 1 })
+          .skip(skip)
+          .limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      return {
+        success: true,
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get pending KYC: ${error.message}`);
+    }
+  }
+
+  // decision: 'verified' or 'rejected'; documents follow the decision
+  static async reviewKyc(userId, decision, reason, actor) {
+    try {
+      if (!['verified', 'rejected'].includes(decision)) {
+        throw new Error('Invalid decision. Allowed: verified, rejected');
+      }
+
+      if (decision === 'rejected' && !reason) {
+        throw new Error('A reason is required to reject KYC');
+      }
+
+      const user = await this.findUser(userId);
+
+      if (user.kyc.status !== 'pending') {
+        throw new Error('KYC is not pending review');
+      }
+
+      const now = new Date();
+      user.kyc.status = decision;
+      user.kyc.reviewedAt = now;
+      user.kyc.reviewedBy = actor._id;
+      user.kyc.verifiedAt = decision === 'verified' ? now : undefined;
+      user.kyc.rejectionReason = decision === 'rejected' ? reason : undefined;
+      user.kyc.documents.forEach(doc => {
+        if (doc.status === 'pending') {
+          doc.status = decision === 'verified' ? 'approved' : 'rejected';
+        }
+      });
+      await user.save();
+
+      return {
+        success: true,
+        kycStatus: user.kyc.status
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to review KYC: ${error.message}`);
+    }
+  }
+
+  // First admin: promote an existing account, or create one when a password is given.
+  // Refuses when an admin already exists unless `force` is set.
+  static async bootstrapAdmin({ email, username, password, force = false }) {
+    try {
+      if (!email) {
+        throw new Error('Email is required');
+      }
+
+      const existingAdmin = await User.findOne({ role: 'admin' }).select('email');
+      if (existingAdmin && !force) {
+        throw new Error(`An admin already exists (${existingAdmin.email}), use --force to add another`);
+      }
+
+      let user = await User.findOne({ email: email.toLowerCase() });
+      let created = false;
+
+      if (!user) {
+        if (!username || !password) {
+          throw new Error('No user with this email; username and password are required to create one');
+        }
+        if (password.length < MIN_PASSWORD_LENGTH) {
+          throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+        }
+
+        user = new User({
+          username,
+          email: email.toLowerCase(),
+          password,
+          emailVerification: {
+            verified: true,
+            verifiedAt: new Date()
+          }
+        });
+        created = true;
+      }
+
+      user.recordRoleChange('admin', [...(user.permissions || [])]);
+      user.status = 'active';
+      await user.save();
+
+      return {
+        success: true,
+        created,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to bootstrap admin: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AdminService;
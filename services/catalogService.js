@@ -0,0 +1,144 @@
+const Music = require('../models/Music');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+const MAX_TAGS = 10;
+
+class CatalogService {
+
+  // Sort modes for catalog search; relevance needs a text query
+  static getSortModes() {
+    return {
+      relevance: null,
+      popularity: { 'statistics.playCount': -1 },
+      newest: { createdAt: -1 },
+      rating: { 'statistics.averageScore': -1, 'statistics.playCount': -1 },
+      likes: { 'statistics.likeCount': -1 },
+      difficulty: { 'difficulty.rating': 1, 'statistics.playCount': -1 },
+      duration: { duration: 1 },
+      title: { title: 1 }
+    };
+  }
+
+  static hasPremium(user) {
+    return !!user && !!user.subscriptions && user.subscriptions.premium.active;
+  }
+
+  // "a,b" or repeated query params -> trimmed list
+  static parseList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  // Query params -> Mongo filters on top of Music.search's published-only base
+  static buildFilters(params, user) {
+    const filters = {};
+    const genreEnum = Music.schema.path('genre').enumValues;
+    const moodEnum = Music.schema.path('metadata.mood').enumValues;
+
+    const genres = this.parseList(params.genre).map(genre => genre.toLowerCase());
+    const invalidGenre = genres.find(genre => !genreEnum.includes(genre));
+    if (invalidGenre) {
+      throw new Error(`Invalid genre: ${invalidGenre}`);
+    }
+    if (genres.length > 0) {
+      filters.genre = genres.length === 1 ? genres[0] : { $in: genres };
+    }
+
+    const levels = this.parseList(params.difficulty).map(level => level.toLowerCase());
+    const invalidLevel = levels.find(level => !DIFFICULTY_LEVELS.includes(level));
+    if (invalidLevel) {
+      throw new Error(`Invalid difficulty: ${invalidLevel}`);
+    }
+    if (levels.length > 0) {
+      filters['difficulty.level'] = levels.length === 1 ? levels[0] : { $in: levels };
+    }
+
+    if (params.mood) {
+      const mood = String(params.mood).toLowerCase();
+      if (!moodEnum.includes(mood)) {
+        throw new Error(`Invalid mood: ${params.mood}`);
+      }
+      filters['metadata.mood'] = mood;
+    }
+
+    // Every requested tag must be present
+    const tags = this.parseList(params.tags).slice(0, MAX_TAGS);
+    if (tags.length > 0) {
+      filters['metadata.tags'] = { $all: tags };
+    }
+
+    // Duration range in seconds
+    const minDuration = parseInt(params.minDuration);
+    const maxDuration = parseInt(params.maxDuration);
+    if (!isNaN(minDuration) || !isNaN(maxDuration)) {
+      if (!isNaN(minDuration) && !isNaN(maxDuration) && minDuration > maxDuration) {
+        throw new Error('minDuration cannot be greater than maxDuration');
+      }
+      filters.duration = {};
+      if (!isNaN(minDuration)) filters.duration.$gte = minDuration;
+      if (!isNaN(maxDuration)) filters.duration.$lte = maxDuration;
+    }
+
+    // Non-premium users never see premium songs; premium users may filter either way
+    if (!this.hasPremium(user)) {
+      filters['availability.premium'] = false;
+    } else if (params.premium === 'true' || params.premium === 'false') {
+      filters['availability.premium'] = params.premium === 'true';
+    }
+
+    return filters;
+  }
+
+  static async search(params = {}, user) {
+    try {
+      const page = Math.max(1, parseInt(params.page) || 1);
+      const limit = Math.min(50, Math.max(1, parseInt(params.limit) || 12));
+      const query = params.q ? String(params.q).trim() : '';
+
+      const sortModes = this.getSortModes();
+      let sort = params.sort || (query ? 'relevance' : 'popularity');
+      if (!Object.prototype.hasOwnProperty.call(sortModes, sort)) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+      if (sort === 'relevance' && !query) {
+        sort = 'popularity';
+      }
+
+      const filters = this.buildFilters(params, user);
+
+      const { music, total } = await Music.search(query, filters, {
+        sort: sortModes[sort] || undefined,
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      return {
+        success: true,
+        music,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        filters: {
+          query: query || undefined,
+          genre: params.genre,
+          difficulty: params.difficulty,
+          mood: params.mood,
+          tags: params.tags,
+          minDuration: params.minDuration,
+          maxDuration: params.maxDuration,
+          premium: params.premium,
+          sort
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to search music: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CatalogService;
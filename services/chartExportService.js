@@ -0,0 +1,327 @@
+const Music = require('../models/Music');
+const MidiService = require('./midiService');
+
+// Divisions per quarter note: a 32nd-note grid is enough for printed charts
+const DIVISIONS = 8;
+
+const NOTE_TYPES = [
+  { divisions: 32, type: 'whole' },
+  { divisions: 16, type: 'half' },
+  { divisions: 8, type: 'quarter' },
+  { divisions: 4, type: 'eighth' },
+  { divisions: 2, type: '16th' },
+  { divisions: 1, type: '32nd' }
+];
+
+const SECTION_LABELS = {
+  intro: 'Intro',
+  verse: 'Verse',
+  chorus: 'Chorus',
+  bridge: 'Bridge',
+  outro: 'Outro',
+  solo: 'Solo'
+};
+
+class ChartExportService {
+
+  static getFormats() {
+    return {
+      midi: { contentType: 'audio/midi', extension: 'mid' },
+      musicxml: { contentType: 'application/vnd.recordare.musicxml+xml', extension: 'musicxml' }
+    };
+  }
+
+  static escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  // Owners can always export; others need a published, distributable, accessible chart
+  static checkExportPermission(music, user) {
+    const isOwner = music.createdBy && user && music.createdBy.toString() === user._id.toString();
+    if (isOwner) {
+      return;
+    }
+
+    if (music.status !== 'published') {
+      throw new Error('Music not found');
+    }
+
+    if (!music.licensing.usage || !music.licensing.usage.distribution) {
+      throw new Error('This chart is not licensed for distribution');
+    }
+
+    if (music.availability.premium && (!user || !user.subscriptions.premium.active)) {
+      throw new Error('Premium subscription required');
+    }
+  }
+
+  // "C#4" / "Db4" to MusicXML step, alter and octave
+  static keyToPitch(key) {
+    const match = /^([A-G])([#b])?([0-8])$/.exec(key);
+    if (!match) return null;
+    return {
+      step: match[1],
+      alter: match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0,
+      octave: parseInt(match[3])
+    };
+  }
+
+  static getNoteType(duration) {
+    for (const noteType of NOTE_TYPES) {
+      if (duration === noteType.divisions) return { type: noteType.type, dot: false };
+      if (duration === noteType.divisions * 1.5) return { type: noteType.type, dot: true };
+    }
+    return null;
+  }
+
+  // Monophonic timeline of chords and rests on the division grid
+  static buildTimeline(music) {
+    const bpm = music.difficulty.tempo || 120;
+    const toDivisions = ms => Math.round((ms * bpm * DIVISIONS) / 60000);
+
+    const groups = new Map();
+    music.sheet.notes.forEach(note => {
+      if (note.type === 'pause' || !this.keyToPitch(note.key)) return;
+      const start = toDivisions(note.time);
+      const end = Math.max(start + 1, toDivisions(note.time + (note.duration || 100)));
+      if (!groups.has(start)) groups.set(start, { start, end, keys: [] });
+      const group = groups.get(start);
+      group.end = Math.max(group.end, end);
+      if (!group.keys.includes(note.key)) group.keys.push(note.key);
+    });
+
+    const starts = Array.from(groups.keys()).sort((a, b) => a - b);
+    const timeline = [];
+    let position = 0;
+
+    starts.forEach((start, i) => {
+      const group = groups.get(start);
+      if (start > position) {
+        timeline.push({ start: position, duration: start - position, keys: [] });
+      }
+      // A chord lasts until the next onset at most
+      const end = i + 1 < starts.length ? Math.min(group.end, starts[i + 1]) : group.end;
+      timeline.push({ start, duration: end - start, keys: group.keys });
+      position = end;
+    });
+
+    return { timeline, end: position, toDivisions };
+  }
+
+  // Split timeline events at barlines, tying notes across measures
+  static splitIntoMeasures(timeline, end, measureLength) {
+    const measureCount = Math.max(1, Math.ceil(end / measureLength));
+    const measures = Array.from({ length: measureCount }, () => []);
+
+    timeline.forEach(event => {
+      let start = event.start;
+      let remaining = event.duration;
+      let first = true;
+
+      while (remaining > 0) {
+        const index = Math.floor(start / measureLength);
+        const room = (index + 1) * measureLength - start;
+        const length = Math.min(room, remaining);
+
+        measures[index].push({
+          start,
+          duration: length,
+          keys: event.keys,
+          tieStop: !first,
+          tieStart: remaining > length
+        });
+
+        start += length;
+        remaining -= length;
+        first = false;
+      }
+    });
+
+    // Fill the last measure with a rest
+    const last = measures[measureCount - 1];
+    const lastEnd = last.length > 0 ? last[last.length - 1].start + last[last.length - 1].duration : (measureCount - 1) * measureLength;
+    if (lastEnd < measureCount * measureLength) {
+      last.push({ start: lastEnd, duration: measureCount * measureLength - lastEnd, keys: [] });
+    }
+
+    return measures;
+  }
+
+  static renderNote(event, key, isChordMember) {
+    const lines = ['      <note>'];
+    if (isChordMember) lines.push('        <chord/>');
+
+    if (key) {
+      const pitch = this.keyToPitch(key);
+      lines.push('        <pitch>');
+      lines.push(`          <step>${pitch.step}</step>`);
+      if (pitch.alter) lines.push(`          <alter>${pitch.alter}</alter>`);
+      lines.push(`          <octave>${pitch.octave}</octave>`);
+      lines.push('        </pitch>');
+    } else {
+      lines.push('        <rest/>');
+    }
+
+    lines.push(`        <duration>${event.duration}</duration>`);
+    if (key && event.tieStop) lines.push('        <tie type="stop"/>');
+    if (key && event.tieStart) lines.push('        <tie type="start"/>');
+
+    const noteType = this.getNoteType(event.duration);
+    if (noteType) {
+      lines.push(`        <type>${noteType.type}</type>`);
+      if (noteType.dot) lines.push('        <dot/>');
+    }
+
+    if (key && (event.tieStart || event.tieStop)) {
+      lines.push('        <notations>');
+      if (event.tieStop) lines.push('          <tied type="stop"/>');
+      if (event.tieStart) lines.push('          <tied type="start"/>');
+      lines.push('        </notations>');
+    }
+
+    lines.push('      </note>');
+    return lines.join('\n');
+  }
+
+  static renderSection(name) {
+    return [
+      '      <direction placement="above">',
+      '        <direction-type>',
+      `          <rehearsal>${this.escapeXml(SECTION_LABELS[name] || name)}</rehearsal>`,
+      '        </direction-type>',
+      '      </direction>'
+    ].join('\n');
+  }
+
+  // Render a Music chart as a MusicXML 3.1 partwise score
+  static buildMusicXml(music) {
+    const time = MidiService.parseTimeSignature(music.sheet.timeSignature);
+    const key = MidiService.parseKeySignature(music.sheet.keySignature);
+    const measureLength = time.beats * DIVISIONS * 4 / time.beatType;
+    const bpm = music.difficulty.tempo || 120;
+
+    const { timeline, end, toDivisions } = this.buildTimeline(music);
+    const measures = this.splitIntoMeasures(timeline, end, measureLength);
+
+    const sections = (music.sheet.sections || [])
+      .filter(s => s.name && typeof s.startTime === 'number')
+      .map(s => ({ name: s.name, start: toDivisions(s.startTime) }))
+      .sort((a, b) => a.start - b.start);
+
+    const body = measures.map((events, index) => {
+      const parts = [`    <measure number="${index + 1}">`];
+
+      if (index === 0) {
+        parts.push([
+          '      <attributes>',
+          `        <divisions>${DIVISIONS}</divisions>`,
+          '        <key>',
+          `          <fifths>${key.sharpsFlats}</fifths>`,
+          `          <mode>${key.minor ? 'minor' : 'major'}</mode>`,
+          '        </key>',
+          '        <time>',
+          `          <beats>${time.beats}</beats>`,
+          `          <beat-type>${time.beatType}</beat-type>`,
+          '        </time>',
+          '        <clef>',
+          '          <sign>G</sign>',
+          '          <line>2</line>',
+          '        </clef>',
+          '      </attributes>',
+          '      <direction placement="above">',
+          '        <direction-type>',
+          '          <metronome>',
+          '            <beat-unit>quarter</beat-unit>',
+          `            <per-minute>${bpm}</per-minute>`,
+          '          </metronome>',
+          '        </direction-type>',
+          `        <sound tempo="${bpm}"/>`,
+          '      </direction>'
+        ].join('\n'));
+      }
+
+      events.forEach(event => {
+        // Section markers go before the first event at or after their start
+        while (sections.length > 0 && sections[0].start <= event.start) {
+          parts.push(this.renderSection(sections.shift().name));
+        }
+
+        if (event.keys.length === 0) {
+          parts.push(this.renderNote(event, null, false));
+        } else {
+          event.keys.forEach((k, i) => parts.push(this.renderNote(event, k, i > 0)));
+        }
+      });
+
+      parts.push('    </measure>');
+      return parts.join('\n');
+    }).join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+      '<score-partwise version="3.1">',
+      '  <work>',
+      `    <work-title>${this.escapeXml(music.title)}</work-title>`,
+      '  </work>',
+      '  <identification>',
+      `    <creator type="composer">${this.escapeXml(music.artist)}</creator>`,
+      music.licensing.copyright && music.licensing.copyright.notice
+        ? `    <rights>${this.escapeXml(music.licensing.copyright.notice)}</rights>`
+        : null,
+      '  </identification>',
+      '  <part-list>',
+      '    <score-part id="P1">',
+      '      <part-name>Piano</part-name>',
+      '    </score-part>',
+      '  </part-list>',
+      '  <part id="P1">',
+      body,
+      '  </part>',
+      '</score-partwise>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  // Render a chart in the requested format after licensing checks
+  static async exportChart(musicId, user, format) {
+    try {
+      const formats = this.getFormats();
+      if (!formats[format]) {
+        throw new Error('Format must be midi or musicxml');
+      }
+
+      const music = await Music.findById(musicId);
+      if (!music) {
+        throw new Error('Music not found');
+      }
+
+      this.checkExportPermission(music, user);
+
+      const body = format === 'midi'
+        ? MidiService.buildMidi(music)
+        : Buffer.from(this.buildMusicXml(music), 'utf8');
+
+      const baseName = `${music.artist} - ${music.title}`
+        .replace(/[^\w\s.-]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim() || 'chart';
+
+      return {
+        filename: `${baseName}.${formats[format].extension}`,
+        contentType: formats[format].contentType,
+        body
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to export chart: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ChartExportService;
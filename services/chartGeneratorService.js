@@ -0,0 +1,311 @@
+const Music = require('../models/Music');
+const GameService = require('./gameService');
+const MidiService = require('./midiService');
+const ChartService = require('./chartService');
+const ModerationService = require('./moderationService');
+
+// Targets per generated level: beat subdivision, notes per second,
+// simultaneous keys and the semitone span the hands have to cover
+const LEVEL_PROFILES = {
+  easy: { grid: 1, notesPerSecond: 1.5, maxChord: 1, keyRange: 12 },
+  medium: { grid: 2, notesPerSecond: 3, maxChord: 2, keyRange: 24 },
+  hard: { grid: 4, notesPerSecond: 5, maxChord: 3, keyRange: 36 }
+};
+
+class ChartGeneratorService {
+
+  static getLevelProfiles() {
+    return LEVEL_PROFILES;
+  }
+
+  // Snap every note to the beat grid; returns chord groups keyed by time
+  static quantize(notes, gridMs) {
+    const groups = new Map();
+
+    notes.forEach(note => {
+      if (note.type === 'pause') return;
+      const pitch = GameService.keyToMidi(note.key);
+      if (pitch === null) return;
+
+      const time = Math.round(note.time / gridMs) * gridMs;
+      if (!groups.has(time)) groups.set(time, []);
+
+      const group = groups.get(time);
+      const existing = group.find(n => n.pitch === pitch);
+      if (existing) {
+        existing.duration = Math.max(existing.duration, note.duration || 100);
+        existing.velocity = Math.max(existing.velocity, note.velocity || 80);
+      } else {
+        group.push({ pitch, duration: note.duration || 100, velocity: note.velocity || 80 });
+      }
+    });
+
+    return Array.from(groups.entries())
+      .map(([time, chord]) => ({ time, chord }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  // Window of `range` semitones holding the most notes
+  static findKeyWindow(events, range) {
+    const histogram = new Array(128).fill(0);
+    events.forEach(event => event.chord.forEach(n => histogram[n.pitch]++));
+
+    let best = { low: 60 - Math.floor(range / 2), count: -1 };
+    let count = histogram.slice(0, range).reduce((sum, c) => sum + c, 0);
+
+    for (let low = 0; low + range <= 128; low++) {
+      if (low > 0) {
+        count += histogram[low + range - 1] - histogram[low - 1];
+      }
+      // Ties go to the window closest to middle C
+      const distance = Math.abs(low + range / 2 - 60);
+      const bestDistance = Math.abs(best.low + range / 2 - 60);
+      if (count > best.count || (count === best.count && distance < bestDistance)) {
+        best = { low, count };
+      }
+    }
+
+    return { low: best.low, high: best.low + range - 1 };
+  }
+
+  // Fold notes into the window by octaves, drop what still does not fit
+  static restrictRange(events, window) {
+    return events.map(event => {
+      const pitches = new Map();
+
+      event.chord.forEach(note => {
+        let pitch = note.pitch;
+        while (pitch < window.low) pitch += 12;
+        while (pitch > window.high) pitch -= 12;
+        if (pitch < window.low || pitch > window.high) return;
+
+        if (!pitches.has(pitch)) {
+          pitches.set(pitch, { ...note, pitch });
+        }
+      });
+
+      return { time: event.time, chord: Array.from(pitches.values()) };
+    }).filter(event => event.chord.length > 0);
+  }
+
+  // Keep the melody (top) first, then the bass, then the loudest inner voices
+  static collapseChord(chord, maxChord) {
+    if (chord.length <= maxChord) return chord;
+
+    const sorted = chord.slice().sort((a, b) => b.pitch - a.pitch);
+    const kept = [sorted[0]];
+    if (maxChord > 1) kept.push(sorted[sorted.length - 1]);
+
+    sorted.slice(1, -1)
+      .sort((a, b) => b.velocity - a.velocity)
+      .slice(0, maxChord - kept.length)
+      .forEach(note => kept.push(note));
+
+    return kept;
+  }
+
+  // Downbeats outrank beats, beats outrank off-beats; loud and long notes break ties
+  static getPriority(event, beatMs, beatsPerBar) {
+    const beat = Math.round(event.time / beatMs);
+    const onBeat = Math.abs(event.time - beat * beatMs) < 1;
+
+    let priority = 0;
+    if (onBeat && beat % beatsPerBar === 0) priority += 4;
+    else if (onBeat && beat % 2 === 0) priority += 2;
+    else if (onBeat) priority += 1;
+
+    const loudest = event.chord.reduce((max, n) => Math.max(max, n.velocity), 0);
+    const longest = event.chord.reduce((max, n) => Math.max(max, n.duration), 0);
+
+    return priority + loudest / 127 + Math.min(longest, 2 * beatMs) / (2 * beatMs);
+  }
+
+  // Thin each bar down to the notes-per-second budget
+  static thin(events, beatMs, beatsPerBar, notesPerSecond) {
+    const barMs = beatMs * beatsPerBar;
+    const budget = Math.max(1, Math.floor(notesPerSecond * barMs / 1000));
+
+    const bars = new Map();
+    events.forEach(event => {
+      const bar = Math.floor(event.time / barMs);
+      if (!bars.has(bar)) bars.set(bar, []);
+      bars.get(bar).push(event);
+    });
+
+    const kept = [];
+    bars.forEach(barEvents => {
+      const ranked = barEvents
+        .map(event => ({ event, priority: this.getPriority(event, beatMs, beatsPerBar) }))
+        .sort((a, b) => b.priority - a.priority);
+
+      let used = 0;
+      ranked.forEach(({ event }) => {
+        if (used + event.chord.length > budget && used > 0) return;
+        kept.push(event);
+        used += event.chord.length;
+      });
+    });
+
+    return kept.sort((a, b) => a.time - b.time);
+  }
+
+  // Turn events back into Music notes with grid-aligned, non-overlapping durations
+  static toNotes(events, gridMs, songEndMs) {
+    const notes = [];
+
+    events.forEach((event, index) => {
+      const nextTime = index + 1 < events.length ? events[index + 1].time : songEndMs;
+      const maxDuration = Math.max(gridMs, nextTime - event.time);
+
+      event.chord.forEach(note => {
+        const duration = Math.max(gridMs, Math.round(note.duration / gridMs) * gridMs);
+        notes.push({
+          time: event.time,
+          key: MidiService.midiToKey(note.pitch),
+          duration: Math.min(duration, maxDuration),
+          velocity: note.velocity,
+          type: event.chord.length > 1 ? 'chord' : 'note'
+        });
+      });
+    });
+
+    return notes;
+  }
+
+  // Derive one easier chart from the expert sheet
+  static generateVariant(music, level) {
+    const profile = LEVEL_PROFILES[level];
+    if (!profile) {
+      throw new Error(`Cannot generate ${level} charts`);
+    }
+
+    const beatMs = 60000 / music.difficulty.tempo;
+    const gridMs = beatMs / profile.grid;
+    const beatsPerBar = MidiService.parseTimeSignature(music.sheet.timeSignature).beats;
+    const songEndMs = music.duration * 1000;
+
+    let events = this.quantize(music.sheet.notes, gridMs)
+      .filter(event => event.time <= songEndMs);
+    events = this.restrictRange(events, this.findKeyWindow(events, profile.keyRange));
+    events = events.map(event => ({ ...event, chord: this.collapseChord(event.chord, profile.maxChord) }));
+    events = this.thin(events, beatMs, beatsPerBar, profile.notesPerSecond);
+
+    // rating and keyCount are computed per chart on save
+    return {
+      name: level,
+      level,
+      hands: profile.maxChord > 1 ? 'two' : 'one',
+      notes: this.toNotes(events, gridMs, songEndMs)
+    };
+  }
+
+  // Generate and store easier variants of an expert chart.
+  // Hand-authored charts of the same level are never overwritten.
+  static async generateVariants(musicId, user, levels = Object.keys(LEVEL_PROFILES)) {
+    try {
+      const music = await Music.findById(musicId);
+      if (!music || music.status === 'deleted') {
+        throw new Error('Music not found');
+      }
+
+      if (!ChartService.canEdit(music, user) && !ModerationService.isModerator(user)) {
+        throw new Error('Not allowed to generate charts for this song');
+      }
+
+      if (music.difficulty.level !== 'expert') {
+        throw new Error('Variants can only be generated from an expert-level chart');
+      }
+
+      if (music.sheet.notes.length === 0) {
+        throw new Error('Chart has no notes');
+      }
+
+      const invalid = levels.filter(level => !LEVEL_PROFILES[level]);
+      if (invalid.length > 0) {
+        throw new Error(`Cannot generate ${invalid.join(', ')} charts`);
+      }
+
+      const generated = [];
+      const skipped = [];
+
+      levels.forEach(level => {
+        const existing = music.charts.find(chart => chart.name === level);
+        if (existing && !existing.autoGenerated) {
+          skipped.push({ level, reason: 'A hand-authored chart already exists' });
+          return;
+        }
+
+        const variant = this.generateVariant(music, level);
+        if (variant.notes.length === 0) {
+          skipped.push({ level, reason: 'No notes left after simplification' });
+          return;
+        }
+
+        if (existing) {
+          music.charts.pull(existing._id);
+        }
+
+        music.charts.push({
+          ...variant,
+          autoGenerated: true,
+          generatedFrom: {
+            revision: music.chart.revision,
+            chartHash: music.getChartHash()
+          },
+          generatedAt: new Date()
+        });
+
+        generated.push(level);
+      });
+
+      if (generated.length > 0) {
+        music.features.autoGenerated = true;
+        await music.save();
+      }
+
+      return {
+        success: true,
+        generated: this.formatCharts(music).filter(chart => generated.includes(chart.name)),
+        skipped
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to generate charts: ${error.message}`);
+    }
+  }
+
+  static formatCharts(music) {
+    const charts = [{
+      name: 'main',
+      level: music.difficulty.level,
+      hands: music.features.multiHand ? 'two' : 'one',
+      rating: music.difficulty.rating,
+      keyCount: music.difficulty.keyCount,
+      noteCount: music.sheet.notes.length,
+      autoGenerated: false,
+      outdated: false,
+      primary: true
+    }];
+
+    music.charts.forEach(chart => {
+      charts.push({
+        id: chart._id,
+        name: chart.name,
+        level: chart.level,
+        hands: chart.hands,
+        rating: chart.rating,
+        keyCount: chart.keyCount,
+        noteCount: chart.notes.length,
+        autoGenerated: chart.autoGenerated,
+        // Stale when the source sheet changed after generation
+        outdated: chart.autoGenerated && chart.generatedFrom.chartHash !== music.getChartHash(),
+        generatedAt: chart.generatedAt,
+        primary: false
+      });
+    });
+
+    return charts;
+  }
+}
+
+module.exports = ChartGeneratorService;
@@ -0,0 +1,296 @@
+const GameService = require('./gameService');
+
+// Widest comfortable reach of one hand (a ninth) and keys it can hold at once
+const MAX_HAND_SPAN = 14;
+const MAX_NOTES_PER_HAND = 5;
+// Onsets closer than this are almost certainly one chord played sloppily
+const CHORD_TOLERANCE_MS = 30;
+const GRID_TOLERANCE_MS = 20;
+// 16th notes and 8th-note triplets
+const GRID_SUBDIVISIONS = [4, 3];
+const MAX_ISSUES_PER_RULE = 50;
+
+class ChartLintService {
+
+  static getRules() {
+    return {
+      overlapping_notes: 'error',
+      hand_span: 'error',
+      key_count: 'error',
+      section_overlap: 'error',
+      section_invalid: 'error',
+      section_gap: 'warning',
+      chord_timing: 'warning',
+      off_grid: 'warning'
+    };
+  }
+
+  // Two hands can play the keys if they split into a low and a high group that each fit one hand
+  static isPlayable(pitches, hands) {
+    const sorted = pitches.slice().sort((a, b) => a - b);
+    const fits = group => group.length === 0 ||
+      (group.length <= MAX_NOTES_PER_HAND && group[group.length - 1] - group[0] <= MAX_HAND_SPAN);
+
+    if (hands === 'one') {
+      return fits(sorted);
+    }
+
+    for (let split = 0; split <= sorted.length; split++) {
+      if (fits(sorted.slice(0, split)) && fits(sorted.slice(split))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  static checkOverlaps(notes, report) {
+    const lastEnd = new Map();
+
+    notes.forEach(note => {
+      const previous = lastEnd.get(note.key);
+      if (previous && note.time < previous.end) {
+        report('overlapping_notes', {
+          noteIndex: note.index,
+          time: note.time,
+          key: note.key,
+          message: note.time === previous.time
+            ? `Duplicate ${note.key} at ${note.time}ms`
+            : `${note.key} at ${note.time}ms starts before the previous ${note.key} (${previous.time}ms) is released`
+        });
+      }
+
+      const end = note.time + (note.duration || 100);
+      if (!previous || end > previous.end) {
+        lastEnd.set(note.key, { time: note.time, end });
+      }
+    });
+  }
+
+  // Every onset: keys still held plus keys starting now must fit the hands
+  static checkHandSpan(notes, hands, report) {
+    let active = [];
+    let index = 0;
+
+    while (index < notes.length) {
+      const time = notes[index].time;
+      active = active.filter(n => n.time + (n.duration || 100) > time);
+
+      while (index < notes.length && notes[index].time === time) {
+        active.push(notes[index]);
+        index++;
+      }
+
+      const pitches = Array.from(new Set(active.map(n => GameService.keyToMidi(n.key))));
+      if (!this.isPlayable(pitches, hands)) {
+        report('hand_span', {
+          time,
+          keys: active.map(n => n.key),
+          message: `${active.length} keys at ${time}ms cannot be reached with ${hands === 'one' ? 'one hand' : 'two hands'}`
+        });
+      }
+    }
+  }
+
+  static checkKeyCount(notes, keyCount, report) {
+    if (!keyCount) return;
+
+    const usage = new Map();
+    notes.forEach(note => usage.set(note.key, (usage.get(note.key) || 0) + 1));
+    if (usage.size <= keyCount) return;
+
+    // The least used keys are the ones outside the allowed set
+    const extra = Array.from(usage.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(keyCount)
+      .map(([key]) => key);
+    const extraKeys = new Set(extra);
+
+    notes.forEach(note => {
+      if (extraKeys.has(note.key)) {
+        report('key_count', {
+          noteIndex: note.index,
+          time: note.time,
+          key: note.key,
+          message: `${note.key} at ${note.time}ms is beyond the ${keyCount} keys of this chart (${usage.size} used)`
+        });
+      }
+    });
+  }
+
+  static checkSections(sections, notes, report) {
+    if (!sections || sections.length === 0) return;
+
+    const sorted = sections
+      .map((section, index) => ({
+        name: section.name,
+        startTime: section.startTime,
+        endTime: section.endTime,
+        index
+      }))
+      .sort((a, b) => a.startTime - b.startTime);
+
+    sorted.forEach((section, i) => {
+      if (typeof section.startTime !== 'number' || typeof section.endTime !== 'number' ||
+          section.endTime <= section.startTime) {
+        report('section_invalid', {
+          sectionIndex: section.index,
+          message: `Section ${section.name || section.index} has an invalid time range`
+        });
+        return;
+      }
+
+      const next = sorted[i + 1];
+      if (!next) return;
+
+      if (next.startTime < section.endTime) {
+        report('section_overlap', {
+          sectionIndex: next.index,
+          time: next.startTime,
+          message: `Section ${next.name} starts at ${next.startTime}ms before ${section.name} ends (${section.endTime}ms)`
+        });
+      } else if (next.startTime > section.endTime) {
+        report('section_gap', {
+          sectionIndex: next.index,
+          time: section.endTime,
+          message: `Gap of ${next.startTime - section.endTime}ms between ${section.name} and ${next.name}`
+        });
+      }
+    });
+
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const outside = notes.filter(note => note.time < first.startTime || note.time > last.endTime);
+    if (outside.length > 0) {
+      report('section_gap', {
+        time: outside[0].time,
+        message: `${outside.length} notes are not covered by any section`
+      });
+    }
+  }
+
+  static checkChordTiming(notes, report) {
+    const onsets = [];
+    notes.forEach(note => {
+      const last = onsets[onsets.length - 1];
+      if (last && last.time === note.time) {
+        last.notes.push(note);
+      } else {
+        onsets.push({ time: note.time, notes: [note] });
+      }
+    });
+
+    onsets.forEach((onset, i) => {
+      const next = onsets[i + 1];
+      if (next && next.time - onset.time <= CHORD_TOLERANCE_MS) {
+        report('chord_timing', {
+          time: onset.time,
+          message: `Notes at ${onset.time}ms and ${next.time}ms are ${next.time - onset.time}ms apart; align them if they form a chord`
+        });
+      }
+
+      const prev = onsets[i - 1];
+      const alone = onset.notes.length === 1 && onset.notes[0].type === 'chord';
+      const nearOther = (prev && onset.time - prev.time <= CHORD_TOLERANCE_MS) ||
+        (next && next.time - onset.time <= CHORD_TOLERANCE_MS);
+      if (alone && !nearOther) {
+        report('chord_timing', {
+          time: onset.time,
+          key: onset.notes[0].key,
+          message: `${onset.notes[0].key} at ${onset.time}ms is marked as a chord but plays alone`
+        });
+      }
+    });
+  }
+
+  static checkGrid(notes, tempo, report) {
+    if (!tempo) return;
+    const beatMs = 60000 / tempo;
+
+    notes.forEach(note => {
+      const drift = GRID_SUBDIVISIONS.reduce((min, subdivision) => {
+        const grid = beatMs / subdivision;
+        const offset = note.time % grid;
+        return Math.min(min, offset, grid - offset);
+      }, Infinity);
+
+      if (drift > GRID_TOLERANCE_MS) {
+        report('off_grid', {
+          noteIndex: note.index,
+          time: note.time,
+          key: note.key,
+          message: `${note.key} at ${note.time}ms is ${Math.round(drift)}ms off the ${tempo} BPM grid`
+        });
+      }
+    });
+  }
+
+  // Lint one chart. `chart` is { notes, sections, tempo, keyCount, hands }
+  static lint(chart) {
+    const rules = this.getRules();
+    const issues = [];
+    const counts = {};
+
+    const report = (rule, details) => {
+      counts[rule] = (counts[rule] || 0) + 1;
+      if (counts[rule] <= MAX_ISSUES_PER_RULE) {
+        issues.push({ rule, severity: rules[rule], ...details });
+      }
+    };
+
+    // Keep the caller's indexes so issues point at the submitted notes
+    const notes = (chart.notes || [])
+      .map((note, index) => ({
+        time: note.time,
+        key: note.key,
+        duration: note.duration,
+        type: note.type,
+        index
+      }))
+      .filter(note => note.type !== 'pause' && GameService.keyToMidi(note.key) !== null)
+      .sort((a, b) => a.time - b.time);
+
+    this.checkOverlaps(notes, report);
+    this.checkHandSpan(notes, chart.hands || 'two', report);
+    this.checkKeyCount(notes, chart.keyCount, report);
+    this.checkSections(chart.sections, notes, report);
+    this.checkChordTiming(notes, report);
+    this.checkGrid(notes, chart.tempo, report);
+
+    const total = severity => Object.entries(counts)
+      .filter(([rule]) => rules[rule] === severity)
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    return {
+      valid: total('error') === 0,
+      errors: total('error'),
+      warnings: total('warning'),
+      counts,
+      issues
+    };
+  }
+
+  // Lint the main sheet and every named chart of a song
+  static lintMusic(music) {
+    const charts = [music.getChart('main'), ...music.charts];
+
+    const results = charts.map(chart => ({
+      chart: chart.name,
+      ...this.lint({
+        notes: chart.notes,
+        sections: music.sheet.sections,
+        tempo: music.difficulty.tempo,
+        keyCount: chart.keyCount,
+        hands: chart.hands
+      })
+    }));
+
+    return {
+      valid: results.every(result => result.valid),
+      errors: results.reduce((sum, result) => sum + result.errors, 0),
+      warnings: results.reduce((sum, result) => sum + result.warnings, 0),
+      charts: results
+    };
+  }
+}
+
+module.exports = ChartLintService;
@@ -0,0 +1,462 @@
+const Music = require('../models/Music');
+const ChartRevision = require('../models/ChartRevision');
+
+// Music fields a draft author may set; nested ones are merged
+const EDITABLE_FIELDS = ['title', 'artist', 'album', 'genre', 'duration'];
+const NESTED_FIELDS = ['metadata', 'features', 'licensing'];
+const SHEET_FIELDS = ['notes', 'keySignature', 'timeSignature', 'sections'];
+
+class ChartService {
+
+  static canEdit(music, user) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return !!music.createdBy && music.createdBy.toString() === user._id.toString();
+  }
+
+  static async getEditableMusic(musicId, user) {
+    const music = await Music.findById(musicId);
+    if (!music || music.status === 'deleted') {
+      throw new Error('Music not found');
+    }
+
+    if (!this.canEdit(music, user)) {
+      throw new Error('Not allowed to edit this chart');
+    }
+
+    if (music.status !== 'draft') {
+      throw new Error('Only draft charts can be edited');
+    }
+
+    return music;
+  }
+
+  static snapshotSheet(sheet) {
+    return {
+      notes: (sheet.notes || []).map(note => ({
+        time: note.time,
+        key: note.key,
+        duration: note.duration,
+        velocity: note.velocity,
+        type: note.type
+      })),
+      keySignature: sheet.keySignature,
+      timeSignature: sheet.timeSignature,
+      sections: (sheet.sections || []).map(section => ({
+        name: section.name,
+        startTime: section.startTime,
+        endTime: section.endTime,
+        difficulty: section.difficulty
+      }))
+    };
+  }
+
+  // Multiset diff of notes plus the list of other sheet fields that changed
+  static diffSheets(before, after) {
+    const signature = note => [note.time, note.key, note.duration, note.velocity, note.type].join('|');
+
+    const counts = new Map();
+    (before.notes || []).forEach(note => {
+      const sig = signature(note);
+      counts.set(sig, (counts.get(sig) || 0) + 1);
+    });
+
+    let notesAdded = 0;
+    (after.notes || []).forEach(note => {
+      const sig = signature(note);
+      if (counts.get(sig) > 0) {
+        counts.set(sig, counts.get(sig) - 1);
+      } else {
+        notesAdded++;
+      }
+    });
+
+    const notesRemoved = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+
+    const fieldsChanged = [];
+    if (notesAdded > 0 || notesRemoved > 0) fieldsChanged.push('notes');
+    if (before.keySignature !== after.keySignature) fieldsChanged.push('keySignature');
+    if (before.timeSignature !== after.timeSignature) fieldsChanged.push('timeSignature');
+    if (JSON.stringify(before.sections || []) !== JSON.stringify(after.sections || [])) {
+      fieldsChanged.push('sections');
+    }
+
+    const parts = [];
+    if (notesAdded > 0 || notesRemoved > 0) parts.push(`+${notesAdded}/-${notesRemoved} notes`);
+    fieldsChanged.filter(field => field !== 'notes').forEach(field => parts.push(`${field} changed`));
+
+    return {
+      notesAdded,
+      notesRemoved,
+      noteCount: (after.notes || []).length,
+      fieldsChanged,
+      text: parts.length > 0 ? parts.join(', ') : 'No changes'
+    };
+  }
+
+  // Append a revision for the music's current sheet and point the music at it.
+  // Expects the music's sheet changes to be unsaved; the music is saved here.
+  static async recordRevision(music, authorId, options = {}) {
+    const previous = music.chart.revisionId
+      ? await ChartRevision.findById(music.chart.revisionId)
+      : null;
+
+    // Same order the pre-save hook stores, so the hash matches the saved chart
+    music.sheet.notes.sort((a, b) => a.time - b.time);
+
+    const sheet = this.snapshotSheet(music.sheet);
+    const summary = previous
+      ? this.diffSheets(previous.sheet, sheet)
+      : this.diffSheets({ notes: [] }, sheet);
+
+    if (!previous) {
+      summary.text = `Initial chart with ${sheet.notes.length} notes`;
+    }
+
+    const revision = new ChartRevision({
+      musicId: music._id,
+      number: (music.chart.revision || 0) + 1,
+      author: authorId,
+      message: options.message,
+      sheet,
+      chartHash: music.getChartHash(),
+      summary,
+      revertedFrom: options.revertedFrom
+    });
+
+    try {
+      await revision.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Chart was changed by someone else, reload and try again');
+      }
+      throw error;
+    }
+
+    music.chart.revision = revision.number;
+    music.chart.revisionId = revision._id;
+
+    try {
+      await music.save();
+    } catch (error) {
+      // Invalid sheet: drop the orphaned revision so numbering stays contiguous
+      await ChartRevision.deleteOne({ _id: revision._id });
+      throw error;
+    }
+
+    return revision;
+  }
+
+  // Charts created before revisions existed get a baseline revision on first use
+  static async ensureRevision(music) {
+    if (music.chart && music.chart.revisionId) {
+      return music.chart.revisionId;
+    }
+
+    const sheet = this.snapshotSheet(music.sheet);
+    let revision;
+
+    try {
+      revision = await ChartRevision.create({
+        musicId: music._id,
+        number: 1,
+        author: music.createdBy,
+        message: 'Initial revision',
+        sheet,
+        chartHash: music.getChartHash(),
+        summary: {
+          notesAdded: sheet.notes.length,
+          noteCount: sheet.notes.length,
+          fieldsChanged: ['notes'],
+          text: `Initial chart with ${sheet.notes.length} notes`
+        }
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another request created the baseline concurrently
+      revision = await ChartRevision.findOne({ musicId: music._id, number: 1 });
+    }
+
+    // Avoid re-running save middleware on legacy documents
+    await Music.updateOne(
+      { _id: music._id, 'chart.revisionId': { $exists: false } },
+      { $set: { 'chart.revision': revision.number, 'chart.revisionId': revision._id } }
+    );
+
+    music.chart.revision = revision.number;
+    music.chart.revisionId = revision._id;
+
+    return revision._id;
+  }
+
+  static applySheet(music, sheet) {
+    SHEET_FIELDS.forEach(field => {
+      if (sheet[field] !== undefined) {
+        music.sheet[field] = sheet[field];
+      }
+    });
+
+    if (sheet.notes !== undefined) {
+      const keys = new Set(music.sheet.notes.filter(n => n.type !== 'pause').map(n => n.key));
+      music.difficulty.keyCount = Math.max(1, keys.size);
+      music.features.hasChords = music.sheet.notes.some(n => n.type === 'chord');
+    }
+  }
+
+  static applyDetails(music, data) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        music.set(field, data[field]);
+      }
+    });
+
+    const current = music.toObject();
+    NESTED_FIELDS.forEach(field => {
+      if (data[field] && typeof data[field] === 'object') {
+        music.set(field, { ...(current[field] || {}), ...data[field] });
+      }
+    });
+
+    if (data.tempo !== undefined) music.difficulty.tempo = data.tempo;
+    if (data.audioUrl !== undefined) music.audio.url = data.audioUrl;
+  }
+
+  // Derive a duration (s) from the notes when the author did not give one
+  static getSheetDuration(notes) {
+    const end = notes.reduce((max, note) => Math.max(max, note.time + (note.duration || 100)), 0);
+    return Math.min(600, Math.max(10, Math.ceil(end / 1000) + 1));
+  }
+
+  static async createDraft(user, data) {
+    try {
+      const notes = (data.sheet && data.sheet.notes) || [];
+
+      const music = new Music({
+        title: data.title,
+        artist: data.artist,
+        album: data.album,
+        genre: data.genre,
+        duration: data.duration || this.getSheetDuration(notes),
+        difficulty: {
+          // level/rating are recalculated from the notes on save
+          level: 'easy',
+          rating: 1,
+          keyCount: 1,
+          tempo: data.tempo || 120
+        },
+        audio: data.audioUrl ? { url: data.audioUrl } : undefined,
+        licensing: {
+          type: 'original'
+        },
+        createdBy: user._id,
+        status: 'draft'
+      });
+
+      this.applyDetails(music, { metadata: data.metadata, features: data.features, licensing: data.licensing });
+      this.applySheet(music, data.sheet || {});
+
+      const revision = await this.recordRevision(music, user._id, {
+        message: data.message || 'Created chart'
+      });
+
+      return {
+        success: true,
+        music,
+        revision: this.formatRevision(revision)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to create chart: ${error.message}`);
+    }
+  }
+
+  static async updateDraft(musicId, user, data) {
+    try {
+      const music = await this.getEditableMusic(musicId, user);
+      await this.ensureRevision(music);
+
+      // Optimistic locking: the editor says which revision it started from
+      if (data.baseRevision !== undefined && parseInt(data.baseRevision) !== music.chart.revision) {
+        throw new Error(`Chart has changed since revision ${data.baseRevision}, reload and try again`);
+      }
+
+      this.applyDetails(music, data);
+
+      let revision = null;
+      if (data.sheet) {
+        const before = this.snapshotSheet(music.sheet);
+        this.applySheet(music, data.sheet);
+
+        const summary = this.diffSheets(before, this.snapshotSheet(music.sheet));
+        if (summary.fieldsChanged.length > 0) {
+          revision = await this.recordRevision(music, user._id, { message: data.message });
+        }
+      }
+
+      if (!revision) {
+        await music.save();
+      }
+
+      return {
+        success: true,
+        music,
+        revision: revision ? this.formatRevision(revision) : null
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to update chart: ${error.message}`);
+    }
+  }
+
+  // Add or replace a named chart next to the main sheet (hand-authored)
+  static async saveChart(musicId, user, name, data) {
+    try {
+      if (!name || name === 'main') {
+        throw new Error('Use the sheet to edit the main chart');
+      }
+
+      if (!Array.isArray(data.notes) || data.notes.length === 0) {
+        throw new Error('Chart notes are required');
+      }
+
+      const music = await this.getEditableMusic(musicId, user);
+
+      const existing = music.charts.find(chart => chart.name === name);
+      if (existing) {
+        music.charts.pull(existing._id);
+      }
+
+      music.charts.push({
+        name,
+        level: data.level,
+        hands: data.hands,
+        notes: data.notes,
+        autoGenerated: false
+      });
+
+      await music.save();
+
+      return {
+        success: true,
+        chart: music.charts.find(chart => chart.name === name.toLowerCase())
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to save chart: ${error.message}`);
+    }
+  }
+
+  static async removeChart(musicId, user, name) {
+    try {
+      const music = await this.getEditableMusic(musicId, user);
+
+      const chart = music.charts.find(c => c.name === name);
+      if (!chart) {
+        throw new Error('Chart not found');
+      }
+
+      music.charts.pull(chart._id);
+      await music.save();
+
+      return {
+        success: true,
+        message: 'Chart removed'
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to remove chart: ${error.message}`);
+    }
+  }
+
+  // Reverting writes a new revision with the old sheet; history is never rewritten
+  static async revertToRevision(musicId, user, number, message) {
+    try {
+      const music = await this.getEditableMusic(musicId, user);
+      await this.ensureRevision(music);
+
+      const target = await ChartRevision.findOne({ musicId, number });
+      if (!target) {
+        throw new Error('Revision not found');
+      }
+
+      if (target.number === music.chart.revision) {
+        throw new Error('Chart is already at this revision');
+      }
+
+      this.applySheet(music, target.sheet.toObject());
+
+      const revision = await this.recordRevision(music, user._id, {
+        message: message || `Reverted to revision ${target.number}`,
+        revertedFrom: target.number
+      });
+
+      return {
+        success: true,
+        music,
+        revision: this.formatRevision(revision)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to revert chart: ${error.message}`);
+    }
+  }
+
+  static formatRevision(revision, includeSheet = false) {
+    return {
+      id: revision._id,
+      number: revision.number,
+      author: revision.author,
+      message: revision.message,
+      chartHash: revision.chartHash,
+      summary: revision.summary,
+      revertedFrom: revision.revertedFrom,
+      createdAt: revision.createdAt,
+      sheet: includeSheet ? revision.sheet : undefined
+    };
+  }
+
+  static async getRevisions(musicId, user, limit = 50) {
+    try {
+      const music = await Music.findById(musicId).select('status createdBy chart');
+      if (!music || (music.status !== 'published' && !this.canEdit(music, user))) {
+        throw new Error('Music not found');
+      }
+
+      const revisions = await ChartRevision.getHistory(musicId, limit);
+
+      return {
+        success: true,
+        currentRevision: music.chart.revision,
+        revisions: revisions.map(revision => this.formatRevision(revision))
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get revisions: ${error.message}`);
+    }
+  }
+
+  static async getRevision(musicId, user, number) {
+    try {
+      const music = await Music.findById(musicId).select('status createdBy');
+      if (!music || (music.status !== 'published' && !this.canEdit(music, user))) {
+        throw new Error('Music not found');
+      }
+
+      const revision = await ChartRevision.findOne({ musicId, number })
+        .populate('author', 'username avatar');
+      if (!revision) {
+        throw new Error('Revision not found');
+      }
+
+      return {
+        success: true,
+        revision: this.formatRevision(revision, true)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get revision: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ChartService;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendTemplate } = require('./mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EmailVerificationService {
+
+  static getTokenHours() {
+    return parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+  }
+
+  // Minimum wait between two verification mails
+  static getResendCooldownSeconds() {
+    return parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+  }
+
+  // Mails allowed per rolling day
+  static getMaxSendsPerDay() {
+    return parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+  }
+
+  static getVerifyUrl(token) {
+    const base = process.env.APP_URL || 'http://localhost:3000';
+    return `${base}/verify-email?token=${token}`;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Seconds until another mail may be sent (0 when allowed)
+  static getThrottle(user, now = new Date()) {
+    const state = user.emailVerification;
+    const cooldownEnds = state.lastSentAt
+      ? state.lastSentAt.getTime() + this.getResendCooldownSeconds() * 1000
+      : 0;
+
+    const windowActive = state.windowStartedAt &&
+      now.getTime() - state.windowStartedAt.getTime() < DAY_MS;
+    const dayEnds = windowActive && state.sentCount >= this.getMaxSendsPerDay()
+      ? state.windowStartedAt.getTime() + DAY_MS
+      : 0;
+
+    return Math.max(0, Math.ceil((Math.max(cooldownEnds, dayEnds) - now.getTime()) / 1000));
+  }
+
+  // New token (replacing the previous one) and mail it; counts towards the throttle
+  static async sendVerification(user) {
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('hex');
+    const hours = this.getTokenHours();
+    const state = user.emailVerification;
+
+    const windowActive = state.windowStartedAt &&
+      now.getTime() - state.windowStartedAt.getTime() < DAY_MS;
+
+    state.verified = false;
+    state.tokenHash = this.hashToken(token);
+    state.expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    state.lastSentAt = now;
+    state.sentCount = windowActive ? state.sentCount + 1 : 1;
+    state.windowStartedAt = windowActive ? state.windowStartedAt : now;
+    await user.save();
+
+    await sendTemplate(user.email, 'emailVerification', user.preferences.language, {
+      username: user.username,
+      url: this.getVerifyUrl(token),
+      hours
+    });
+
+    return { sentAt: now, expiresAt: state.expiresAt };
+  }
+
+  static async resend(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.isEmailVerified()) {
+        throw new Error('Email is already verified');
+      }
+
+      const retryAfter = this.getThrottle(user);
+      if (retryAfter > 0) {
+        const error = new Error(`Please wait ${retryAfter} seconds before requesting another email`);
+        error.retryAfter = retryAfter;
+        throw error;
+      }
+
+      const result = await this.sendVerification(user);
+
+      return {
+        success: true,
+        ...result
+      };
+
+    } catch (error) {
+      const wrapped = new Error(`Failed to resend verification email: ${error.message}`);
+      wrapped.retryAfter = error.retryAfter;
+      throw wrapped;
+    }
+  }
+
+  // Mark the email verified and release anything held for unverified accounts
+  static async verify(token) {
+    try {
+      // Claim the token atomically so it cannot be used twice
+      const user = await User.findOneAndUpdate(
+        {
+          'emailVerification.tokenHash': this.hashToken(token),
+          'emailVerification.expiresAt': { $gt: new Date() }
+        },
+        {
+          $set: {
+            'emailVerification.verified': true,
+            'emailVerification.verifiedAt': new Date()
+          },
+          $unset: {
+            'emailVerification.tokenHash': 1,
+            'emailVerification.expiresAt': 1
+          }
+        },
+        { new: true }
+      );
+
+      if (!user) {
+        throw new Error('Verification link is invalid or has expired');
+      }
+
+      let referralBonus = null;
+      if (user.referral.referredBy && !user.referral.bonusPaidAt) {
+        try {
+          const PaymentService = require('./paymentService');
+          referralBonus = await PaymentService.processReferralBonus(user.referral.referredBy, user._id);
+        } catch (referralError) {
+          // Verification stands even if the referrer cannot be paid
+          console.error('Referral bonus error:', referralError);
+        }
+      }
+
+      return {
+        success: true,
+        user,
+        referralBonusPaid: !!referralBonus
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to verify email: ${error.message}`);
+    }
+  }
+}
+
+module.exports = EmailVerificationService;
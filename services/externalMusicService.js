@@ -0,0 +1,209 @@
+const Music = require('../models/Music');
+const ChartService = require('./chartService');
+const { getProvider, listProviders } = require('./providers');
+
+const MAX_IMPORT_TRACKS = 50;
+// Provider genre names that differ from ours
+const GENRE_ALIASES = {
+  hiphop: 'hip-hop',
+  'hip hop': 'hip-hop',
+  'r&b': 'rnb',
+  electro: 'electronic',
+  edm: 'electronic',
+  dance: 'electronic',
+  lounge: 'ambient',
+  chillout: 'ambient',
+  soundtrack: 'classical',
+  worldmusic: 'world'
+};
+
+// External catalogs are only used to find and import tracks;
+// players search our own catalog (CatalogService).
+class ExternalMusicService {
+
+  static getProviders() {
+    return listProviders();
+  }
+
+  static async searchTracks(providerName, query, options = {}) {
+    try {
+      const provider = getProvider(providerName);
+      const page = Math.max(1, parseInt(options.page) || 1);
+      const limit = Math.min(50, Math.max(1, parseInt(options.limit) || 12));
+
+      const { tracks, total } = await provider.searchTracks(query, { page, limit });
+
+      return {
+        success: true,
+        provider: provider.getName(),
+        tracks,
+        pagination: {
+          page,
+          limit,
+          total
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to search external tracks: ${error.message}`);
+    }
+  }
+
+  static async getTrack(providerName, externalId) {
+    try {
+      const provider = getProvider(providerName);
+      const track = await provider.getTrack(externalId);
+      if (!track) {
+        throw new Error('Track not found');
+      }
+
+      return {
+        success: true,
+        track
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get external track: ${error.message}`);
+    }
+  }
+
+  // First provider genre we know, else the importer's fallback
+  static mapGenre(genres, fallback) {
+    const allowed = Music.schema.path('genre').enumValues;
+
+    for (const genre of genres || []) {
+      const name = String(genre).toLowerCase().trim();
+      const mapped = GENRE_ALIASES[name] || name;
+      if (allowed.includes(mapped)) {
+        return mapped;
+      }
+    }
+
+    return fallback;
+  }
+
+  // Existing song for this track: same ISRC, or imported from the same provider id
+  static async findDuplicate(track) {
+    const conditions = [{ 'source.provider': track.provider, 'source.externalId': track.externalId }];
+    if (track.isrc) {
+      conditions.push({ 'metadata.isrc': track.isrc.toUpperCase() });
+    }
+
+    return Music.findOne({ $or: conditions, status: { $ne: 'deleted' } }).select('_id title status');
+  }
+
+  static buildMusic(track, user, options) {
+    const releaseDate = track.releaseDate ? new Date(track.releaseDate) : undefined;
+
+    return new Music({
+      title: track.title,
+      artist: track.artist,
+      album: track.album,
+      genre: this.mapGenre(track.genres, options.genre),
+      duration: track.duration,
+      difficulty: {
+        // level/rating are recalculated from the notes on save
+        level: 'easy',
+        rating: 1,
+        keyCount: 1,
+        tempo: 120
+      },
+      audio: track.audioUrl ? { url: track.audioUrl } : undefined,
+      metadata: {
+        releaseDate: releaseDate && !isNaN(releaseDate) ? releaseDate : undefined,
+        label: track.label,
+        isrc: track.isrc ? track.isrc.toUpperCase() : undefined,
+        tags: track.tags
+      },
+      licensing: {
+        type: 'licensed',
+        copyright: {
+          owner: track.artist,
+          year: releaseDate && !isNaN(releaseDate) ? releaseDate.getFullYear() : undefined
+        }
+      },
+      source: {
+        provider: track.provider,
+        externalId: track.externalId,
+        url: track.url,
+        importedAt: new Date(),
+        importedBy: user._id
+      },
+      createdBy: user._id,
+      status: 'draft'
+    });
+  }
+
+  // Import selected tracks as drafts, one at a time; one bad track does not stop the job
+  static async importTracks(providerName, externalIds, user, options = {}) {
+    try {
+      const provider = getProvider(providerName);
+
+      const ids = Array.from(new Set((externalIds || []).map(id => String(id))));
+      if (ids.length === 0) {
+        throw new Error('No tracks selected');
+      }
+      if (ids.length > MAX_IMPORT_TRACKS) {
+        throw new Error(`Cannot import more than ${MAX_IMPORT_TRACKS} tracks at once`);
+      }
+
+      const fallbackGenre = options.genre || 'pop';
+      if (!Music.schema.path('genre').enumValues.includes(fallbackGenre)) {
+        throw new Error(`Invalid genre: ${fallbackGenre}`);
+      }
+
+      const imported = [];
+      const skipped = [];
+      const failed = [];
+
+      for (const externalId of ids) {
+        try {
+          const track = await provider.getTrack(externalId);
+          if (!track) {
+            failed.push({ externalId, reason: 'Track not found' });
+            continue;
+          }
+
+          const duplicate = await this.findDuplicate(track);
+          if (duplicate) {
+            skipped.push({ externalId, reason: 'Already in catalog', musicId: duplicate._id });
+            continue;
+          }
+
+          if (!track.audioUrl) {
+            track.audioUrl = await provider.getAudioUrl(externalId);
+          }
+
+          const music = this.buildMusic(track, user, { genre: fallbackGenre });
+          await ChartService.recordRevision(music, user._id, {
+            message: `Imported from ${provider.getName()}`
+          });
+
+          imported.push({
+            externalId,
+            musicId: music._id,
+            title: music.title,
+            genre: music.genre,
+            isrc: music.metadata.isrc
+          });
+
+        } catch (error) {
+          failed.push({ externalId, reason: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        provider: provider.getName(),
+        imported,
+        skipped,
+        failed
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to import tracks: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ExternalMusicService;
@@ -3,12 +3,47 @@ const Game = require('../models/Game');
 const User = require('../models/User');
 const Music = require('../models/Music');
 const Transaction = require('../models/Transaction');
+const ChartRevision = require('../models/ChartRevision');
+const AchievementService = require('./achievementService');
+const StreakService = require('./streakService');
+const RankedService = require('./rankedService');
+const LeaderboardService = require('./leaderboardService');
+const ChartService = require('./chartService');
 const crypto = require('crypto');
 
+const REPLAY_FORMAT = 'bcp-replay';
+const REPLAY_FORMAT_VERSION = 1;
+
+// Work done once a game is completed, in order; each step runs on its own so one
+// failure doesn't skip the others, and failed steps are retried by the cleanup job
+// The streak step runs before achievements, which read the updated user.streak
+const COMPLETION_STEPS = ['stats', 'musicScore', 'leaderboard', 'streak', 'achievements', 'ranked'];
+const MAX_COMPLETION_ATTEMPTS = 5;
+// Games younger than this are still being finished by endGame, the cleanup job leaves them alone
+const COMPLETION_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Attempts for a load-modify-save step that keeps losing to concurrent writes;
+// every round lets one writer through, so this covers a ten-finger chord
+const VERSION_RETRY_LIMIT = 10;
+
 class GameService {
+
+  // Game documents use optimistic concurrency: a save that raced another write on
+  // the same session fails with VersionError, and the whole step is redone on fresh data
+  static async withVersionRetry(step) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await step();
+      } catch (error) {
+        if (error.name !== 'VersionError' || attempt >= VERSION_RETRY_LIMIT) {
+          throw error;
+        }
+      }
+    }
+  }
   
-  // Create new game session
-  static async startGame(userId, musicId, settings = {}) {
+  // Create new game session. matchId comes from MatchService only, never from client settings
+  static async startGame(userId, musicId, settings = {}, { matchId } = {}) {
     try {
       // Validate music exists and is available
       const music = await Music.findById(musicId);
@@ -27,6 +62,8 @@ class GameService {
         throw new Error('Premium subscription required');
       }
 
+      const chart = this.resolveChart(music, settings);
+
       // Generate unique session ID
       const sessionId = crypto.randomUUID();
 
@@ -34,20 +71,29 @@ class GameService {
       const game = new Game({
         userId,
         musicId,
+        chart: chart.name,
+        chartHash: music.getChartHash(chart.notes),
+        chartRevision: await this.getPlayedRevision(music, chart),
+        matchId,
         session: {
           sessionId,
           startTime: new Date(),
           status: 'active'
         },
         settings: {
-          difficulty: settings.difficulty || 'easy',
+          difficulty: chart.level,
           speed: settings.speed || 1.0,
           autoPlay: settings.autoPlay || false,
           soundEnabled: settings.soundEnabled !== false,
-          visualEffects: settings.visualEffects !== false
+          visualEffects: settings.visualEffects !== false,
+          ranked: !!settings.ranked
         },
         scoring: {
-          multiplier: this.calculateMultiplier(settings.difficulty, settings.speed)
+          multiplier: this.calculateMultiplier(chart.level, settings.speed)
+        },
+        judging: {
+          windows: this.getJudgeWindows(),
+          serialized: true
         },
         metadata: {
           platform: settings.platform || 'web',
@@ -73,9 +119,19 @@ class GameService {
             duration: music.duration,
             difficulty: music.difficulty,
             audio: music.audio,
-            sheet: music.sheet
+            sheet: {
+              ...music.sheet.toObject(),
+              notes: chart.notes
+            },
+            chart: {
+              name: chart.name,
+              level: chart.level,
+              hands: chart.hands,
+              rating: chart.rating
+            }
           },
-          settings: game.settings
+          settings: game.settings,
+          judgeWindows: game.judging.windows
         }
       };
 
@@ -84,79 +140,574 @@ class GameService {
     }
   }
 
-  // Process keystroke input
+  // Process keystroke input (judged server-side against the game's chart notes).
+  // Chord keys arrive concurrently; each one is judged against the latest consumed
+  // notes, so a note can't be hit twice and no score update is lost.
   static async processKeystroke(sessionId, keystrokeData) {
     try {
-      const { key, timestamp, accuracy, reactionTime } = keystrokeData;
+      const music = await this.getKeystrokeMusic(sessionId);
+      return await this.withVersionRetry(() => this.judgeAndRecordKeystroke(sessionId, music, keystrokeData));
+    } catch (error) {
+      throw new Error(`Failed to process keystroke: ${error.message}`);
+    }
+  }
 
-      const game = await Game.findOne({ 'session.sessionId': sessionId });
-      if (!game || game.session.status !== 'active') {
-        throw new Error('Game session not found or not active');
+  // The chart doesn't change during a session, so it is loaded once outside the retry loop
+  static async getKeystrokeMusic(sessionId) {
+    const game = await Game.findOne({ 'session.sessionId': sessionId }).select('musicId session.status');
+    if (!game || game.session.status !== 'active') {
+      throw new Error('Game session not found or not active');
+    }
+
+    const music = await Music.findById(game.musicId).select('sheet.notes charts difficulty features');
+    if (!music) {
+      throw new Error('Music not found');
+    }
+    return music;
+  }
+
+  // One load-judge-save step; a VersionError from addKeystroke means another key won the race
+  static async judgeAndRecordKeystroke(sessionId, music, keystrokeData) {
+    const { key, timestamp, accuracy: clientAccuracy, reactionTime } = keystrokeData;
+
+    const game = await Game.findOne({ 'session.sessionId': sessionId });
+    if (!game || game.session.status !== 'active') {
+      throw new Error('Game session not found or not active');
+    }
+
+    const judgement = this.judgeKeystroke(
+      this.getChartNotes(music, game.chart),
+      game.judging.consumedNotes,
+      key,
+      timestamp,
+      this.getEffectiveJudgeWindows(this.getSessionJudgeWindows(game), game.getActiveEffects(timestamp)),
+      game.getJudgedRange()
+    );
+
+    // Add keystroke to game
+    await game.addKeystroke(key, judgement.accuracy, reactionTime, {
+      timestamp,
+      noteIndex: judgement.noteIndex,
+      offset: judgement.offset,
+      clientAccuracy
+    });
+
+    const keystroke = game.keystrokes[game.keystrokes.length - 1];
+    
+    return {
+      success: true,
+      judgement: judgement.accuracy,
+      offset: judgement.offset,
+      points: keystroke.points,
+      combo: game.gameplay.currentCombo,
+      totalScore: game.scoring.totalScore,
+      accuracy: game.gameplay.accuracy,
+      matchId: game.matchId
+    };
+  }
+
+  // Load the session, score what was left unplayed and mark it completed.
+  // Redone from scratch when a late keystroke saved in between.
+  static async completeSession(sessionId) {
+    const game = await Game.findOne({ 'session.sessionId': sessionId })
+      .populate('userId')
+      .populate('musicId');
+
+    if (!game) {
+      throw new Error('Game session not found');
+    }
+
+    if (game.session.status !== 'active') {
+      throw new Error('Game is not active');
+    }
+
+    if (game.mode === 'practice') {
+      return { game, practiceResult: await this.endPractice(game) };
+    }
+
+    // Unplayed notes count as misses
+    const notes = this.getChartNotes(game.musicId, game.chart);
+
+    game.registerUnplayedNotes(
+      this.countUnplayedNotes(notes, game.judging.consumedNotes, game)
+    );
+
+    game.mergeSectionStats(this.computeSectionStats(
+      notes,
+      game.musicId.sheet.sections,
+      this.getJudgedNotes(game.keystrokes)
+    ));
+
+    // Saved with the completed status, so a crash before the steps run leaves them for the retry
+    game.completion.pendingSteps = COMPLETION_STEPS;
+
+    await game.completeGame();
+
+    return { game };
+  }
+
+  // End game session
+  static async endGame(sessionId, endData = {}) {
+    try {
+      const { game, practiceResult } = await this.withVersionRetry(() => this.completeSession(sessionId));
+
+      if (practiceResult) {
+        return practiceResult;
       }
 
-      // Add keystroke to game
-      await game.addKeystroke(key, accuracy, reactionTime);
+      const { outputs } = await this.runCompletionSteps(game, COMPLETION_STEPS);
+      const streak = outputs.streak || {};
 
-      // Calculate real-time rewards
-      const points = game.calculateKeystrokePoints(accuracy, game.gameplay.currentCombo);
-      
       return {
         success: true,
-        points,
-        combo: game.gameplay.currentCombo,
-        totalScore: game.scoring.totalScore,
-        accuracy: game.gameplay.accuracy
+        results: {
+          score: game.scoring.totalScore,
+          accuracy: game.gameplay.accuracy,
+          combo: game.gameplay.maxCombo,
+          duration: game.session.duration,
+          rewards: game.rewards,
+          achievements: game.achievements,
+          streak: streak.streak,
+          streakReward: streak.reward,
+          ranked: outputs.ranked || null
+        }
       };
 
     } catch (error) {
-      throw new Error(`Failed to process keystroke: ${error.message}`);
+      throw new Error(`Failed to end game: ${error.message}`);
     }
   }
 
-  // End game session
-  static async endGame(sessionId, endData = {}) {
+  // One post-completion step; `game` has userId and musicId populated
+  static async runCompletionStep(game, step) {
+    switch (step) {
+      case 'stats':
+        return await game.userId.updateStats({
+          score: game.scoring.totalScore,
+          accuracy: game.gameplay.accuracy,
+          playTime: game.session.duration
+        });
+
+      case 'musicScore':
+        return await game.musicId.updateScore(game.scoring.totalScore, game.gameplay.accuracy);
+
+      // Update the cached per-song leaderboard
+      case 'leaderboard':
+        return await LeaderboardService.recordGame(game, game.userId);
+
+      // Progress persistent achievements; rewards are granted on unlock
+      case 'achievements': {
+        const unlocked = await AchievementService.processGameCompletion(game.userId, game, game.musicId);
+        if (unlocked.length > 0) {
+          const entries = unlocked.map(achievement => ({
+            type: achievement.key,
+            achievementId: achievement.achievementId,
+            tier: achievement.level,
+            description: `${achievement.name} (${achievement.tier})`,
+            reward: achievement.reward,
+            rewardGranted: true
+          }));
+          game.achievements.push(...entries);
+          await Game.updateOne({ _id: game._id }, { $push: { achievements: { $each: entries } } });
+        }
+        return unlocked;
+      }
+
+      // Completing a game keeps the daily streak alive
+      case 'streak':
+        return await StreakService.recordActivity(game.userId, 'play', game.session.endTime);
+
+      // Versus games are rated from the final standings instead
+      case 'ranked':
+        if (game.settings.ranked && !game.matchId) {
+          return await RankedService.recordSoloGame(game);
+        }
+        return null;
+
+      default:
+        throw new Error(`Unknown completion step: ${step}`);
+    }
+  }
+
+  // Run pending steps independently. Each step is claimed by pulling it from
+  // completion.pendingSteps first, so it runs once even when endGame and the cleanup
+  // job overlap; a failed step is put back for the retry.
+  static async runCompletionSteps(game, steps) {
+    const outputs = {};
+    const failed = [];
+
+    for (const step of steps) {
+      const claim = await Game.updateOne(
+        { _id: game._id, 'completion.pendingSteps': step },
+        { $pull: { 'completion.pendingSteps': step } }
+      );
+      if (claim.modifiedCount === 0) {
+        continue;
+      }
+
+      try {
+        outputs[step] = await this.runCompletionStep(game, step);
+      } catch (error) {
+        console.error(`Game completion step '${step}' failed for ${game._id}:`, error);
+        failed.push(step);
+      }
+    }
+
+    if (failed.length > 0) {
+      await Game.updateOne(
+        { _id: game._id },
+        {
+          $addToSet: { 'completion.pendingSteps': { $each: failed } },
+          $inc: { 'completion.attempts': 1 }
+        }
+      );
+    }
+
+    return { outputs, failed };
+  }
+
+  // Redo completion steps that failed or never ran (run by the cleanup job)
+  static async retryFailedCompletions(limit = 50) {
     try {
-      const game = await Game.findOne({ 'session.sessionId': sessionId })
-        .populate('userId')
-        .populate('musicId');
+      const games = await Game.find({
+        'session.status': 'completed',
+        'session.endTime': { $lt: new Date(Date.now() - COMPLETION_RETRY_DELAY_MS) },
+        'completion.pendingSteps.0': { $exists: true },
+        'completion.attempts': { $lt: MAX_COMPLETION_ATTEMPTS }
+      })
+      .limit(limit)
+      .populate('userId')
+      .populate('musicId');
+
+      let recovered = 0;
+      for (const game of games) {
+        // Keep the configured order (streak before achievements)
+        const steps = COMPLETION_STEPS.filter(step => game.completion.pendingSteps.includes(step));
+        const { failed } = await this.runCompletionSteps(game, steps);
+        if (failed.length === 0) recovered += 1;
+      }
 
-      if (!game) {
-        throw new Error('Game session not found');
+      return { retried: games.length, recovered };
+
+    } catch (error) {
+      throw new Error(`Failed to retry game completions: ${error.message}`);
+    }
+  }
+
+  // Lowest tempo allowed in practice (normal games stop at 0.5)
+  static getPracticeMinSpeed() {
+    return parseFloat(process.env.PRACTICE_MIN_SPEED) || 0.25;
+  }
+
+  // Accuracy at which a section counts as mastered
+  static getMasteryAccuracy() {
+    return parseFloat(process.env.PRACTICE_MASTERY_ACCURACY) || 90;
+  }
+
+  // Pick the chart to play: an explicit name, else a chart of the requested
+  // difficulty, else the main sheet
+  static resolveChart(music, settings = {}) {
+    if (settings.chart) {
+      const chart = music.getChart(settings.chart);
+      if (!chart) {
+        throw new Error('Chart not found');
+      }
+      return chart;
+    }
+
+    if (settings.difficulty && settings.difficulty !== music.difficulty.level) {
+      const candidates = music.charts.filter(chart => chart.level === settings.difficulty);
+      const chart = candidates.find(c => c.hands === 'two') || candidates[0];
+      if (chart) return chart;
+    }
+
+    return music.getChart('main');
+  }
+
+  // Revisions only snapshot the main sheet; named charts have no revision history
+  static async getPlayedRevision(music, chart) {
+    return chart.name === 'main' ? await ChartService.ensureRevision(music) : undefined;
+  }
+
+  static getChartNotes(music, chartName) {
+    const chart = music.getChart(chartName);
+    if (!chart) {
+      throw new Error('Chart is no longer available');
+    }
+    return chart.notes;
+  }
+
+  // Resolve a section name/index or an explicit time range (ms)
+  static resolvePracticeRange(music, options = {}) {
+    const sections = music.sheet.sections || [];
+    const lastNote = music.sheet.notes.reduce((max, note) => Math.max(max, note.time), 0);
+
+    if (options.section !== undefined && options.section !== null) {
+      const section = typeof options.section === 'number'
+        ? sections[options.section]
+        : sections.find(s => s.name === options.section);
+
+      if (!section) {
+        throw new Error('Section not found');
       }
 
-      if (game.session.status !== 'active') {
-        throw new Error('Game is not active');
+      return { section: section.name, startTime: section.startTime, endTime: section.endTime };
+    }
+
+    const startTime = options.startTime !== undefined ? Number(options.startTime) : 0;
+    const endTime = options.endTime !== undefined ? Number(options.endTime) : lastNote;
+
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime < 0 || endTime <= startTime) {
+      throw new Error('Invalid practice time range');
+    }
+
+    return { section: null, startTime, endTime };
+  }
+
+  // Start a practice session on a section or time range
+  static async startPractice(userId, musicId, options = {}) {
+    try {
+      const music = await Music.findById(musicId);
+      if (!music || music.status !== 'published') {
+        throw new Error('Music not available');
       }
 
-      // Complete the game
-      await game.completeGame();
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
 
-      // Update user statistics
-      const gameData = {
-        score: game.scoring.totalScore,
-        accuracy: game.gameplay.accuracy,
-        playTime: game.session.duration
-      };
+      if (music.availability.premium && !user.subscriptions.premium.active) {
+        throw new Error('Premium subscription required');
+      }
 
-      await game.userId.updateStats(gameData);
+      const validation = this.validateGameSettings(options, 'practice');
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
 
-      // Update music statistics
-      await game.musicId.updateScore(game.scoring.totalScore, game.gameplay.accuracy);
+      const chart = this.resolveChart(music, options);
+      const range = this.resolvePracticeRange(music, options);
+      const notes = chart.notes.filter(note => note.time >= range.startTime && note.time <= range.endTime);
+      if (notes.filter(n => n.type !== 'pause').length === 0) {
+        throw new Error('No notes in the selected range');
+      }
+
+      const game = new Game({
+        userId,
+        musicId,
+        mode: 'practice',
+        chart: chart.name,
+        chartHash: music.getChartHash(chart.notes),
+        chartRevision: await this.getPlayedRevision(music, chart),
+        session: {
+          sessionId: crypto.randomUUID(),
+          startTime: new Date(),
+          status: 'active'
+        },
+        practice: {
+          ...range,
+          loop: !!options.loop
+        },
+        settings: {
+          difficulty: chart.level,
+          speed: options.speed || 1.0,
+          soundEnabled: options.soundEnabled !== false,
+          visualEffects: options.visualEffects !== false
+        },
+        judging: {
+          windows: this.getJudgeWindows(),
+          serialized: true
+        },
+        metadata: {
+          platform: options.platform || 'web',
+          clientIP: options.clientIP,
+          userAgent: options.userAgent
+        }
+      });
+
+      await game.save();
 
       return {
         success: true,
-        results: {
-          score: game.scoring.totalScore,
-          accuracy: game.gameplay.accuracy,
-          combo: game.gameplay.maxCombo,
-          duration: game.session.duration,
-          rewards: game.rewards,
-          achievements: game.achievements
+        game: {
+          id: game._id,
+          sessionId: game.session.sessionId,
+          mode: game.mode,
+          music: {
+            id: music._id,
+            title: music.title,
+            artist: music.artist,
+            audio: music.audio,
+            sections: music.sheet.sections
+          },
+          practice: {
+            section: range.section,
+            startTime: range.startTime,
+            endTime: range.endTime,
+            loop: game.practice.loop
+          },
+          notes,
+          settings: game.settings,
+          judgeWindows: game.judging.windows
         }
       };
 
     } catch (error) {
-      throw new Error(`Failed to end game: ${error.message}`);
+      throw new Error(`Failed to start practice: ${error.message}`);
+    }
+  }
+
+  // Close the current pass: unplayed notes are misses, section stats are merged (no save)
+  static finishPracticePass(game, music) {
+    const range = game.getJudgedRange();
+    const judged = this.getJudgedNotes(game.keystrokes, game.practice.passStartKeystroke);
+
+    const notes = this.getChartNotes(music, game.chart);
+
+    game.registerUnplayedNotes(
+      this.countUnplayedNotes(notes, game.judging.consumedNotes, game)
+    );
+
+    const stats = this.computeSectionStats(notes, music.sheet.sections, judged, range);
+    game.mergeSectionStats(stats);
+
+    const total = stats.reduce((sum, s) => sum + s.totalNotes, 0);
+    const perfect = stats.reduce((sum, s) => sum + s.perfectNotes, 0);
+    const good = stats.reduce((sum, s) => sum + s.goodNotes, 0);
+
+    game.practice.passes.push({
+      totalNotes: total,
+      perfectNotes: perfect,
+      goodNotes: good,
+      missedNotes: total - perfect - good,
+      accuracy: total > 0 ? ((perfect + good) / total) * 100 : 0
+    });
+
+    // Next pass can hit every note again
+    game.judging.consumedNotes = [];
+    game.gameplay.currentCombo = 0;
+    game.practice.passStartKeystroke = game.keystrokes.length;
+
+    return game.practice.passes[game.practice.passes.length - 1];
+  }
+
+  // Loop back to the start of the practice range
+  static async loopPractice(sessionId, userId) {
+    try {
+      return await this.withVersionRetry(async () => {
+        const game = await Game.findOne({ 'session.sessionId': sessionId, userId })
+          .populate('musicId', 'sheet charts difficulty features');
+
+        if (!game || game.session.status !== 'active' || game.mode !== 'practice') {
+          throw new Error('Practice session not found or not active');
+        }
+
+        if (!game.practice.loop) {
+          throw new Error('Looping is not enabled for this session');
+        }
+
+        const pass = this.finishPracticePass(game, game.musicId);
+        await game.save();
+
+        return {
+          success: true,
+          pass,
+          passNumber: game.practice.passes.length,
+          sectionStats: game.sectionStats
+        };
+      });
+
+    } catch (error) {
+      throw new Error(`Failed to loop practice: ${error.message}`);
+    }
+  }
+
+  // Practice end: no rewards, stats, leaderboards or achievements
+  static async endPractice(game) {
+    const hasOpenPass = game.keystrokes.length > game.practice.passStartKeystroke ||
+      game.practice.passes.length === 0;
+    if (hasOpenPass) {
+      this.finishPracticePass(game, game.musicId);
+    }
+
+    await game.completeGame();
+
+    return {
+      success: true,
+      results: {
+        mode: 'practice',
+        accuracy: game.gameplay.accuracy,
+        combo: game.gameplay.maxCombo,
+        duration: game.session.duration,
+        passes: game.practice.passes,
+        sectionStats: game.sectionStats
+      }
+    };
+  }
+
+  // Section mastery for a song across the player's games
+  static async getSectionProgress(userId, musicId) {
+    try {
+      const music = await Music.findById(musicId).select('title artist sheet.sections');
+      if (!music) {
+        throw new Error('Music not found');
+      }
+
+      const games = await Game.find({
+        userId,
+        musicId,
+        'session.status': 'completed',
+        'sectionStats.0': { $exists: true }
+      })
+      .sort({ createdAt: 1 })
+      .select('mode sectionStats createdAt');
+
+      const threshold = this.getMasteryAccuracy();
+      const progress = new Map();
+
+      games.forEach(game => {
+        game.sectionStats.forEach(stat => {
+          const id = `${stat.name}:${stat.startTime}:${stat.endTime}`;
+          const entry = progress.get(id) || {
+            name: stat.name,
+            startTime: stat.startTime,
+            endTime: stat.endTime,
+            attempts: 0,
+            practiceAttempts: 0,
+            bestAccuracy: 0,
+            lastAccuracy: 0,
+            lastPlayed: null
+          };
+
+          entry.attempts += 1;
+          if (game.mode === 'practice') entry.practiceAttempts += 1;
+          entry.bestAccuracy = Math.max(entry.bestAccuracy, stat.accuracy);
+          entry.lastAccuracy = stat.accuracy;
+          entry.lastPlayed = game.createdAt;
+
+          progress.set(id, entry);
+        });
+      });
+
+      const sections = Array.from(progress.values())
+        .map(entry => ({ ...entry, mastered: entry.lastAccuracy >= threshold }))
+        .sort((a, b) => a.startTime - b.startTime);
+
+      return {
+        success: true,
+        music: {
+          id: music._id,
+          title: music.title,
+          artist: music.artist
+        },
+        masteryAccuracy: threshold,
+        sections,
+        mastered: sections.filter(s => s.mastered).length
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get section progress: ${error.message}`);
     }
   }
 
@@ -213,13 +764,15 @@ class GameService {
   // Pause game
   static async pauseGame(sessionId) {
     try {
-      const game = await Game.findOne({ 'session.sessionId': sessionId });
-      
-      if (!game || game.session.status !== 'active') {
-        throw new Error('Game session not found or not active');
-      }
+      await this.withVersionRetry(async () => {
+        const game = await Game.findOne({ 'session.sessionId': sessionId });
 
-      await game.pauseGame();
+        if (!game || game.session.status !== 'active') {
+          throw new Error('Game session not found or not active');
+        }
+
+        await game.pauseGame();
+      });
 
       return {
         success: true,
@@ -234,13 +787,15 @@ class GameService {
   // Resume game
   static async resumeGame(sessionId) {
     try {
-      const game = await Game.findOne({ 'session.sessionId': sessionId });
-      
-      if (!game || game.session.status !== 'paused') {
-        throw new Error('Game session not found or not paused');
-      }
+      await this.withVersionRetry(async () => {
+        const game = await Game.findOne({ 'session.sessionId': sessionId });
+
+        if (!game || game.session.status !== 'paused') {
+          throw new Error('Game session not found or not paused');
+        }
 
-      await game.resumeGame();
+        await game.resumeGame();
+      });
 
       return {
         success: true,
@@ -255,13 +810,15 @@ class GameService {
   // Abandon game
   static async abandonGame(sessionId) {
     try {
-      const game = await Game.findOne({ 'session.sessionId': sessionId });
-      
-      if (!game) {
-        throw new Error('Game session not found');
-      }
+      await this.withVersionRetry(async () => {
+        const game = await Game.findOne({ 'session.sessionId': sessionId });
+
+        if (!game) {
+          throw new Error('Game session not found');
+        }
 
-      await game.abandonGame();
+        await game.abandonGame();
+      });
 
       return {
         success: true,
@@ -365,16 +922,328 @@ class GameService {
     return (difficultyMultipliers[difficulty] || 1.0) * speedMultiplier;
   }
 
+  // Timing windows (ms) for perfect/good judgements
+  static getJudgeWindows() {
+    return {
+      perfect: parseFloat(process.env.JUDGE_PERFECT_WINDOW) || 50,
+      good: parseFloat(process.env.JUDGE_GOOD_WINDOW) || 120
+    };
+  }
+
+  // Windows the session was started with (falls back to current config)
+  static getSessionJudgeWindows(game) {
+    const windows = game.judging && game.judging.windows;
+    if (windows && windows.perfect && windows.good) {
+      return { perfect: windows.perfect, good: windows.good };
+    }
+    return this.getJudgeWindows();
+  }
+
+  // Widen the windows while time_slow is active
+  static getEffectiveJudgeWindows(windows, effects = {}) {
+    const scale = effects.windowScale || 1;
+    return {
+      perfect: windows.perfect * scale,
+      good: windows.good * scale
+    };
+  }
+
+  // Convert key name (C4, D#4, Eb4) to MIDI note number
+  static keyToMidi(key) {
+    const match = /^([A-G])([#b])?(-?[0-9])$/.exec(String(key || '').trim());
+    if (!match) return null;
+
+    const semitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    let pitch = semitones[match[1]];
+    if (match[2] === '#') pitch += 1;
+    if (match[2] === 'b') pitch -= 1;
+
+    return (parseInt(match[3]) + 1) * 12 + pitch;
+  }
+
+  // Match a keystroke to the closest unplayed note with the same pitch
+  static judgeKeystroke(notes, consumedNotes, key, timestamp, windows = this.getJudgeWindows(), range = null) {
+    const pitch = this.keyToMidi(key);
+    const consumed = new Set(consumedNotes);
+    let best = null;
+
+    if (pitch !== null && typeof timestamp === 'number') {
+      notes.forEach((note, index) => {
+        if (note.type === 'pause' || consumed.has(index)) return;
+        if (!this.isInRange(note, range)) return;
+        if (this.keyToMidi(note.key) !== pitch) return;
+
+        const offset = timestamp - note.time;
+        if (Math.abs(offset) > windows.good) return;
+
+        if (!best || Math.abs(offset) < Math.abs(best.offset)) {
+          best = { noteIndex: index, offset };
+        }
+      });
+    }
+
+    if (!best) {
+      return { accuracy: 'miss', noteIndex: null, offset: null };
+    }
+
+    return {
+      accuracy: Math.abs(best.offset) <= windows.perfect ? 'perfect' : 'good',
+      noteIndex: best.noteIndex,
+      offset: Math.round(best.offset)
+    };
+  }
+
+  // Count playable notes that were never matched by a keystroke
+  // (notes covered by an auto_play power-up are played for the user)
+  static countUnplayedNotes(notes, consumedNotes, game = null) {
+    const consumed = new Set(consumedNotes);
+    const range = game ? game.getJudgedRange() : null;
+    return notes.filter((note, index) => {
+      if (note.type === 'pause' || consumed.has(index)) return false;
+      if (!this.isInRange(note, range)) return false;
+      return !(game && game.getActiveEffects(note.time).autoPlay);
+    }).length;
+  }
+
+  static isInRange(note, range) {
+    return !range || (note.time >= range.startTime && note.time <= range.endTime);
+  }
+
+  // Per-section hit counts for notes in range; judged maps noteIndex -> accuracy
+  static computeSectionStats(notes, sections, judged, range = null) {
+    const buckets = new Map();
+
+    notes.forEach((note, index) => {
+      if (note.type === 'pause' || !this.isInRange(note, range)) return;
+
+      const section = sections.find(s => note.time >= s.startTime && note.time < s.endTime);
+      const bucketSection = section || {
+        name: null,
+        startTime: range ? range.startTime : 0,
+        endTime: range ? range.endTime : null
+      };
+      const id = `${bucketSection.name}:${bucketSection.startTime}:${bucketSection.endTime}`;
+
+      if (!buckets.has(id)) {
+        buckets.set(id, {
+          name: bucketSection.name,
+          startTime: bucketSection.startTime,
+          endTime: bucketSection.endTime,
+          totalNotes: 0,
+          perfectNotes: 0,
+          goodNotes: 0
+        });
+      }
+
+      const bucket = buckets.get(id);
+      bucket.totalNotes += 1;
+      if (judged.get(index) === 'perfect') bucket.perfectNotes += 1;
+      if (judged.get(index) === 'good') bucket.goodNotes += 1;
+    });
+
+    return Array.from(buckets.values());
+  }
+
+  // Judged notes from keystrokes starting at a given position
+  static getJudgedNotes(keystrokes, from = 0) {
+    const judged = new Map();
+    keystrokes.slice(from).forEach(k => {
+      if (typeof k.noteIndex === 'number') {
+        judged.set(k.noteIndex, k.accuracy);
+      }
+    });
+    return judged;
+  }
+
+  // Power-ups that can be bought with coins and activated in game
+  static getPowerUpCatalog() {
+    return {
+      double_score: {
+        name: 'Double Score',
+        price: 50,
+        duration: 15,
+        effect: { scoreMultiplier: 2 }
+      },
+      time_slow: {
+        name: 'Time Slow',
+        price: 40,
+        duration: 10,
+        effect: { windowScale: 1.5 }
+      },
+      auto_play: {
+        name: 'Auto Play',
+        price: 80,
+        duration: 8,
+        effect: { autoPlay: true, protectCombo: true }
+      },
+      shield: {
+        name: 'Shield',
+        price: 30,
+        duration: 20,
+        effect: { protectCombo: true }
+      },
+      coin_boost: {
+        name: 'Coin Boost',
+        price: 60,
+        duration: 30,
+        effect: { coinMultiplier: 2 }
+      }
+    };
+  }
+
+  static getMaxPowerUpsPerSession() {
+    return parseInt(process.env.MAX_POWERUPS_PER_SESSION) || 3;
+  }
+
+  // Buy power-ups with coins
+  static async purchasePowerUp(userId, type, quantity = 1) {
+    try {
+      const item = this.getPowerUpCatalog()[type];
+      if (!item) {
+        throw new Error('Invalid power-up type');
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > 20) {
+        throw new Error('Quantity must be between 1 and 20');
+      }
+
+      const cost = item.price * quantity;
+
+      // Charge and stock in one update: concurrent buys or activations can't lose a change
+      const user = await User.findOneAndUpdate(
+        { _id: userId, 'coins.available': { $gte: cost } },
+        { $inc: { 'coins.available': -cost, [`inventory.powerUps.${type}`]: quantity } },
+        { new: true }
+      );
+      if (!user) {
+        const exists = await User.exists({ _id: userId });
+        throw new Error(exists ? 'Insufficient coins' : 'User not found');
+      }
+
+      const transaction = new Transaction({
+        userId,
+        type: 'purchase',
+        amount: cost,
+        currency: 'BIGCOIN',
+        description: `Purchased ${quantity}x ${item.name}`,
+        status: 'completed',
+        metadata: {
+          item: {
+            type,
+            quantity,
+            unitPrice: item.price
+          }
+        },
+        audit: {
+          createdBy: 'user'
+        }
+      });
+
+      await transaction.save();
+
+      return {
+        success: true,
+        transactionId: transaction.transactionId,
+        inventory: user.inventory.powerUps,
+        newBalance: user.coins.available
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to purchase power-up: ${error.message}`);
+    }
+  }
+
+  // Activate a power-up from the inventory during a session
+  static async activatePowerUp(sessionId, userId, type, timestamp) {
+    try {
+      const item = this.getPowerUpCatalog()[type];
+      if (!item) {
+        throw new Error('Invalid power-up type');
+      }
+
+      return await this.withVersionRetry(async () => {
+        const game = await Game.findOne({ 'session.sessionId': sessionId, userId });
+        if (!game || game.session.status !== 'active') {
+          throw new Error('Game session not found or not active');
+        }
+
+        if (game.mode === 'practice') {
+          throw new Error('Power-ups cannot be used in practice');
+        }
+
+        // Rated play must be decided by skill, not by inventory
+        if (game.settings.ranked || game.matchId) {
+          throw new Error('Power-ups cannot be used in ranked games or matches');
+        }
+
+        if (game.powerUps.length >= this.getMaxPowerUpsPerSession()) {
+          throw new Error('Power-up limit reached for this session');
+        }
+
+        // Song-relative activation time, cannot be backdated before the last keystroke
+        const lastKeystroke = game.keystrokes[game.keystrokes.length - 1];
+        const lastTimestamp = lastKeystroke ? lastKeystroke.timestamp : 0;
+        const activatedAt = typeof timestamp === 'number' ? timestamp : lastTimestamp;
+
+        if (activatedAt < lastTimestamp) {
+          throw new Error('Power-up cannot be activated in the past');
+        }
+
+        if (game.getActivePowerUps(activatedAt).some(p => p.type === type)) {
+          throw new Error('Power-up is already active');
+        }
+
+        // Atomically take one from the inventory
+        const user = await User.findOneAndUpdate(
+          { _id: userId, [`inventory.powerUps.${type}`]: { $gt: 0 } },
+          { $inc: { [`inventory.powerUps.${type}`]: -1 } },
+          { new: true }
+        );
+
+        if (!user) {
+          throw new Error('No power-up of this type in inventory');
+        }
+
+        game.powerUps.push({
+          type,
+          activatedAt,
+          duration: item.duration,
+          effect: item.effect
+        });
+
+        try {
+          await game.save();
+        } catch (saveError) {
+          // Give the power-up back; a version conflict retries the whole activation
+          await User.updateOne({ _id: userId }, { $inc: { [`inventory.powerUps.${type}`]: 1 } });
+          throw saveError;
+        }
+
+        return {
+          success: true,
+          powerUp: game.powerUps[game.powerUps.length - 1],
+          remaining: user.inventory.powerUps[type],
+          activeCount: game.powerUps.length,
+          limit: this.getMaxPowerUpsPerSession()
+        };
+      });
+
+    } catch (error) {
+      throw new Error(`Failed to activate power-up: ${error.message}`);
+    }
+  }
+
   // Validate game settings
-  static validateGameSettings(settings) {
+  static validateGameSettings(settings, mode = 'normal') {
     const errors = [];
+    const minSpeed = mode === 'practice' ? this.getPracticeMinSpeed() : 0.5;
 
     if (settings.difficulty && !['easy', 'medium', 'hard', 'expert'].includes(settings.difficulty)) {
       errors.push('Invalid difficulty level');
     }
 
-    if (settings.speed && (settings.speed < 0.5 || settings.speed > 2.0)) {
-      errors.push('Speed must be between 0.5 and 2.0');
+    if (settings.speed && (settings.speed < minSpeed || settings.speed > 2.0)) {
+      errors.push(`Speed must be between ${minSpeed} and 2.0`);
     }
 
     if (typeof settings.autoPlay !== 'undefined' && typeof settings.autoPlay !== 'boolean') {
@@ -415,6 +1284,7 @@ class GameService {
           weakKeys: this.findWeakKeys(game.keystrokes),
           comboBreakers: this.findComboBreakers(game.keystrokes)
         },
+        sections: game.sectionStats,
         recommendations: this.generateRecommendations(game)
       };
 
@@ -445,7 +1315,8 @@ class GameService {
     const recentGames = await Game.find({
       userId,
       musicId,
-      'session.status': 'completed'
+      'session.status': 'completed',
+      mode: { $ne: 'practice' }
     })
     .sort({ createdAt: -1 })
     .limit(5);
@@ -584,6 +1455,282 @@ class GameService {
     return recommendations;
   }
 
+  // Serialize a completed game into the compact replay format
+  static buildReplay(game) {
+    let previousTime = 0;
+
+    // Keystrokes are stored as [delta ms, key, reaction ms]
+    const keystrokes = game.keystrokes.map(k => {
+      const delta = k.timestamp - previousTime;
+      previousTime = k.timestamp;
+      return [delta, k.key, k.reactionTime || 0];
+    });
+
+    const music = game.populated('musicId') ? game.musicId : null;
+    const player = game.populated('userId') ? game.userId : null;
+
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_FORMAT_VERSION,
+      gameId: game._id,
+      music: {
+        id: music ? music._id : game.musicId,
+        title: music ? music.title : undefined,
+        artist: music ? music.artist : undefined,
+        chart: game.chart,
+        chartHash: game.chartHash,
+        chartRevision: game.chartRevision
+      },
+      player: player ? { id: player._id, username: player.username, avatar: player.avatar } : undefined,
+      playedAt: game.session.startTime,
+      settings: {
+        difficulty: game.settings.difficulty,
+        speed: game.settings.speed
+      },
+      judgeWindows: this.getSessionJudgeWindows(game),
+      serializedJudging: !!game.judging.serialized,
+      powerUps: game.powerUps.map(p => [p.type, p.activatedAt, p.duration, p.effect]),
+      keystrokes,
+      result: {
+        totalScore: game.scoring.totalScore,
+        accuracy: game.gameplay.accuracy,
+        maxCombo: game.gameplay.maxCombo
+      }
+    };
+  }
+
+  // Expand delta-encoded replay keystrokes back to song-relative timestamps
+  static decodeReplayKeystrokes(keystrokes) {
+    let time = 0;
+    return keystrokes.map(([delta, key, reactionTime]) => {
+      time += delta;
+      return { timestamp: time, key, reactionTime };
+    });
+  }
+
+  // Deterministically re-score a replay against a chart
+  static simulateReplay(replay, notes) {
+    if (replay.format !== REPLAY_FORMAT || replay.version !== REPLAY_FORMAT_VERSION) {
+      throw new Error('Unsupported replay format');
+    }
+
+    // In-memory game, never saved
+    const game = new Game({
+      musicId: replay.music.id,
+      session: { sessionId: `replay_${replay.gameId}` },
+      settings: replay.settings,
+      scoring: {
+        multiplier: this.calculateMultiplier(replay.settings.difficulty, replay.settings.speed)
+      },
+      powerUps: replay.powerUps.map(([type, activatedAt, duration, effect]) => ({
+        type,
+        activatedAt,
+        duration,
+        effect
+      }))
+    });
+
+    this.decodeReplayKeystrokes(replay.keystrokes).forEach(({ timestamp, key, reactionTime }) => {
+      const judgement = this.judgeKeystroke(
+        notes,
+        game.judging.consumedNotes,
+        key,
+        timestamp,
+        this.getEffectiveJudgeWindows(replay.judgeWindows, game.getActiveEffects(timestamp))
+      );
+
+      game.applyKeystroke(key, judgement.accuracy, reactionTime, {
+        timestamp,
+        noteIndex: judgement.noteIndex,
+        offset: judgement.offset
+      });
+    });
+
+    game.registerUnplayedNotes(this.countUnplayedNotes(notes, game.judging.consumedNotes, game));
+
+    return {
+      totalScore: game.calculateTotalScore(),
+      accuracy: game.gameplay.accuracy,
+      maxCombo: game.gameplay.maxCombo
+    };
+  }
+
+  // Re-simulate a replay and compare with the stored result
+  static async verifyReplay(replay) {
+    const music = await Music.findById(replay.music.id).select('sheet.notes charts difficulty features');
+    if (!music) {
+      throw new Error('Music not found');
+    }
+
+    const chart = music.getChart(replay.music.chart);
+    const chartMatches = !!chart && music.getChartHash(chart.notes) === replay.music.chartHash;
+    let notes = chart ? chart.notes : [];
+    let revision = null;
+
+    // Chart was edited since: re-score against the revision the replay was played on
+    if (!chartMatches) {
+      // Only the main sheet has revisions; an edited named chart can't be checked,
+      // which is inconclusive rather than a sign of tampering
+      const mainChart = (replay.music.chart || 'main') === 'main';
+      if (mainChart) {
+        revision = await ChartRevision.findOne({ musicId: music._id, chartHash: replay.music.chartHash })
+          .sort({ number: -1 });
+      }
+
+      if (!revision) {
+        return {
+          verified: mainChart ? false : null,
+          chartHistory: mainChart,
+          legacyJudging: !replay.serializedJudging,
+          chartMatches: false,
+          storedScore: replay.result.totalScore,
+          simulatedScore: null
+        };
+      }
+
+      notes = revision.sheet.notes;
+    }
+
+    const simulated = this.simulateReplay(replay, notes);
+    const matches = simulated.totalScore === replay.result.totalScore;
+
+    return {
+      // Games judged before keystrokes were serialized could score concurrent chord
+      // keys out of order, so a mismatch there is inconclusive rather than a failure
+      verified: matches || replay.serializedJudging ? matches : null,
+      legacyJudging: !replay.serializedJudging,
+      chartMatches,
+      chartRevision: revision ? revision.number : undefined,
+      storedScore: replay.result.totalScore,
+      simulatedScore: simulated.totalScore
+    };
+  }
+
+  // Get replay for the owner, creating a share link on first request
+  static async getReplay(gameId, userId) {
+    try {
+      const game = await Game.findOne({ _id: gameId, userId, mode: { $ne: 'practice' }, 'session.status': 'completed' })
+        .populate('musicId', 'title artist')
+        .populate('userId', 'username avatar');
+
+      if (!game) {
+        throw new Error('Completed game not found');
+      }
+
+      if (!game.replay.shareId) {
+        game.replay.shareId = crypto.randomBytes(12).toString('base64url');
+        game.replay.sharedAt = new Date();
+        await game.save();
+      }
+
+      const replay = this.buildReplay(game);
+      const verification = await this.verifyReplay(replay);
+
+      return {
+        success: true,
+        replay,
+        verification,
+        shareId: game.replay.shareId,
+        shareUrl: `/api/game/replays/${game.replay.shareId}`
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get replay: ${error.message}`);
+    }
+  }
+
+  // Get replay from a public share link
+  static async getSharedReplay(shareId) {
+    try {
+      const game = await Game.findOne({ 'replay.shareId': shareId, 'session.status': 'completed' })
+        .populate('musicId', 'title artist')
+        .populate('userId', 'username avatar');
+
+      if (!game) {
+        throw new Error('Replay not found');
+      }
+
+      const replay = this.buildReplay(game);
+      const verification = await this.verifyReplay(replay);
+
+      return {
+        success: true,
+        replay,
+        verification
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get shared replay: ${error.message}`);
+    }
+  }
+
+  // Check that a viewer may spectate a live session and return a snapshot
+  static async getSpectatableSession(sessionId, viewerId) {
+    try {
+      const game = await Game.findOne({
+        'session.sessionId': sessionId,
+        'session.status': { $in: ['active', 'paused'] }
+      })
+      .populate('userId', 'username avatar preferences friends')
+      .populate('musicId', 'title artist duration');
+
+      if (!game) {
+        throw new Error('Live session not found');
+      }
+
+      if (!game.userId.allowsSpectator(viewerId)) {
+        throw new Error('This player does not allow spectators');
+      }
+
+      return {
+        sessionId: game.session.sessionId,
+        status: game.session.status,
+        startTime: game.session.startTime,
+        player: {
+          id: game.userId._id,
+          username: game.userId.username,
+          avatar: game.userId.avatar
+        },
+        music: game.musicId,
+        gameplay: game.gameplay,
+        totalScore: game.scoring.totalScore
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to spectate: ${error.message}`);
+    }
+  }
+
+  // List live sessions open to the public
+  static async getLiveSessions(limit = 20) {
+    try {
+      const sessions = await Game.getLiveSessions(limit);
+
+      return {
+        success: true,
+        sessions,
+        total: sessions.length
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get live sessions: ${error.message}`);
+    }
+  }
+
+  // Shape check shared by the REST and socket keystroke inputs; returns an error message or null.
+  // Client accuracy is advisory only, the server judges the keystroke
+  static validateKeystrokeInput({ key, timestamp, accuracy } = {}) {
+    if (!key || typeof timestamp !== 'number' || timestamp < 0) {
+      return 'Key and a song-relative timestamp are required';
+    }
+
+    if (accuracy && !['perfect', 'good', 'miss'].includes(accuracy)) {
+      return 'Invalid accuracy value';
+    }
+
+    return null;
+  }
+
   // Validate active game session
   static async validateSession(sessionId, userId) {
     try {
@@ -610,8 +1757,12 @@ class GameService {
           'session.startTime': { $lt: expiredTime }
         },
         {
-          'session.status': 'abandoned',
-          'session.endTime': new Date()
+          $set: {
+            'session.status': 'abandoned',
+            'session.endTime': new Date()
+          },
+          // Bump the version so a keystroke save still in flight fails instead of landing
+          $inc: { __v: 1 }
         }
       );
 
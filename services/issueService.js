@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Music = require('../models/Music');
+const User = require('../models/User');
+
+const ISSUE_TYPES = ['audio_quality', 'sync_issue', 'wrong_notes', 'copyright', 'inappropriate'];
+const ACTIVE_STATUSES = ['open', 'investigating'];
+
+class IssueService {
+
+  // Distinct copyright reporters needed to pull a song from the catalog
+  static getCopyrightThreshold() {
+    return parseInt(process.env.COPYRIGHT_REPORT_THRESHOLD) || 3;
+  }
+
+  static getIssueTypes() {
+    return ISSUE_TYPES;
+  }
+
+  // Allowed status changes; closed issues can only be reopened
+  static getTransitions() {
+    return {
+      open: ['investigating', 'resolved', 'rejected'],
+      investigating: ['open', 'resolved', 'rejected'],
+      resolved: ['open'],
+      rejected: ['open']
+    };
+  }
+
+  static async findByIssue(issueId) {
+    if (!mongoose.Types.ObjectId.isValid(issueId)) {
+      throw new Error('Issue not found');
+    }
+
+    const music = await Music.findOne({ 'quality.issues._id': issueId });
+    if (!music) {
+      throw new Error('Issue not found');
+    }
+
+    return { music, issue: music.quality.issues.id(issueId) };
+  }
+
+  // Published songs with enough open copyright reports go back to the review queue
+  static unpublishIfNeeded(music) {
+    if (music.status !== 'published') {
+      return false;
+    }
+
+    const reporters = new Set(
+      music.quality.issues
+        .filter(issue => issue.type === 'copyright' && ACTIVE_STATUSES.includes(issue.status))
+        .map(issue => issue.reportedBy.toString())
+    );
+
+    if (reporters.size < this.getCopyrightThreshold()) {
+      return false;
+    }
+
+    music.moderation.submittedAt = new Date();
+    music.recordStatusChange('unpublish', 'pending', null, `Unpublished after ${reporters.size} copyright reports`);
+    return true;
+  }
+
+  static async reportIssue(musicId, user, type, description) {
+    try {
+      const music = await Music.findById(musicId);
+      if (!music || music.status === 'deleted') {
+        throw new Error('Music not found');
+      }
+
+      const duplicate = music.quality.issues.some(issue =>
+        issue.type === type &&
+        issue.reportedBy.toString() === user._id.toString() &&
+        ACTIVE_STATUSES.includes(issue.status)
+      );
+      if (duplicate) {
+        throw new Error('You already reported this issue');
+      }
+
+      music.quality.issues.push({
+        type,
+        description,
+        reportedBy: user._id,
+        history: [{ status: 'open', by: user._id }]
+      });
+
+      const unpublished = this.unpublishIfNeeded(music);
+      await music.save();
+
+      return {
+        success: true,
+        issue: music.quality.issues[music.quality.issues.length - 1],
+        unpublished
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to report issue: ${error.message}`);
+    }
+  }
+
+  // Triage list across all songs
+  static async listIssues(filters = {}, viewer) {
+    try {
+      const page = Math.max(1, parseInt(filters.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+
+      ['assignedTo', 'musicId'].forEach(field => {
+        const value = filters[field];
+        if (value && !['me', 'unassigned'].includes(value) && !mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error(`Invalid ${field}`);
+        }
+      });
+
+      const match = {};
+      match['quality.issues.status'] = filters.status || 'open';
+      if (filters.type) {
+        match['quality.issues.type'] = filters.type;
+      }
+      if (filters.assignedTo === 'me') {
+        match['quality.issues.assignedTo'] = viewer._id;
+      } else if (filters.assignedTo === 'unassigned') {
+        match['quality.issues.assignedTo'] = null;
+      } else if (filters.assignedTo) {
+        match['quality.issues.assignedTo'] = new mongoose.Types.ObjectId(filters.assignedTo);
+      }
+      if (filters.musicId) {
+        match._id = new mongoose.Types.ObjectId(filters.musicId);
+      }
+
+      const [result] = await Music.aggregate([
+        { $match: match },
+        { $unwind: '$quality.issues' },
+        { $match: match },
+        { $sort: { 'quality.issues.reportedAt': 1 } },
+        {
+          $facet: {
+            items: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  issue: '$quality.issues',
+                  music: {
+                    _id: '$_id',
+                    title: '$title',
+                    artist: '$artist',
+                    status: '$status'
+                  }
+                }
+              }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const items = result.items.map(item => ({
+        ...item.issue,
+        history: undefined,
+        music: item.music
+      }));
+
+      // Resolve reporter/assignee names in one query
+      const userIds = new Set();
+      items.forEach(item => {
+        userIds.add(item.reportedBy.toString());
+        if (item.assignedTo) userIds.add(item.assignedTo.toString());
+      });
+      const users = await User.find({ _id: { $in: Array.from(userIds) } }).select('username avatar');
+      const byId = new Map(users.map(u => [u._id.toString(), { _id: u._id, username: u.username, avatar: u.avatar }]));
+
+      items.forEach(item => {
+        item.reportedBy = byId.get(item.reportedBy.toString()) || item.reportedBy;
+        if (item.assignedTo) {
+          item.assignedTo = byId.get(item.assignedTo.toString()) || item.assignedTo;
+        }
+      });
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+
+      return {
+        success: true,
+        issues: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to list issues: ${error.message}`);
+    }
+  }
+
+  // Assign to a moderator; no assignee means unassign
+  static async assignIssue(issueId, moderator, assigneeId) {
+    try {
+      const { music, issue } = await this.findByIssue(issueId);
+
+      let assignee = null;
+      if (assigneeId) {
+        assignee = await User.findById(assigneeId).select('username role permissions');
+        if (!assignee || !assignee.hasPermission('issue:manage')) {
+          throw new Error('Assignee must be a moderator');
+        }
+      }
+
+      issue.assignedTo = assignee ? assignee._id : undefined;
+      issue.assignedAt = assignee ? new Date() : undefined;
+      issue.history.push({
+        status: issue.status,
+        assignedTo: issue.assignedTo,
+        by: moderator._id,
+        note: assignee ? `Assigned to ${assignee.username}` : 'Unassigned'
+      });
+
+      await music.save();
+
+      return {
+        success: true,
+        issue
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to assign issue: ${error.message}`);
+    }
+  }
+
+  static async updateIssueStatus(issueId, moderator, status, note) {
+    try {
+      const { music, issue } = await this.findByIssue(issueId);
+
+      const allowed = this.getTransitions()[issue.status] || [];
+      if (!allowed.includes(status)) {
+        throw new Error(`Cannot change issue from ${issue.status} to ${status}`);
+      }
+
+      const closing = status === 'resolved' || status === 'rejected';
+      if (closing && (!note || !note.trim())) {
+        throw new Error('A resolution note is required');
+      }
+
+      issue.status = status;
+      issue.resolution = closing
+        ? { note: note.trim(), by: moderator._id, at: new Date() }
+        : undefined;
+      issue.history.push({
+        status,
+        assignedTo: issue.assignedTo,
+        by: moderator._id,
+        note: note ? note.trim() : undefined
+      });
+
+      // A reopened copyright report counts towards the threshold again
+      const unpublished = this.unpublishIfNeeded(music);
+      await music.save();
+
+      return {
+        success: true,
+        issue,
+        music: {
+          _id: music._id,
+          title: music.title,
+          status: music.status
+        },
+        unpublished
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to update issue: ${error.message}`);
+    }
+  }
+
+  // Reports filed by a user with their current status and resolution
+  static async getMyReports(userId, limit = 50) {
+    try {
+      const reports = await Music.aggregate([
+        { $match: { 'quality.issues.reportedBy': userId } },
+        { $unwind: '$quality.issues' },
+        { $match: { 'quality.issues.reportedBy': userId } },
+        { $sort: { 'quality.issues.reportedAt': -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: '$quality.issues._id',
+            type: '$quality.issues.type',
+            description: '$quality.issues.description',
+            status: '$quality.issues.status',
+            reportedAt: '$quality.issues.reportedAt',
+            resolution: '$quality.issues.resolution.note',
+            resolvedAt: '$quality.issues.resolution.at',
+            music: {
+              _id: '$_id',
+              title: '$title',
+              artist: '$artist'
+            }
+          }
+        }
+      ]);
+
+      return {
+        success: true,
+        reports
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get reports: ${error.message}`);
+    }
+  }
+
+  // Tell the reporter (if online) that their report changed status
+  static notifyReporter(io, result) {
+    if (!io || !result || !result.issue) return;
+
+    io.to(`user_${result.issue.reportedBy}`).emit('issue_update', {
+      issueId: result.issue._id,
+      musicId: result.music._id,
+      title: result.music.title,
+      type: result.issue.type,
+      status: result.issue.status,
+      resolution: result.issue.resolution ? result.issue.resolution.note : undefined
+    });
+  }
+}
+
+module.exports = IssueService;
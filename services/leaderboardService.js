@@ -0,0 +1,316 @@
+const LeaderboardEntry = require('../models/LeaderboardEntry');
+const Game = require('../models/Game');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Recent games remembered per entry; covers the completion retry window
+const COUNTED_GAMES_LIMIT = 100;
+
+class LeaderboardService {
+
+  // Bucket keys and start dates (UTC) of the periods a date falls in
+  static getPeriods(date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    // ISO week: the Thursday of the week decides the year
+    const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+    const weekStart = new Date(day.getTime() - (weekday - 1) * DAY_MS);
+    const thursday = new Date(day.getTime() + (4 - weekday) * DAY_MS);
+    const isoYear = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday - Date.UTC(isoYear, 0, 1)) / DAY_MS + 1) / 7);
+
+    return {
+      all: { key: 'all', startsAt: null },
+      month: {
+        key: `${year}-${String(month + 1).padStart(2, '0')}`,
+        startsAt: new Date(Date.UTC(year, month, 1))
+      },
+      week: {
+        key: `${isoYear}-W${String(week).padStart(2, '0')}`,
+        startsAt: weekStart
+      }
+    };
+  }
+
+  // Ordering: higher score, then higher accuracy, then whoever got there first
+  static betterThan(entry) {
+    return {
+      $or: [
+        { bestScore: { $gt: entry.bestScore } },
+        { bestScore: entry.bestScore, bestAccuracy: { $gt: entry.bestAccuracy } },
+        { bestScore: entry.bestScore, bestAccuracy: entry.bestAccuracy, bestAt: { $lt: entry.bestAt } }
+      ]
+    };
+  }
+
+  static worseThan(entry) {
+    return {
+      $or: [
+        { bestScore: { $lt: entry.bestScore } },
+        { bestScore: entry.bestScore, bestAccuracy: { $lt: entry.bestAccuracy } },
+        { bestScore: entry.bestScore, bestAccuracy: entry.bestAccuracy, bestAt: { $gt: entry.bestAt } }
+      ]
+    };
+  }
+
+  static getPlayerInfo(user) {
+    return {
+      username: user.username,
+      avatar: user.avatar,
+      level: user.statistics.level,
+      country: user.getCountry()
+    };
+  }
+
+  // Incremental update after a completed game
+  static async recordGame(game, user) {
+    try {
+      const musicId = game.populated('musicId') ? game.musicId._id : game.musicId;
+      const chart = game.chart || 'main';
+
+      // First game since the cache was introduced: backfill instead (includes this game)
+      const cached = await LeaderboardEntry.exists({ musicId, chart, period: 'all' });
+      if (!cached) {
+        await this.rebuild(musicId, chart);
+        return;
+      }
+
+      const playedAt = game.session.endTime || new Date();
+      const score = game.scoring.totalScore;
+      const accuracy = game.gameplay.accuracy;
+      const playerInfo = this.getPlayerInfo(user);
+
+      const periods = Object.values(this.getPeriods(playedAt));
+
+      await Promise.all(periods.map(async (period) => {
+        const key = { musicId, chart, userId: user._id, period: period.key };
+
+        await LeaderboardEntry.updateOne(key, { $set: playerInfo }, { upsert: true });
+
+        // Counted once per game, so a retried completion step doesn't add the play again
+        await LeaderboardEntry.updateOne(
+          { ...key, countedGameIds: { $ne: game._id } },
+          {
+            $inc: { totalPlays: 1 },
+            $max: { lastPlayed: playedAt },
+            $push: { countedGameIds: { $each: [game._id], $slice: -COUNTED_GAMES_LIMIT } }
+          }
+        );
+
+        // Only replace the best run when this one ranks higher
+        await LeaderboardEntry.updateOne(
+          {
+            ...key,
+            $or: [
+              { bestGameId: { $exists: false } },
+              { bestScore: { $lt: score } },
+              { bestScore: score, bestAccuracy: { $lt: accuracy } }
+            ]
+          },
+          {
+            $set: {
+              bestScore: score,
+              bestAccuracy: accuracy,
+              bestGameId: game._id,
+              bestAt: playedAt
+            }
+          }
+        );
+      }));
+
+    } catch (error) {
+      throw new Error(`Failed to update leaderboard: ${error.message}`);
+    }
+  }
+
+  // One-off backfill from the Game collection for charts played before the cache existed
+  static async rebuild(musicId, chart = 'main') {
+    try {
+      const periods = Object.values(this.getPeriods());
+      let written = 0;
+
+      for (const period of periods) {
+        const match = {
+          musicId,
+          chart: Game.chartFilter(chart),
+          'session.status': 'completed',
+          mode: { $ne: 'practice' }
+        };
+        if (period.startsAt) {
+          match.createdAt = { $gte: period.startsAt };
+        }
+
+        const rows = await Game.aggregate([
+          { $match: match },
+          { $sort: { 'scoring.totalScore': -1, 'gameplay.accuracy': -1, createdAt: 1 } },
+          {
+            $group: {
+              _id: '$userId',
+              bestScore: { $first: '$scoring.totalScore' },
+              bestAccuracy: { $first: '$gameplay.accuracy' },
+              bestGameId: { $first: '$_id' },
+              bestAt: { $first: '$createdAt' },
+              totalPlays: { $sum: 1 },
+              lastPlayed: { $max: '$createdAt' }
+            }
+          }
+        ]);
+
+        if (rows.length === 0) continue;
+
+        const users = await User.find({ _id: { $in: rows.map(r => r._id) } })
+          .select('username avatar statistics.level country kyc.personalInfo.address.country');
+        const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+        const operations = rows
+          .filter(row => byId.has(row._id.toString()))
+          .map(row => ({
+            updateOne: {
+              filter: { musicId, chart, userId: row._id, period: period.key },
+              update: {
+                $set: {
+                  bestScore: row.bestScore,
+                  bestAccuracy: row.bestAccuracy,
+                  bestGameId: row.bestGameId,
+                  bestAt: row.bestAt,
+                  totalPlays: row.totalPlays,
+                  lastPlayed: row.lastPlayed,
+                  ...this.getPlayerInfo(byId.get(row._id.toString()))
+                }
+              },
+              upsert: true
+            }
+          }));
+
+        if (operations.length > 0) {
+          await LeaderboardEntry.bulkWrite(operations);
+          written += operations.length;
+        }
+      }
+
+      return written;
+
+    } catch (error) {
+      throw new Error(`Failed to rebuild leaderboard: ${error.message}`);
+    }
+  }
+
+  // Keep denormalized player info in sync after a profile change
+  static async updatePlayer(user) {
+    await LeaderboardEntry.updateMany({ userId: user._id }, { $set: this.getPlayerInfo(user) });
+  }
+
+  static formatEntry(entry, rank) {
+    return {
+      rank,
+      userId: entry.userId,
+      username: entry.username,
+      avatar: entry.avatar,
+      level: entry.level,
+      country: entry.country || null,
+      bestScore: entry.bestScore,
+      bestAccuracy: entry.bestAccuracy,
+      bestGameId: entry.bestGameId,
+      totalPlays: entry.totalPlays,
+      lastPlayed: entry.lastPlayed
+    };
+  }
+
+  // Leaderboard for a song chart with optional friends/country/period filters
+  static async getLeaderboard(musicId, options = {}) {
+    try {
+      const {
+        chart = 'main',
+        period = 'all',
+        scope = 'global',
+        country = null,
+        limit = 10,
+        viewer = null,
+        neighbours = 2
+      } = options;
+
+      const periods = this.getPeriods();
+      if (!periods[period]) {
+        throw new Error('Invalid period');
+      }
+
+      // Backfill once for songs with history but no cached entries
+      const cached = await LeaderboardEntry.exists({ musicId, chart, period: 'all' });
+      if (!cached) {
+        await this.rebuild(musicId, chart);
+      }
+
+      const base = { musicId, chart, period: periods[period].key };
+
+      if (scope === 'friends') {
+        if (!viewer) {
+          throw new Error('Login required for friends leaderboard');
+        }
+        base.userId = { $in: [viewer._id, ...(viewer.friends || [])] };
+      }
+
+      if (country) {
+        base.country = country.toUpperCase();
+      }
+
+      const entries = await LeaderboardEntry.find(base)
+        .sort({ bestScore: -1, bestAccuracy: -1, bestAt: 1 })
+        .limit(limit)
+        .lean();
+
+      const result = {
+        success: true,
+        filters: {
+          chart,
+          period,
+          periodKey: periods[period].key,
+          scope,
+          country: base.country || null
+        },
+        leaderboard: entries.map((entry, index) => this.formatEntry(entry, index + 1)),
+        me: null
+      };
+
+      if (viewer) {
+        result.me = await this.getRankAround(base, viewer._id, neighbours);
+      }
+
+      return result;
+
+    } catch (error) {
+      throw new Error(`Failed to get leaderboard: ${error.message}`);
+    }
+  }
+
+  // Viewer's rank plus the players directly above and below
+  static async getRankAround(base, userId, neighbours = 2) {
+    const mine = await LeaderboardEntry.findOne({ ...base, userId }).lean();
+    if (!mine) {
+      return null;
+    }
+
+    const rank = await LeaderboardEntry.countDocuments({ ...base, ...this.betterThan(mine) }) + 1;
+
+    const [above, below] = await Promise.all([
+      LeaderboardEntry.find({ ...base, ...this.betterThan(mine) })
+        .sort({ bestScore: 1, bestAccuracy: 1, bestAt: -1 })
+        .limit(neighbours)
+        .lean(),
+      LeaderboardEntry.find({ ...base, ...this.worseThan(mine) })
+        .sort({ bestScore: -1, bestAccuracy: -1, bestAt: 1 })
+        .limit(neighbours)
+        .lean()
+    ]);
+
+    return {
+      rank,
+      entry: this.formatEntry(mine, rank),
+      above: above.reverse().map((entry, index) => this.formatEntry(entry, rank - above.length + index)),
+      below: below.map((entry, index) => this.formatEntry(entry, rank + index + 1))
+    };
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,41 @@
+// Mail transports. Each adapter is a static class with:
+//   getName()      -> transport key used in MAIL_TRANSPORT
+//   isEnabled()    -> configuration is present
+//   send(message)  -> { transport, to, ... }; message is { from, to, subject, text, html }
+// MAIL_TRANSPORT picks one explicitly; otherwise SMTP when configured, else the outbox.
+const { render } = require('./templates');
+
+const TRANSPORTS = {
+  smtp: require('./smtpTransport'),
+  outbox: require('./outboxTransport')
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (TRANSPORTS.smtp.isEnabled() ? 'smtp' : 'outbox');
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (!transport.isEnabled()) {
+    throw new Error(`Mail transport ${name} is not configured`);
+  }
+  return transport;
+};
+
+const getSender = () => process.env.MAIL_FROM || 'BigCoin Piano <no-reply@bigcoin-piano.com>';
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: getSender(), to, subject, text, html });
+};
+
+// Render a localized template (see templates.js) and send it
+const sendTemplate = async (to, name, language, data) => {
+  const { subject, text, html } = render(name, language, data);
+  return sendMail({ to, subject, text, html });
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  sendTemplate
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps sent mail in memory (and optionally as JSON files in MAIL_OUTBOX_DIR)
+// so development and tests can read reset links without a mail server.
+const MAX_MESSAGES = 100;
+let messages = [];
+
+class OutboxTransport {
+
+  static getName() {
+    return 'outbox';
+  }
+
+  static isEnabled() {
+    return true;
+  }
+
+  static async send(message) {
+    const entry = {
+      id: `${Date.now()}-${messages.length}`,
+      ...message,
+      sentAt: new Date()
+    };
+
+    messages.unshift(entry);
+    if (messages.length > MAX_MESSAGES) {
+      messages = messages.slice(0, MAX_MESSAGES);
+    }
+
+    if (process.env.MAIL_OUTBOX_DIR) {
+      await fs.promises.mkdir(process.env.MAIL_OUTBOX_DIR, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(process.env.MAIL_OUTBOX_DIR, `${entry.id}.json`),
+        JSON.stringify(entry, null, 2)
+      );
+    }
+
+    return { transport: this.getName(), to: message.to, id: entry.id };
+  }
+
+  // Newest first; optionally only mail sent to one address
+  static getMessages(to) {
+    return to ? messages.filter(message => message.to === to) : messages.slice();
+  }
+
+  static clear() {
+    messages = [];
+  }
+}
+
+module.exports = OutboxTransport;
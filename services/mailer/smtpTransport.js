@@ -0,0 +1,203 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Minimal SMTP client: implicit TLS or STARTTLS, AUTH PLAIN, one message per connection.
+// Configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS.
+const TIMEOUT_MS = 15000;
+
+class SmtpTransport {
+
+  static getName() {
+    return 'smtp';
+  }
+
+  static isEnabled() {
+    return !!process.env.SMTP_HOST;
+  }
+
+  static getConfig() {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return {
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    };
+  }
+
+  // Reads multi-line replies ("250-...", "250 ...") one command at a time
+  static createConnection(socket) {
+    let buffer = '';
+    let waiting = null;
+
+    // A reply is complete once a line has a space after the code
+    const flush = () => {
+      const lines = buffer.split('\r\n');
+      const last = lines.slice(0, -1).reverse().find(line => /^\d{3} /.test(line));
+      if (last && waiting) {
+        const reply = { code: parseInt(last.slice(0, 3)), text: buffer.trim() };
+        buffer = '';
+        const { resolve } = waiting;
+        waiting = null;
+        resolve(reply);
+      }
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      flush();
+    };
+
+    const onError = (error) => {
+      if (waiting) {
+        const { reject } = waiting;
+        waiting = null;
+        reject(error);
+      }
+    };
+
+    const attach = (s) => {
+      s.on('data', onData);
+      s.on('error', onError);
+      s.setTimeout(TIMEOUT_MS, () => {
+        onError(new Error('SMTP connection timed out'));
+        s.destroy();
+      });
+    };
+    attach(socket);
+
+    const connection = {
+      socket,
+      read() {
+        return new Promise((resolve, reject) => {
+          waiting = { resolve, reject };
+          flush();
+        });
+      },
+      async command(line, expected) {
+        const reply = connection.read();
+        connection.socket.write(`${line}\r\n`);
+        const result = await reply;
+        if (!expected.includes(result.code)) {
+          throw new Error(`SMTP ${line.split(' ')[0]} failed: ${result.text}`);
+        }
+        return result;
+      },
+      upgrade(secureSocket) {
+        connection.socket.removeListener('data', onData);
+        connection.socket.removeListener('error', onError);
+        connection.socket = secureSocket;
+        attach(secureSocket);
+      }
+    };
+
+    return connection;
+  }
+
+  static encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
+  static buildMessage({ from, to, subject, text, html }) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const base64 = (content) => Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    const headers = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${this.encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${from.replace(/.*@|>.*/g, '')}>`,
+      'MIME-Version: 1.0'
+    ];
+
+    if (!html) {
+      return [
+        ...headers,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64(text)
+      ].join('\r\n');
+    }
+
+    return [
+      ...headers,
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64(text),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64(html),
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+
+  static connect(config) {
+    return new Promise((resolve, reject) => {
+      const socket = config.secure
+        ? tls.connect({ host: config.host, port: config.port, servername: config.host }, () => resolve(socket))
+        : net.connect({ host: config.host, port: config.port }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  static async send(message) {
+    const config = this.getConfig();
+    const socket = await this.connect(config);
+    const connection = this.createConnection(socket);
+
+    try {
+      const greeting = await connection.read();
+      if (greeting.code !== 220) {
+        throw new Error(`SMTP server not ready: ${greeting.text}`);
+      }
+
+      const hostname = os.hostname();
+      let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+
+      if (!config.secure && /STARTTLS/i.test(ehlo.text)) {
+        await connection.command('STARTTLS', [220]);
+        const secureSocket = await new Promise((resolve, reject) => {
+          const upgraded = tls.connect({ socket: connection.socket, servername: config.host }, () => resolve(upgraded));
+          upgraded.once('error', reject);
+        });
+        connection.upgrade(secureSocket);
+        ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+      }
+
+      if (config.user) {
+        const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      const sender = message.from.replace(/.*</, '').replace(/>.*/, '');
+      await connection.command(`MAIL FROM:<${sender}>`, [250]);
+      await connection.command(`RCPT TO:<${message.to}>`, [250, 251]);
+      await connection.command('DATA', [354]);
+
+      // Dot-stuffing: lines starting with "." get an extra dot
+      const body = this.buildMessage(message).replace(/\r\n\./g, '\r\n..');
+      await connection.command(`${body}\r\n.`, [250]);
+      await connection.command('QUIT', [221]).catch(() => {});
+
+      return { transport: this.getName(), to: message.to };
+
+    } finally {
+      connection.socket.destroy();
+    }
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,112 @@
+// Localized mail templates. Each returns { subject, text, html } for the given data.
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Same layout for every mail: greeting, first paragraph, optional button, remaining paragraphs
+const layout = ({ greeting, paragraphs, action }) => {
+  const [first, ...rest] = paragraphs;
+
+  const text = [greeting, first];
+  if (action) text.push(`${action.label}: ${action.url}`);
+  text.push(...rest);
+
+  const html = [`<p>${escapeHtml(greeting)}</p>`, `<p>${escapeHtml(first)}</p>`];
+  if (action) {
+    html.push(`<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#f5b301;color:#000;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>`);
+  }
+  html.push(...rest.map(p => `<p>${escapeHtml(p)}</p>`));
+
+  return { text: text.join('\n\n'), html: html.join('\n') };
+};
+
+const TEMPLATES = {
+  passwordReset: {
+    en: ({ username, url, minutes }) => ({
+      subject: 'Reset your BigCoin Piano password',
+      ...layout({
+        greeting: `Hi ${username},`,
+        paragraphs: [
+          `Someone asked to reset the password for your account. The link works once and expires in ${minutes} minutes.`,
+          'If this was not you, ignore this email; your password will not change.'
+        ],
+        action: { label: 'Reset password', url }
+      })
+    }),
+    vi: ({ username, url, minutes }) => ({
+      subject: 'Đặt lại mật khẩu BigCoin Piano',
+      ...layout({
+        greeting: `Chào ${username},`,
+        paragraphs: [
+          `Có yêu cầu đặt lại mật khẩu cho tài khoản của bạn. Liên kết chỉ dùng được một lần và hết hạn sau ${minutes} phút.`,
+          'Nếu không phải bạn, hãy bỏ qua email này; mật khẩu của bạn sẽ không thay đổi.'
+        ],
+        action: { label: 'Đặt lại mật khẩu', url }
+      })
+    })
+  },
+  emailVerification: {
+    en: ({ username, url, hours }) => ({
+      subject: 'Confirm your BigCoin Piano email',
+      ...layout({
+        greeting: `Hi ${username},`,
+        paragraphs: [
+          `Welcome to BigCoin Piano! Confirm your email address to unlock referral rewards and withdrawals. The link expires in ${hours} hours.`,
+          'If you did not create an account, you can ignore this email.'
+        ],
+        action: { label: 'Confirm email', url }
+      })
+    }),
+    vi: ({ username, url, hours }) => ({
+      subject: 'Xác minh email BigCoin Piano',
+      ...layout({
+        greeting: `Chào ${username},`,
+        paragraphs: [
+          `Chào mừng bạn đến với BigCoin Piano! Hãy xác minh địa chỉ email để mở khóa thưởng giới thiệu và rút tiền. Liên kết hết hạn sau ${hours} giờ.`,
+          'Nếu bạn không tạo tài khoản, hãy bỏ qua email này.'
+        ],
+        action: { label: 'Xác minh email', url }
+      })
+    })
+  },
+  passwordChanged: {
+    en: ({ username }) => ({
+      subject: 'Your BigCoin Piano password was changed',
+      ...layout({
+        greeting: `Hi ${username},`,
+        paragraphs: [
+          'Your password was just reset and all devices were signed out.',
+          'If you did not do this, contact support immediately.'
+        ]
+      })
+    }),
+    vi: ({ username }) => ({
+      subject: 'Mật khẩu BigCoin Piano của bạn đã được thay đổi',
+      ...layout({
+        greeting: `Chào ${username},`,
+        paragraphs: [
+          'Mật khẩu của bạn vừa được đặt lại và mọi thiết bị đã bị đăng xuất.',
+          'Nếu không phải bạn thực hiện, hãy liên hệ bộ phận hỗ trợ ngay.'
+        ]
+      })
+    })
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const render = (name, language, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const localized = template[language] || template[DEFAULT_LANGUAGE];
+  return localized(data);
+};
+
+module.exports = {
+  render
+};
@@ -0,0 +1,438 @@
+const Match = require('../models/Match');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const Music = require('../models/Music');
+const GameService = require('./gameService');
+const RankedService = require('./rankedService');
+
+class MatchService {
+
+  // Countdown before every player starts at the same time (ms)
+  static getCountdownDuration() {
+    return parseInt(process.env.MATCH_COUNTDOWN_MS) || 5000;
+  }
+
+  // Create a new versus room, host joins automatically
+  static async createRoom(userId, musicId, settings = {}) {
+    try {
+      const music = await Music.findById(musicId);
+      if (!music || music.status !== 'published') {
+        throw new Error('Music not available');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const validation = GameService.validateGameSettings(settings);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      const chart = GameService.resolveChart(music, settings);
+
+      const match = new Match({
+        hostId: user._id,
+        musicId: music._id,
+        settings: {
+          chart: chart.name,
+          difficulty: chart.level,
+          speed: settings.speed || 1.0,
+          ranked: !!settings.ranked
+        },
+        maxPlayers: settings.maxPlayers || 4
+      });
+
+      match.addPlayer(user);
+      await match.save();
+
+      return match;
+
+    } catch (error) {
+      throw new Error(`Failed to create room: ${error.message}`);
+    }
+  }
+
+  // Join an existing room that has not started yet
+  static async joinRoom(roomCode, userId) {
+    try {
+      const match = await Match.findOpenRoom(roomCode);
+      if (!match) {
+        throw new Error('Room not found');
+      }
+
+      if (match.getPlayer(userId)) {
+        return match;
+      }
+
+      if (match.status !== 'waiting') {
+        throw new Error('Match already started');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      match.addPlayer(user);
+      await match.save();
+
+      return match;
+
+    } catch (error) {
+      throw new Error(`Failed to join room: ${error.message}`);
+    }
+  }
+
+  // Leave a room; leaving a running match forfeits the player's game
+  static async leaveRoom(roomCode, userId) {
+    try {
+      const match = await Match.findOpenRoom(roomCode);
+      if (!match) {
+        throw new Error('Room not found');
+      }
+
+      const player = match.getPlayer(userId);
+      if (!player) {
+        throw new Error('Player is not in this room');
+      }
+
+      if (player.sessionId && !player.finished) {
+        await GameService.abandonGame(player.sessionId);
+      }
+
+      return await this.forfeitPlayer(match, userId);
+
+    } catch (error) {
+      throw new Error(`Failed to leave room: ${error.message}`);
+    }
+  }
+
+  // Mark a player as gone; completes the match when the rest are done.
+  // In a running match the player is marked atomically, so two players leaving or
+  // finishing together cannot overwrite each other and leave the match unresolved.
+  static async forfeitPlayer(match, userId) {
+    if (match.status === 'waiting') {
+      match.removePlayer(userId);
+      await match.save();
+      return { match, standings: null, ratings: null };
+    }
+
+    const updated = await Match.findOneAndUpdate(
+      {
+        _id: match._id,
+        status: { $in: ['countdown', 'playing'] },
+        players: { $elemMatch: { userId, leftAt: null } }
+      },
+      { $set: { 'players.$.leftAt': new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Player is not in this room');
+    }
+
+    if (updated.activePlayers.length === 0) {
+      const cancelled = await Match.findOneAndUpdate(
+        { _id: updated._id, status: { $in: ['countdown', 'playing'] } },
+        { $set: { status: 'cancelled', endedAt: new Date() } },
+        { new: true }
+      );
+      return { match: cancelled || updated, standings: null, ratings: null };
+    }
+
+    // Hand the host over to someone still playing
+    if (updated.hostId.toString() === userId.toString()) {
+      const hostId = updated.activePlayers[0].userId;
+      await Match.updateOne({ _id: updated._id, hostId: userId }, { $set: { hostId } });
+      updated.hostId = hostId;
+    }
+
+    const standings = await this.completeIfFinished(updated);
+    const ratings = standings ? await this.recordRatings(updated) : null;
+
+    return { match: updated, standings, ratings };
+  }
+
+  // Compute standings once every player is done; only the caller that moves the
+  // match out of countdown/playing gets them, so results are recorded once
+  static async completeIfFinished(match) {
+    if (!match.allFinished()) {
+      return null;
+    }
+
+    const standings = match.computeStandings();
+
+    const update = { status: 'completed', endedAt: match.endedAt };
+    if (match.winnerId) {
+      update.winnerId = match.winnerId;
+    }
+    match.players.forEach((player, index) => {
+      if (player.rank) {
+        update[`players.${index}.rank`] = player.rank;
+      }
+    });
+
+    const completed = await Match.findOneAndUpdate(
+      { _id: match._id, status: { $in: ['countdown', 'playing'] } },
+      { $set: update }
+    );
+
+    return completed ? standings : null;
+  }
+
+  // A match game that was abandoned (REST, disconnect or expiry) forfeits its player
+  static async recordAbandonedGame(sessionId) {
+    try {
+      const match = await Match.findOne({
+        'players.sessionId': sessionId,
+        status: { $in: ['countdown', 'playing'] }
+      });
+      if (!match) {
+        return null;
+      }
+
+      const player = match.players.find(p => p.sessionId === sessionId);
+      if (!player || player.finished || player.leftAt) {
+        return null;
+      }
+
+      return await this.forfeitPlayer(match, player.userId);
+
+    } catch (error) {
+      throw new Error(`Failed to record abandoned game: ${error.message}`);
+    }
+  }
+
+  // Running matches whose remaining players' games are no longer active (e.g. expired
+  // by the cleanup job, or abandoned while this server was down)
+  static async resolveStaleMatches() {
+    const matches = await Match.find({ status: { $in: ['countdown', 'playing'] } });
+    const results = [];
+
+    for (const match of matches) {
+      const pending = match.players.filter(p => p.sessionId && !p.finished && !p.leftAt);
+      const abandoned = await Game.find({
+        'session.sessionId': { $in: pending.map(p => p.sessionId) },
+        'session.status': 'abandoned'
+      }).select('session.sessionId');
+
+      for (const game of abandoned) {
+        try {
+          const result = await this.recordAbandonedGame(game.session.sessionId);
+          if (result) results.push(result);
+        } catch (error) {
+          console.error('Resolve match error:', error);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Toggle a player's ready state
+  static async setReady(roomCode, userId, ready = true) {
+    try {
+      const match = await Match.findOpenRoom(roomCode);
+      if (!match || match.status !== 'waiting') {
+        throw new Error('Room not found or already started');
+      }
+
+      const player = match.getPlayer(userId);
+      if (!player) {
+        throw new Error('Player is not in this room');
+      }
+
+      player.ready = !!ready;
+      await match.save();
+
+      return match;
+
+    } catch (error) {
+      throw new Error(`Failed to update ready state: ${error.message}`);
+    }
+  }
+
+  // Host starts the countdown; every player gets their own game session
+  static async startMatch(roomCode, userId) {
+    try {
+      const match = await Match.findOpenRoom(roomCode);
+      if (!match || match.status !== 'waiting') {
+        throw new Error('Room not found or already started');
+      }
+
+      if (match.hostId.toString() !== userId.toString()) {
+        throw new Error('Only the host can start the match');
+      }
+
+      if (!match.allReady()) {
+        throw new Error('All players (at least 2) must be ready');
+      }
+
+      const sessions = [];
+
+      try {
+        for (const player of match.activePlayers) {
+          const result = await GameService.startGame(player.userId, match.musicId, {
+            chart: match.settings.chart,
+            difficulty: match.settings.difficulty,
+            speed: match.settings.speed,
+            ranked: match.settings.ranked
+          }, { matchId: match._id });
+
+          player.gameId = result.game.id;
+          player.sessionId = result.game.sessionId;
+
+          sessions.push({
+            userId: player.userId,
+            game: result.game
+          });
+        }
+      } catch (error) {
+        // Don't leave orphaned sessions if one player cannot start
+        await Promise.all(sessions.map(s => GameService.abandonGame(s.game.sessionId)));
+        throw error;
+      }
+
+      match.status = 'countdown';
+      match.countdown.startsAt = new Date(Date.now() + this.getCountdownDuration());
+      await match.save();
+
+      return { match, sessions };
+
+    } catch (error) {
+      throw new Error(`Failed to start match: ${error.message}`);
+    }
+  }
+
+  // Called when the countdown has elapsed; only one caller wins the transition
+  static async markPlaying(matchId) {
+    const match = await Match.findOne({ _id: matchId, status: 'countdown' });
+    if (!match) {
+      return null;
+    }
+
+    return await Match.findOneAndUpdate(
+      { _id: matchId, status: 'countdown' },
+      { $set: { status: 'playing', startedAt: match.countdown.startsAt } },
+      { new: true }
+    );
+  }
+
+  // The countdown end is persisted in countdown.startsAt, so the switch to 'playing'
+  // is re-armed from it after a restart (elapsed countdowns switch immediately)
+  static scheduleStart(io, match) {
+    const delay = Math.max(0, match.countdown.startsAt - Date.now());
+
+    setTimeout(async () => {
+      try {
+        const playing = await this.markPlaying(match._id);
+        if (playing && io) {
+          io.to(`match_${playing._id}`).emit('match_started', playing.toRoomState());
+        }
+      } catch (error) {
+        console.error('Match start error:', error);
+      }
+    }, delay);
+  }
+
+  static async recoverCountdowns(io) {
+    try {
+      const matches = await Match.find({ status: 'countdown' });
+      matches.forEach(match => this.scheduleStart(io, match));
+      return matches.length;
+    } catch (error) {
+      throw new Error(`Failed to recover match countdowns: ${error.message}`);
+    }
+  }
+
+  // Record a finished game; completes the match once everyone is done
+  static async recordGameResult(sessionId) {
+    try {
+      const game = await Game.findOne({ 'session.sessionId': sessionId });
+      if (!game || !game.matchId) {
+        return null;
+      }
+
+      // Atomic, so players finishing together each see the other's result
+      const match = await Match.findOneAndUpdate(
+        {
+          _id: game.matchId,
+          status: { $in: ['countdown', 'playing'] },
+          players: { $elemMatch: { sessionId, finished: false } }
+        },
+        {
+          $set: {
+            'players.$.finished': true,
+            'players.$.finishedAt': new Date(),
+            'players.$.score': game.scoring.totalScore,
+            'players.$.accuracy': game.gameplay.accuracy,
+            'players.$.maxCombo': game.gameplay.maxCombo
+          }
+        },
+        { new: true }
+      );
+      if (!match) {
+        return null;
+      }
+
+      const player = match.players.find(p => p.sessionId === sessionId);
+
+      const standings = await this.completeIfFinished(match);
+      const ratings = standings ? await this.recordRatings(match) : null;
+
+      return { match, player, standings, ratings };
+
+    } catch (error) {
+      throw new Error(`Failed to record match result: ${error.message}`);
+    }
+  }
+
+  // Update season ratings once a ranked match is complete
+  static async recordRatings(match) {
+    if (!match.settings.ranked) {
+      return null;
+    }
+    return await RankedService.recordMatch(match);
+  }
+
+  // Broadcast a finished player and, when complete, the final standings
+  static emitResult(io, result) {
+    if (!io || !result) return;
+
+    const room = `match_${result.match._id}`;
+
+    if (result.player) {
+      io.to(room).emit('match_player_finished', {
+        matchId: result.match._id,
+        userId: result.player.userId,
+        username: result.player.username,
+        score: result.player.score,
+        accuracy: result.player.accuracy
+      });
+    }
+
+    if (result.standings) {
+      io.to(room).emit('match_results', {
+        matchId: result.match._id,
+        roomCode: result.match.roomCode,
+        winnerId: result.match.winnerId,
+        standings: result.standings,
+        ratings: result.ratings || null
+      });
+    } else {
+      io.to(room).emit('room_update', result.match.toRoomState());
+    }
+  }
+
+  // Get a room the user can see
+  static async getRoom(roomCode) {
+    const match = await Match.findOpenRoom(roomCode);
+    if (!match) {
+      throw new Error('Room not found');
+    }
+    return match;
+  }
+}
+
+module.exports = MatchService;
@@ -0,0 +1,553 @@
+const Music = require('../models/Music');
+const GameService = require('./gameService');
+const ChartService = require('./chartService');
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Abm', 'Ebm', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm', 'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'A#m'];
+const DEFAULT_TEMPO = 500000; // µs per quarter note (120 BPM)
+const PERCUSSION_CHANNEL = 9;
+const EXPORT_TICKS_PER_BEAT = 480;
+
+// Sequential reader over a MIDI buffer
+class MidiReader {
+  constructor(buffer, offset = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.end = end;
+  }
+
+  eof() {
+    return this.offset >= this.end;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.end) {
+      throw new Error('Unexpected end of MIDI data');
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  uint16() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16BE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  // Variable-length quantity (max 4 bytes)
+  varint() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Invalid variable-length value');
+  }
+}
+
+class MidiService {
+
+  static getMaxFileSize() {
+    return parseInt(process.env.MAX_MIDI_SIZE) || 2 * 1024 * 1024;
+  }
+
+  // MIDI note number to key name used by sheet.notes (C4 = 60)
+  static midiToKey(pitch) {
+    const octave = Math.floor(pitch / 12) - 1;
+    if (octave < 0 || octave > 8) return null;
+    return `${NOTE_NAMES[pitch % 12]}${octave}`;
+  }
+
+  static keySignatureName(sharpsFlats, minor) {
+    const index = sharpsFlats + 7;
+    if (index < 0 || index > 14) return null;
+    return minor ? MINOR_KEYS[index] : MAJOR_KEYS[index];
+  }
+
+  // Parse a Standard MIDI File into header, tracks and raw events
+  static parse(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 14) {
+      throw new Error('Not a MIDI file');
+    }
+
+    const reader = new MidiReader(buffer);
+    if (reader.bytes(4).toString('ascii') !== 'MThd') {
+      throw new Error('Not a MIDI file');
+    }
+
+    const headerLength = reader.uint32();
+    const headerEnd = reader.offset + headerLength;
+    const format = reader.uint16();
+    const trackCount = reader.uint16();
+    const division = reader.uint16();
+    reader.offset = headerEnd;
+
+    if (format > 2) {
+      throw new Error(`Unsupported MIDI format ${format}`);
+    }
+
+    const header = { format, trackCount, division };
+    if (division & 0x8000) {
+      // SMPTE: frames per second (negative) x ticks per frame
+      const fps = 256 - (division >> 8);
+      header.ticksPerSecond = fps * (division & 0xff);
+    } else {
+      header.ticksPerBeat = division;
+    }
+
+    const tracks = [];
+    while (!reader.eof() && tracks.length < trackCount) {
+      const id = reader.bytes(4).toString('ascii');
+      const length = reader.uint32();
+
+      if (id !== 'MTrk') {
+        // Unknown chunk: skip
+        reader.offset += length;
+        continue;
+      }
+
+      tracks.push(this.parseTrack(new MidiReader(buffer, reader.offset, reader.offset + length)));
+      reader.offset += length;
+    }
+
+    return { header, tracks };
+  }
+
+  static parseTrack(reader) {
+    const events = [];
+    let tick = 0;
+    let runningStatus = null;
+
+    while (!reader.eof()) {
+      tick += reader.varint();
+      let status = reader.uint8();
+
+      if (status === 0xff) {
+        const type = reader.uint8();
+        const data = reader.bytes(reader.varint());
+        events.push({ tick, meta: type, data });
+        if (type === 0x2f) break;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        reader.bytes(reader.varint());
+        continue;
+      }
+
+      // Running status: reuse the previous status byte
+      let firstData;
+      if (status < 0x80) {
+        if (runningStatus === null) {
+          throw new Error('Invalid running status');
+        }
+        firstData = status;
+        status = runningStatus;
+      } else {
+        runningStatus = status;
+        firstData = reader.uint8();
+      }
+
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+      const secondData = (type === 0xc0 || type === 0xd0) ? null : reader.uint8();
+
+      events.push({ tick, type, channel, data1: firstData, data2: secondData });
+    }
+
+    return events;
+  }
+
+  // Tempo changes merged across tracks, used to convert ticks to ms
+  static buildTempoMap(parsed) {
+    const changes = [];
+    parsed.tracks.forEach(events => {
+      events.forEach(e => {
+        if (e.meta === 0x51 && e.data.length === 3) {
+          changes.push({ tick: e.tick, tempo: e.data.readUIntBE(0, 3) });
+        }
+      });
+    });
+
+    changes.sort((a, b) => a.tick - b.tick);
+    if (changes.length === 0 || changes[0].tick > 0) {
+      changes.unshift({ tick: 0, tempo: DEFAULT_TEMPO });
+    }
+
+    // Precompute ms at the start of each tempo segment
+    const ticksPerBeat = parsed.header.ticksPerBeat;
+    let ms = 0;
+    changes.forEach((change, i) => {
+      if (i > 0) {
+        const previous = changes[i - 1];
+        ms += ((change.tick - previous.tick) * previous.tempo) / ticksPerBeat / 1000;
+      }
+      change.ms = ms;
+    });
+
+    return changes;
+  }
+
+  static ticksToMs(tick, tempoMap, header) {
+    if (header.ticksPerSecond) {
+      return (tick / header.ticksPerSecond) * 1000;
+    }
+
+    let segment = tempoMap[0];
+    for (const change of tempoMap) {
+      if (change.tick > tick) break;
+      segment = change;
+    }
+    return segment.ms + ((tick - segment.tick) * segment.tempo) / header.ticksPerBeat / 1000;
+  }
+
+  // Notes, names and metadata of every track
+  static analyze(buffer) {
+    const parsed = this.parse(buffer);
+    const tempoMap = this.buildTempoMap(parsed);
+    const toMs = tick => this.ticksToMs(tick, tempoMap, parsed.header);
+
+    let timeSignature = null;
+    let keySignature = null;
+
+    const tracks = parsed.tracks.map((events, index) => {
+      const open = new Map();
+      const notes = [];
+      const channels = new Set();
+      let name = null;
+
+      const closeNote = (channel, pitch, tick) => {
+        const stack = open.get(`${channel}:${pitch}`);
+        if (!stack || stack.length === 0) return;
+
+        const start = stack.shift();
+        notes.push({
+          pitch,
+          channel,
+          time: toMs(start.tick),
+          duration: Math.max(1, toMs(tick) - toMs(start.tick)),
+          velocity: start.velocity
+        });
+      };
+
+      events.forEach(e => {
+        if (e.meta === 0x03) {
+          name = e.data.toString('utf8').trim() || null;
+        } else if (e.meta === 0x58 && !timeSignature && e.data.length >= 2) {
+          timeSignature = `${e.data[0]}/${Math.pow(2, e.data[1])}`;
+        } else if (e.meta === 0x59 && !keySignature && e.data.length >= 2) {
+          keySignature = this.keySignatureName(e.data.readInt8(0), e.data[1] === 1);
+        } else if (e.type === 0x90 && e.data2 > 0) {
+          channels.add(e.channel);
+          const id = `${e.channel}:${e.data1}`;
+          if (!open.has(id)) open.set(id, []);
+          open.get(id).push({ tick: e.tick, velocity: e.data2 });
+        } else if (e.type === 0x80 || (e.type === 0x90 && e.data2 === 0)) {
+          closeNote(e.channel, e.data1, e.tick);
+        }
+      });
+
+      // Notes never released end with the track
+      const lastTick = events.length > 0 ? events[events.length - 1].tick : 0;
+      open.forEach((stack, id) => {
+        const [channel, pitch] = id.split(':').map(Number);
+        while (stack.length > 0) closeNote(channel, pitch, lastTick);
+      });
+
+      notes.sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+
+      return {
+        index,
+        name,
+        channels: Array.from(channels),
+        percussion: channels.size > 0 && Array.from(channels).every(c => c === PERCUSSION_CHANNEL),
+        notes
+      };
+    });
+
+    // Tempo in effect for the longest stretch of the song
+    const songEnd = tracks.reduce((max, t) =>
+      t.notes.reduce((m, n) => Math.max(m, n.time + n.duration), max), 0);
+    const tempoDurations = new Map();
+    tempoMap.forEach((change, i) => {
+      const end = i + 1 < tempoMap.length ? tempoMap[i + 1].ms : songEnd;
+      const length = Math.max(0, Math.min(end, songEnd) - change.ms);
+      tempoDurations.set(change.tempo, (tempoDurations.get(change.tempo) || 0) + length);
+    });
+    const mainTempo = Array.from(tempoDurations.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+    return {
+      format: parsed.header.format,
+      bpm: 60000000 / mainTempo,
+      tempoChanges: tempoMap.length,
+      timeSignature: timeSignature || '4/4',
+      keySignature: keySignature || 'C',
+      tracks
+    };
+  }
+
+  // Track list shown to the uploader
+  static summarizeTracks(analysis) {
+    return analysis.tracks.map(track => {
+      const pitches = track.notes.map(n => n.pitch);
+      return {
+        index: track.index,
+        name: track.name,
+        channels: track.channels,
+        percussion: track.percussion,
+        noteCount: track.notes.length,
+        range: pitches.length > 0
+          ? {
+            lowest: this.midiToKey(pitches.reduce((a, b) => Math.min(a, b))),
+            highest: this.midiToKey(pitches.reduce((a, b) => Math.max(a, b)))
+          }
+          : null
+      };
+    });
+  }
+
+  // Default playable part: every melodic track with notes
+  static getDefaultTracks(analysis) {
+    return analysis.tracks.filter(t => !t.percussion && t.notes.length > 0).map(t => t.index);
+  }
+
+  // Fold the tempo into the range Music accepts (60-200 BPM)
+  static normalizeTempo(bpm) {
+    let tempo = bpm;
+    while (tempo > 200) tempo /= 2;
+    while (tempo < 60) tempo *= 2;
+    return Math.round(tempo);
+  }
+
+  // True when low and high register notes overlap in time
+  static isMultiHand(notes) {
+    const events = [];
+    notes.forEach(n => {
+      const side = n.pitch < 60 ? 'low' : 'high';
+      events.push([n.time, 1, side], [n.time + n.duration, -1, side]);
+    });
+
+    // Releases sort before presses at the same instant
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const active = { low: 0, high: 0 };
+    for (const [, delta, side] of events) {
+      active[side] += delta;
+      if (active.low > 0 && active.high > 0) return true;
+    }
+    return false;
+  }
+
+  // Build sheet data from the chosen tracks
+  static buildSheet(analysis, trackIndexes) {
+    const selected = analysis.tracks.filter(t => trackIndexes.includes(t.index));
+    if (selected.length !== trackIndexes.length) {
+      throw new Error('Unknown track selected');
+    }
+
+    const raw = selected
+      .flatMap(t => t.notes)
+      .filter(n => this.midiToKey(n.pitch) !== null)
+      .sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+
+    if (raw.length === 0) {
+      throw new Error('Selected tracks contain no playable notes');
+    }
+
+    const onsetCounts = new Map();
+    raw.forEach(n => {
+      const time = Math.round(n.time);
+      onsetCounts.set(time, (onsetCounts.get(time) || 0) + 1);
+    });
+
+    const notes = raw.map(n => ({
+      time: Math.round(n.time),
+      key: this.midiToKey(n.pitch),
+      duration: Math.round(n.duration),
+      velocity: n.velocity,
+      type: onsetCounts.get(Math.round(n.time)) > 1 ? 'chord' : 'note'
+    }));
+
+    const songEnd = notes.reduce((max, n) => Math.max(max, n.time + n.duration), 0);
+
+    return {
+      notes,
+      keyCount: new Set(notes.map(n => n.key)).size,
+      durationSeconds: Math.ceil(songEnd / 1000),
+      multiHand: this.isMultiHand(raw)
+    };
+  }
+
+  // Key signature name to MIDI sharps/flats count and mode
+  static parseKeySignature(name = 'C') {
+    const minorIndex = MINOR_KEYS.indexOf(name);
+    if (minorIndex >= 0) {
+      return { sharpsFlats: minorIndex - 7, minor: true };
+    }
+    const majorIndex = MAJOR_KEYS.indexOf(name);
+    return { sharpsFlats: majorIndex >= 0 ? majorIndex - 7 : 0, minor: false };
+  }
+
+  static parseTimeSignature(value = '4/4') {
+    const match = /^(\d+)\/(\d+)$/.exec(value);
+    const beats = match ? parseInt(match[1]) : 4;
+    const beatType = match ? parseInt(match[2]) : 4;
+    // Beat type must be a power of two
+    return Math.log2(beatType) % 1 === 0 ? { beats, beatType } : { beats: 4, beatType: 4 };
+  }
+
+  static encodeVarint(value) {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+      bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+  }
+
+  // Render a Music chart as a format 0 Standard MIDI File
+  static buildMidi(music) {
+    const bpm = music.difficulty.tempo || 120;
+    const msToTicks = ms => Math.round((ms * bpm * EXPORT_TICKS_PER_BEAT) / 60000);
+    const time = this.parseTimeSignature(music.sheet.timeSignature);
+    const key = this.parseKeySignature(music.sheet.keySignature);
+    const text = value => Array.from(Buffer.from(String(value), 'utf8'));
+
+    const events = [];
+    const meta = (tick, type, data) => events.push({ tick, order: 0, bytes: [0xff, type, ...this.encodeVarint(data.length), ...data] });
+
+    meta(0, 0x03, text(`${music.title} - ${music.artist}`));
+    const tempo = Math.round(60000000 / bpm);
+    meta(0, 0x51, [(tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff]);
+    meta(0, 0x58, [time.beats, Math.log2(time.beatType), 24, 8]);
+    meta(0, 0x59, [key.sharpsFlats & 0xff, key.minor ? 1 : 0]);
+
+    (music.sheet.sections || []).forEach(section => {
+      if (section.name && typeof section.startTime === 'number') {
+        meta(msToTicks(section.startTime), 0x06, text(section.name));
+      }
+    });
+
+    music.sheet.notes.forEach(note => {
+      if (note.type === 'pause') return;
+      const pitch = GameService.keyToMidi(note.key);
+      if (pitch === null || pitch < 0 || pitch > 127) return;
+
+      const start = msToTicks(note.time);
+      const end = Math.max(start + 1, msToTicks(note.time + (note.duration || 100)));
+      const velocity = Math.max(1, Math.min(127, note.velocity || 80));
+
+      // Note-offs sort before note-ons at the same tick
+      events.push({ tick: start, order: 2, bytes: [0x90, pitch, velocity] });
+      events.push({ tick: end, order: 1, bytes: [0x80, pitch, 0] });
+    });
+
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [];
+    let lastTick = 0;
+    events.forEach(event => {
+      track.push(...this.encodeVarint(event.tick - lastTick), ...event.bytes);
+      lastTick = event.tick;
+    });
+    track.push(0, 0xff, 0x2f, 0);
+
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'ascii');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(0, 8);
+    header.writeUInt16BE(1, 10);
+    header.writeUInt16BE(EXPORT_TICKS_PER_BEAT, 12);
+
+    const trackHeader = Buffer.alloc(8);
+    trackHeader.write('MTrk', 0, 'ascii');
+    trackHeader.writeUInt32BE(track.length, 4);
+
+    return Buffer.concat([header, trackHeader, Buffer.from(track)]);
+  }
+
+  // Parse an uploaded MIDI file and save it as a draft Music document
+  static async importMidi(buffer, userId, details = {}) {
+    try {
+      const analysis = this.analyze(buffer);
+
+      const trackIndexes = Array.isArray(details.tracks) && details.tracks.length > 0
+        ? details.tracks
+        : this.getDefaultTracks(analysis);
+
+      const sheet = this.buildSheet(analysis, trackIndexes);
+
+      const music = new Music({
+        title: details.title,
+        artist: details.artist,
+        album: details.album,
+        genre: details.genre,
+        duration: sheet.durationSeconds,
+        difficulty: {
+          // level/rating are recalculated from the notes on save
+          level: 'easy',
+          rating: 1,
+          keyCount: sheet.keyCount,
+          tempo: this.normalizeTempo(analysis.bpm)
+        },
+        audio: details.audioUrl ? { url: details.audioUrl } : undefined,
+        sheet: {
+          notes: sheet.notes,
+          keySignature: analysis.keySignature,
+          timeSignature: analysis.timeSignature
+        },
+        licensing: {
+          type: details.licensingType || 'original'
+        },
+        features: {
+          multiHand: sheet.multiHand,
+          hasChords: sheet.notes.some(n => n.type === 'chord')
+        },
+        createdBy: userId,
+        status: 'draft'
+      });
+
+      const revision = await ChartService.recordRevision(music, userId, {
+        message: 'Imported from MIDI'
+      });
+
+      return {
+        success: true,
+        music,
+        revision: ChartService.formatRevision(revision),
+        import: {
+          format: analysis.format,
+          bpm: Math.round(analysis.bpm),
+          tempoChanges: analysis.tempoChanges,
+          tracks: this.summarizeTracks(analysis),
+          selectedTracks: trackIndexes,
+          noteCount: sheet.notes.length
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to import MIDI: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MidiService;
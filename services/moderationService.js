@@ -0,0 +1,227 @@
+const Music = require('../models/Music');
+const ChartLintService = require('./chartLintService');
+
+class ModerationService {
+
+  static isModerator(user) {
+    return !!user && user.hasPermission('music:publish');
+  }
+
+  static isAuthor(music, user) {
+    return !!user && !!music.createdBy && music.createdBy.toString() === user._id.toString();
+  }
+
+  static async findMusic(musicId) {
+    const music = await Music.findById(musicId);
+    if (!music || music.status === 'deleted') {
+      throw new Error('Music not found');
+    }
+    return music;
+  }
+
+  // Author sends a draft to the moderation queue
+  static async submitForReview(musicId, user, comment) {
+    try {
+      const music = await this.findMusic(musicId);
+
+      if (!this.isAuthor(music, user)) {
+        throw new Error('Not allowed to submit this chart');
+      }
+
+      if (music.status !== 'draft') {
+        throw new Error('Only draft charts can be submitted for review');
+      }
+
+      if (music.sheet.notes.length === 0) {
+        throw new Error('Chart has no notes');
+      }
+
+      if (!music.audio || !music.audio.url) {
+        throw new Error('Audio is required before submitting for review');
+      }
+
+      // Lint errors block the submission; warnings are left for the moderator
+      const lint = ChartLintService.lintMusic(music);
+      if (!lint.valid) {
+        const first = lint.charts
+          .flatMap(chart => chart.issues.filter(issue => issue.severity === 'error'))
+          .slice(0, 3)
+          .map(issue => issue.message);
+        throw new Error(`Chart has ${lint.errors} lint errors: ${first.join('; ')}`);
+      }
+
+      music.moderation.lint = {
+        errors: lint.errors,
+        warnings: lint.warnings,
+        checkedAt: new Date()
+      };
+
+      music.moderation.submittedAt = new Date();
+      music.moderation.submittedBy = user._id;
+      music.recordStatusChange('submit', 'pending', user._id, comment);
+
+      await music.save();
+
+      return {
+        success: true,
+        music: this.formatStatus(music),
+        lint
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to submit chart: ${error.message}`);
+    }
+  }
+
+  // Pending charts, oldest submission first
+  static async getQueue(options = {}) {
+    try {
+      const page = Math.max(1, parseInt(options.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+      const [items, total] = await Promise.all([
+        Music.find({ status: 'pending' })
+          .select('title artist genre duration difficulty chart moderation.submittedAt moderation.submittedBy moderation.lint createdBy')
+          .populate('moderation.submittedBy', 'username avatar')
+          .sort({ 'moderation.submittedAt': 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Music.countDocuments({ status: 'pending' })
+      ]);
+
+      return {
+        success: true,
+        queue: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get moderation queue: ${error.message}`);
+    }
+  }
+
+  static async approve(musicId, moderator, comment) {
+    try {
+      const music = await this.findMusic(musicId);
+
+      if (music.status !== 'pending') {
+        throw new Error('Only pending charts can be approved');
+      }
+
+      music.moderation.reviewedAt = new Date();
+      music.moderation.reviewedBy = moderator._id;
+      music.moderation.comment = comment;
+      music.recordStatusChange('approve', 'published', moderator._id, comment);
+
+      // verify() marks the chart as verified, publishes it and saves
+      await music.verify(moderator._id);
+
+      return {
+        success: true,
+        music: this.formatStatus(music)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to approve chart: ${error.message}`);
+    }
+  }
+
+  // Rejected charts go back to draft so the author can fix and resubmit
+  static async reject(musicId, moderator, comment) {
+    try {
+      if (!comment || !comment.trim()) {
+        throw new Error('A comment is required when rejecting');
+      }
+
+      const music = await this.findMusic(musicId);
+
+      if (music.status !== 'pending') {
+        throw new Error('Only pending charts can be rejected');
+      }
+
+      music.moderation.reviewedAt = new Date();
+      music.moderation.reviewedBy = moderator._id;
+      music.moderation.comment = comment.trim();
+      music.recordStatusChange('reject', 'draft', moderator._id, comment.trim());
+
+      await music.save();
+
+      return {
+        success: true,
+        music: this.formatStatus(music)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to reject chart: ${error.message}`);
+    }
+  }
+
+  // Moderators can archive any chart, authors only their own
+  static async archive(musicId, user, comment) {
+    try {
+      const music = await this.findMusic(musicId);
+
+      if (!this.isModerator(user) && !this.isAuthor(music, user)) {
+        throw new Error('Not allowed to archive this chart');
+      }
+
+      if (music.status === 'archived') {
+        throw new Error('Chart is already archived');
+      }
+
+      music.recordStatusChange('archive', 'archived', user._id, comment);
+
+      await music.save();
+
+      return {
+        success: true,
+        music: this.formatStatus(music)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to archive chart: ${error.message}`);
+    }
+  }
+
+  static async getHistory(musicId, user) {
+    try {
+      const music = await Music.findById(musicId)
+        .select('title status createdBy chart moderation quality.verified')
+        .populate('moderation.history.by', 'username avatar');
+
+      if (!music || (!this.isModerator(user) && !this.isAuthor(music, user))) {
+        throw new Error('Music not found');
+      }
+
+      return {
+        success: true,
+        music: this.formatStatus(music),
+        history: music.moderation.history.slice().reverse()
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get moderation history: ${error.message}`);
+    }
+  }
+
+  static formatStatus(music) {
+    return {
+      id: music._id,
+      title: music.title,
+      status: music.status,
+      verified: music.quality ? music.quality.verified : undefined,
+      chartRevision: music.chart ? music.chart.revision : undefined,
+      submittedAt: music.moderation.submittedAt,
+      reviewedAt: music.moderation.reviewedAt,
+      reviewedBy: music.moderation.reviewedBy,
+      comment: music.moderation.comment
+    };
+  }
+}
+
+module.exports = ModerationService;
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const SessionService = require('./sessionService');
+const { sendTemplate } = require('./mailer');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+class PasswordResetService {
+
+  static getTokenMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+  }
+
+  static getResetUrl(token) {
+    const base = process.env.APP_URL || 'http://localhost:3000';
+    return `${base}/reset-password?token=${token}`;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Issue a new token (replacing any earlier one) and mail the link.
+  // Unknown emails are ignored so callers can always answer the same way.
+  static async requestReset(email) {
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || user.status !== 'active') {
+        return { success: true, sent: false };
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const minutes = this.getTokenMinutes();
+
+      user.security.passwordReset = {
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+        requestedAt: new Date()
+      };
+      await user.save();
+
+      await sendTemplate(user.email, 'passwordReset', user.preferences.language, {
+        username: user.username,
+        url: this.getResetUrl(token),
+        minutes
+      });
+
+      return { success: true, sent: true };
+
+    } catch (error) {
+      throw new Error(`Failed to request password reset: ${error.message}`);
+    }
+  }
+
+  // Consume the token, set the new password and sign out every existing session
+  static async resetPassword(token, newPassword) {
+    try {
+      if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      }
+
+      // Claim the token atomically so it cannot be used twice
+      const user = await User.findOneAndUpdate(
+        {
+          'security.passwordReset.tokenHash': this.hashToken(token),
+          'security.passwordReset.expiresAt': { $gt: new Date() }
+        },
+        { $unset: { 'security.passwordReset': 1 } },
+        { new: true }
+      ).select('+password');
+
+      if (!user) {
+        throw new Error('Reset link is invalid or has expired');
+      }
+
+      user.password = newPassword;
+      user.security.sessionsRevokedAt = new Date();
+      // Whoever holds the mailbox can get back into a locked account
+      user.security.failedLoginAttempts = 0;
+      user.security.accountLocked = false;
+      user.security.lockedUntil = undefined;
+      await user.save();
+
+      const { revoked } = await SessionService.revokeAll(user._id, 'password_reset');
+
+      // Notification only; a mail failure must not undo the reset
+      sendTemplate(user.email, 'passwordChanged', user.preferences.language, {
+        username: user.username
+      }).catch(error => console.error('Password changed mail error:', error));
+
+      return { success: true, revokedSessions: revoked };
+
+    } catch (error) {
+      throw new Error(`Failed to reset password: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PasswordResetService;
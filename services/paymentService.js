@@ -17,7 +17,7 @@ class PaymentService {
       }
 
       if (!user.canWithdraw(amount)) {
-        throw new Error('Withdrawal not allowed. Check KYC status and minimum amount.');
+        throw new Error('Withdrawal not allowed. Check email verification, KYC status and minimum amount.');
       }
 
       // Check sufficient balance
@@ -666,6 +666,24 @@ class PaymentService {
         throw new Error('User(s) not found');
       }
 
+      if (!newUser.referral.referredBy || newUser.referral.referredBy.toString() !== referrerId.toString()) {
+        throw new Error('User was not referred by this referrer');
+      }
+
+      // Held until the new account proves it owns its email (stops referral farming)
+      if (!newUser.isEmailVerified()) {
+        throw new Error('Referred user has not verified their email');
+      }
+
+      // Claim the bonus atomically so it is paid at most once
+      const claimed = await User.findOneAndUpdate(
+        { _id: newUserId, 'referral.bonusPaidAt': { $exists: false } },
+        { $set: { 'referral.bonusPaidAt': new Date() } }
+      );
+      if (!claimed) {
+        throw new Error('Referral bonus already paid');
+      }
+
       const bonusAmount = 100; // 100 BigCoins for successful referral
 
       // Add bonus to referrer
@@ -0,0 +1,93 @@
+const NAME = 'fake';
+
+// Fixed catalog for local development and tests; no network access
+const DEFAULT_TRACKS = [
+  {
+    externalId: 'fake-1',
+    title: 'Morning Etude',
+    artist: 'Test Ensemble',
+    album: 'Practice Room',
+    duration: 95,
+    isrc: 'XXA0A2600001',
+    genres: ['classical'],
+    tags: ['piano', 'calm'],
+    releaseDate: '2024-01-15',
+    audioUrl: 'https://example.com/audio/fake-1.mp3'
+  },
+  {
+    externalId: 'fake-2',
+    title: 'Neon Steps',
+    artist: 'Test Ensemble',
+    album: 'Practice Room',
+    duration: 142,
+    isrc: 'XXA0A2600002',
+    genres: ['electronic'],
+    tags: ['synth'],
+    releaseDate: '2024-01-15',
+    audioUrl: 'https://example.com/audio/fake-2.mp3'
+  },
+  {
+    externalId: 'fake-3',
+    title: 'Untitled Sketch',
+    artist: 'Demo Artist',
+    duration: 64,
+    genres: [],
+    tags: []
+  }
+];
+
+let tracks = DEFAULT_TRACKS;
+
+class FakeProvider {
+
+  static getName() {
+    return NAME;
+  }
+
+  static isEnabled() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  // Tests can swap the catalog and restore it afterwards
+  static setTracks(list) {
+    tracks = list;
+  }
+
+  static reset() {
+    tracks = DEFAULT_TRACKS;
+  }
+
+  static formatTrack(track) {
+    return {
+      provider: NAME,
+      url: `https://example.com/tracks/${track.externalId}`,
+      ...track
+    };
+  }
+
+  static async searchTracks(query, { page = 1, limit = 12 } = {}) {
+    const needle = (query || '').toLowerCase();
+    const matches = tracks.filter(track =>
+      !needle ||
+      track.title.toLowerCase().includes(needle) ||
+      track.artist.toLowerCase().includes(needle)
+    );
+
+    return {
+      tracks: matches.slice((page - 1) * limit, page * limit).map(track => this.formatTrack(track)),
+      total: matches.length
+    };
+  }
+
+  static async getTrack(externalId) {
+    const track = tracks.find(t => t.externalId === externalId);
+    return track ? this.formatTrack(track) : null;
+  }
+
+  static async getAudioUrl(externalId) {
+    const track = await this.getTrack(externalId);
+    return track ? track.audioUrl || null : null;
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,37 @@
+// External music providers. Each adapter is a static class with:
+//   getName()                          -> provider key stored in Music.source.provider
+//   isEnabled()                        -> credentials are configured
+//   searchTracks(query, { page, limit }) -> { tracks, total }
+//   getTrack(externalId)               -> track or null
+//   getAudioUrl(externalId)            -> playable URL or null
+// Tracks are normalized to { provider, externalId, title, artist, album, duration (s),
+// isrc, genres, tags, releaseDate, label, image, audioUrl, url }.
+const PROVIDERS = {
+  jamendo: require('./jamendoProvider'),
+  spotify: require('./spotifyProvider'),
+  fake: require('./fakeProvider')
+};
+
+const getDefaultProvider = () => process.env.MUSIC_PROVIDER || 'jamendo';
+
+const getProvider = (name = getDefaultProvider()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+  if (!provider.isEnabled()) {
+    throw new Error(`Provider ${name} is not configured`);
+  }
+  return provider;
+};
+
+const listProviders = () => Object.keys(PROVIDERS).map(name => ({
+  name,
+  enabled: PROVIDERS[name].isEnabled(),
+  default: name === getDefaultProvider()
+}));
+
+module.exports = {
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,77 @@
+const axios = require('axios');
+
+const NAME = 'jamendo';
+
+// Jamendo-style tracks API configured by MUSIC_API_URL / MUSIC_API_KEY
+class JamendoProvider {
+
+  static getName() {
+    return NAME;
+  }
+
+  static isEnabled() {
+    return !!process.env.MUSIC_API_URL && !!process.env.MUSIC_API_KEY;
+  }
+
+  static async request(params) {
+    const response = await axios.get(`${process.env.MUSIC_API_URL}/tracks`, {
+      params: {
+        client_id: process.env.MUSIC_API_KEY,
+        format: 'json',
+        include: 'musicinfo',
+        ...params
+      },
+      timeout: 10000
+    });
+
+    return response.data || {};
+  }
+
+  static formatTrack(track) {
+    const tags = (track.musicinfo && track.musicinfo.tags) || {};
+
+    return {
+      provider: NAME,
+      externalId: String(track.id),
+      title: track.name,
+      artist: track.artist_name,
+      album: track.album_name,
+      duration: Math.round(track.duration),
+      isrc: undefined, // Jamendo does not publish ISRCs
+      genres: tags.genres || [],
+      tags: tags.vartags || [],
+      releaseDate: track.releasedate,
+      image: track.image,
+      audioUrl: track.audio,
+      url: track.shareurl,
+      license: track.license_ccurl
+    };
+  }
+
+  static async searchTracks(query, { page = 1, limit = 12 } = {}) {
+    const data = await this.request({
+      namesearch: query || undefined,
+      limit,
+      offset: (page - 1) * limit,
+      fullcount: true
+    });
+
+    return {
+      tracks: (data.results || []).map(track => this.formatTrack(track)),
+      total: data.headers ? data.headers.results_fullcount : undefined
+    };
+  }
+
+  static async getTrack(externalId) {
+    const data = await this.request({ id: externalId });
+    const track = (data.results || [])[0];
+    return track ? this.formatTrack(track) : null;
+  }
+
+  static async getAudioUrl(externalId) {
+    const track = await this.getTrack(externalId);
+    return track ? track.audioUrl : null;
+  }
+}
+
+module.exports = JamendoProvider;
@@ -0,0 +1,115 @@
+const axios = require('axios');
+
+const NAME = 'spotify';
+const API_URL = 'https://api.spotify.com/v1';
+
+// App-level token (client credentials); user OAuth lives in spotifyServices
+let appToken = null;
+let appTokenExpiresAt = 0;
+
+class SpotifyProvider {
+
+  static getName() {
+    return NAME;
+  }
+
+  static isEnabled() {
+    return !!process.env.SPOTIFY_CLIENT_ID && !!process.env.SPOTIFY_CLIENT_SECRET;
+  }
+
+  static async getToken() {
+    // Refresh a minute early so requests never race the expiry
+    if (appToken && Date.now() < appTokenExpiresAt - 60000) {
+      return appToken;
+    }
+
+    const credentials = Buffer.from(
+      `${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`
+    ).toString('base64');
+
+    const response = await axios.post(
+      'https://accounts.spotify.com/api/token',
+      new URLSearchParams({ grant_type: 'client_credentials' }),
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      }
+    );
+
+    appToken = response.data.access_token;
+    appTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+    return appToken;
+  }
+
+  static async request(path, params) {
+    const token = await this.getToken();
+    const response = await axios.get(`${API_URL}${path}`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  static formatTrack(track) {
+    const album = track.album || {};
+
+    return {
+      provider: NAME,
+      externalId: track.id,
+      title: track.name,
+      artist: (track.artists || []).map(artist => artist.name).join(', '),
+      album: album.name,
+      duration: Math.round(track.duration_ms / 1000),
+      isrc: track.external_ids ? track.external_ids.isrc : undefined,
+      genres: [], // Spotify only tags genres on artists
+      tags: [],
+      releaseDate: album.release_date,
+      label: album.label,
+      image: album.images && album.images.length > 0 ? album.images[0].url : undefined,
+      audioUrl: track.preview_url || undefined,
+      url: track.external_urls ? track.external_urls.spotify : undefined
+    };
+  }
+
+  static async searchTracks(query, { page = 1, limit = 12 } = {}) {
+    if (!query) {
+      return { tracks: [], total: 0 };
+    }
+
+    const data = await this.request('/search', {
+      q: query,
+      type: 'track',
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      tracks: data.tracks.items.map(track => this.formatTrack(track)),
+      total: data.tracks.total
+    };
+  }
+
+  static async getTrack(externalId) {
+    try {
+      const track = await this.request(`/tracks/${encodeURIComponent(externalId)}`);
+      return this.formatTrack(track);
+    } catch (error) {
+      if (error.response && [400, 404].includes(error.response.status)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Spotify only serves 30s previews, and not for every track
+  static async getAudioUrl(externalId) {
+    const track = await this.getTrack(externalId);
+    return track ? track.audioUrl || null : null;
+  }
+}
+
+module.exports = SpotifyProvider;
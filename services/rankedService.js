@@ -0,0 +1,457 @@
+const Season = require('../models/Season');
+const Rating = require('../models/Rating');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_SEASON_REWARDS = [
+  { division: 'bronze', coins: 50 },
+  { division: 'silver', coins: 100 },
+  { division: 'gold', coins: 200 },
+  { division: 'platinum', coins: 400 },
+  { division: 'diamond', coins: 800 },
+  { division: 'master', coins: 1500 }
+];
+
+const RATING_RETRY_LIMIT = 5;
+
+class RankedService {
+
+  static getInitialRating() {
+    return parseInt(process.env.RANKED_INITIAL_RATING) || 1500;
+  }
+
+  static getSeasonLength() {
+    return parseInt(process.env.RANKED_SEASON_DAYS) || 30;
+  }
+
+  // Rated games before a player appears in the standings
+  static getPlacementGames() {
+    return parseInt(process.env.RANKED_PLACEMENT_GAMES) || 5;
+  }
+
+  // Elo K-factor: provisional players move faster
+  static getKFactor(rating) {
+    return rating.gamesPlayed < 10 ? 40 : 24;
+  }
+
+  // Minimum completed games on a song before percentiles are meaningful
+  static getMinPercentileSample() {
+    return parseInt(process.env.RANKED_MIN_SAMPLE) || 10;
+  }
+
+  static expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  // Running season; starts the next one when none exists or the last one has expired.
+  // The expired season keeps status 'active' until rolloverSeasons pays its rewards.
+  static async getCurrentSeason() {
+    const active = await Season.getActive();
+    if (active) {
+      return active;
+    }
+
+    const latest = await Season.getLatest();
+    return await this.startSeason(latest ? latest.number + 1 : 1);
+  }
+
+  static async startSeason(number, startsAt = new Date()) {
+    const season = new Season({
+      number,
+      name: `Season ${number}`,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + this.getSeasonLength() * 24 * 60 * 60 * 1000),
+      rewards: DEFAULT_SEASON_REWARDS
+    });
+
+    try {
+      await season.save();
+      return season;
+    } catch (error) {
+      // Another request started it first
+      if (error.code === 11000) {
+        return await Season.findOne({ number });
+      }
+      throw error;
+    }
+  }
+
+  // Rating for the season; new seasons soft-reset towards the initial rating
+  static async getOrCreateRating(userId, season) {
+    const existing = await Rating.findOne({ seasonId: season._id, userId });
+    if (existing) {
+      return existing;
+    }
+
+    const initial = this.getInitialRating();
+    let rating = initial;
+
+    const previous = await Rating.findOne({ userId, seasonId: { $ne: season._id } })
+      .sort({ createdAt: -1 });
+    if (previous) {
+      rating = Math.round(initial + (previous.rating - initial) / 2);
+    }
+
+    const doc = new Rating({
+      userId,
+      seasonId: season._id,
+      rating,
+      peakRating: rating,
+      history: previous ? [{ rating, delta: 0, source: 'season_start' }] : []
+    });
+
+    try {
+      await doc.save();
+      return doc;
+    } catch (error) {
+      if (error.code === 11000) {
+        return await Rating.findOne({ seasonId: season._id, userId });
+      }
+      throw error;
+    }
+  }
+
+  // Ratings use optimistic concurrency: a solo game and a match finishing together would
+  // otherwise overwrite each other's change. On VersionError the change is reapplied to fresh data.
+  static async applyRatingChange(userId, season, getDelta, details) {
+    for (let attempt = 1; ; attempt++) {
+      const rating = await this.getOrCreateRating(userId, season);
+      const previousRating = rating.rating;
+      const delta = getDelta(rating);
+
+      rating.applyChange(delta, details);
+
+      try {
+        await rating.save();
+        return { rating, previousRating };
+      } catch (error) {
+        if (error.name !== 'VersionError' || attempt >= RATING_RETRY_LIMIT) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Pairwise Elo over the final match standings; forfeits rank last
+  static async recordMatch(match) {
+    try {
+      const season = await this.getCurrentSeason();
+
+      const finished = match.players.filter(p => p.finished).sort((a, b) => a.rank - b.rank);
+      const forfeited = match.players.filter(p => !p.finished && p.leftAt);
+      const participants = [
+        ...finished.map(p => ({ player: p, place: p.rank })),
+        ...forfeited.map(p => ({ player: p, place: finished.length + 1 }))
+      ];
+
+      if (participants.length < 2) {
+        return [];
+      }
+
+      const ratings = await Promise.all(
+        participants.map(p => this.getOrCreateRating(p.player.userId, season))
+      );
+      const before = ratings.map(r => r.rating);
+
+      // Expected scores use the ratings from before the match for every player
+      const changes = await Promise.all(participants.map(async (p, i) => {
+        let actual = 0;
+        let expected = 0;
+
+        participants.forEach((opponent, j) => {
+          if (i === j) return;
+          actual += p.place < opponent.place ? 1 : p.place === opponent.place ? 0.5 : 0;
+          expected += this.expectedScore(before[i], before[j]);
+        });
+
+        const delta = this.getKFactor(ratings[i]) * (actual - expected) / (participants.length - 1);
+
+        const { rating, previousRating } = await this.applyRatingChange(p.player.userId, season, () => delta, {
+          source: 'match',
+          matchId: match._id,
+          gameId: p.player.gameId,
+          outcome: p.place === 1 ? 'win' : 'loss'
+        });
+
+        return {
+          userId: p.player.userId,
+          username: p.player.username,
+          previousRating,
+          rating: rating.rating,
+          delta: rating.rating - previousRating,
+          division: Rating.getDivision(rating.rating)
+        };
+      }));
+
+      return changes;
+
+    } catch (error) {
+      throw new Error(`Failed to record ranked match: ${error.message}`);
+    }
+  }
+
+  // Solo ranked game: score percentile against other plays of the same song
+  static async recordSoloGame(game) {
+    try {
+      const musicId = game.populated('musicId') ? game.musicId._id : game.musicId;
+      const userId = game.populated('userId') ? game.userId._id : game.userId;
+
+      const query = {
+        _id: { $ne: game._id },
+        musicId,
+        chart: Game.chartFilter(game.chart),
+        'session.status': 'completed',
+        mode: { $ne: 'practice' }
+      };
+
+      const total = await Game.countDocuments(query);
+      if (total < this.getMinPercentileSample()) {
+        return null;
+      }
+
+      const below = await Game.countDocuments({
+        ...query,
+        'scoring.totalScore': { $lt: game.scoring.totalScore }
+      });
+      const ties = await Game.countDocuments({
+        ...query,
+        'scoring.totalScore': game.scoring.totalScore
+      });
+
+      const percentile = (below + ties / 2) / total;
+
+      const season = await this.getCurrentSeason();
+
+      // Against the field: 50th percentile is an even result
+      const { rating, previousRating } = await this.applyRatingChange(
+        userId,
+        season,
+        current => this.getKFactor(current) * (percentile - 0.5),
+        {
+          source: 'percentile',
+          gameId: game._id,
+          outcome: percentile >= 0.5 ? 'win' : 'loss'
+        }
+      );
+
+      return {
+        percentile: Math.round(percentile * 1000) / 10,
+        previousRating,
+        rating: rating.rating,
+        delta: rating.rating - previousRating,
+        division: rating.division
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to record ranked game: ${error.message}`);
+    }
+  }
+
+  // Placed players of a season ordered by rating
+  static async getStandings(options = {}) {
+    try {
+      const { seasonNumber, division, page = 1, limit = 50 } = options;
+
+      const season = seasonNumber
+        ? await Season.findOne({ number: seasonNumber })
+        : await this.getCurrentSeason();
+      if (!season) {
+        throw new Error('Season not found');
+      }
+
+      const query = {
+        seasonId: season._id,
+        gamesPlayed: { $gte: this.getPlacementGames() }
+      };
+      if (division) {
+        query.division = division;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [ratings, total] = await Promise.all([
+        Rating.find(query)
+          .sort({ rating: -1, updatedAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('userId', 'username avatar')
+          .select('-history'),
+        Rating.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        season: this.formatSeason(season),
+        standings: ratings.map((r, index) => ({
+          rank: skip + index + 1,
+          userId: r.userId ? r.userId._id : null,
+          username: r.userId ? r.userId.username : null,
+          avatar: r.userId ? r.userId.avatar : null,
+          rating: r.rating,
+          peakRating: r.peakRating,
+          division: r.division,
+          gamesPlayed: r.gamesPlayed,
+          wins: r.wins,
+          losses: r.losses
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get standings: ${error.message}`);
+    }
+  }
+
+  // A user's rating and history for a season
+  static async getRatingHistory(userId, seasonNumber = null) {
+    try {
+      const season = seasonNumber
+        ? await Season.findOne({ number: seasonNumber })
+        : await this.getCurrentSeason();
+      if (!season) {
+        throw new Error('Season not found');
+      }
+
+      const rating = await Rating.findOne({ seasonId: season._id, userId });
+
+      let rank = null;
+      if (rating && rating.placed) {
+        rank = await Rating.countDocuments({
+          seasonId: season._id,
+          gamesPlayed: { $gte: this.getPlacementGames() },
+          rating: { $gt: rating.rating }
+        }) + 1;
+      }
+
+      return {
+        success: true,
+        season: this.formatSeason(season),
+        rating: rating ? {
+          rating: rating.rating,
+          peakRating: rating.peakRating,
+          division: rating.division,
+          placed: rating.placed,
+          rank,
+          gamesPlayed: rating.gamesPlayed,
+          wins: rating.wins,
+          losses: rating.losses,
+          seasonReward: rating.seasonReward
+        } : null,
+        history: rating ? rating.history : []
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get rating history: ${error.message}`);
+    }
+  }
+
+  // Pay end-of-season rewards once per rating, then close the season
+  static async distributeSeasonRewards(season) {
+    let distributed = 0;
+
+    const ratings = await Rating.find({
+      seasonId: season._id,
+      gamesPlayed: { $gte: this.getPlacementGames() },
+      'seasonReward.grantedAt': { $exists: false }
+    });
+
+    for (const rating of ratings) {
+      const coins = season.getReward(rating.division);
+
+      // Atomic guard against a second run paying twice
+      const claimed = await Rating.updateOne(
+        { _id: rating._id, 'seasonReward.grantedAt': { $exists: false } },
+        { $set: { 'seasonReward.grantedAt': new Date(), 'seasonReward.coins': coins } }
+      );
+      if (claimed.modifiedCount === 0 || coins <= 0) {
+        continue;
+      }
+
+      const user = await User.findById(rating.userId);
+      if (!user) {
+        continue;
+      }
+
+      await user.addCoins(coins, 'bonus');
+
+      const transaction = new Transaction({
+        userId: user._id,
+        type: 'bonus',
+        amount: coins,
+        currency: 'BIGCOIN',
+        description: `${season.name} reward (${rating.division})`,
+        status: 'completed',
+        audit: {
+          createdBy: 'system'
+        }
+      });
+      await transaction.save();
+
+      await Rating.updateOne(
+        { _id: rating._id },
+        { $set: { 'seasonReward.transactionId': transaction.transactionId } }
+      );
+
+      distributed++;
+    }
+
+    season.status = 'ended';
+    season.rewardsDistributedAt = new Date();
+    await season.save();
+
+    return distributed;
+  }
+
+  // Cron: end expired seasons and start the next one
+  static async rolloverSeasons(now = new Date()) {
+    const expired = await Season.find({ status: 'active', endsAt: { $lte: now } });
+
+    let distributed = 0;
+    for (const season of expired) {
+      distributed += await this.distributeSeasonRewards(season);
+    }
+
+    const current = await this.getCurrentSeason();
+
+    return {
+      ended: expired.length,
+      distributed,
+      currentSeason: current.number
+    };
+  }
+
+  static formatSeason(season) {
+    return {
+      id: season._id,
+      number: season.number,
+      name: season.name,
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      status: season.status,
+      rewards: season.rewards
+    };
+  }
+
+  static async getSeasonInfo() {
+    try {
+      const season = await this.getCurrentSeason();
+
+      return {
+        success: true,
+        season: this.formatSeason(season),
+        divisions: Rating.getDivisions()
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get season: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RankedService;
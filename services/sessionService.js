@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+
+// lastActiveAt is only written when older than this, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+class SessionService {
+
+  static getRefreshDays() {
+    return parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  }
+
+  static getRefreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+  }
+
+  static describeDevice(req) {
+    const deviceId = String(req.get('X-Device-Id') || '').trim().slice(0, 100);
+
+    return {
+      deviceId: deviceId || crypto.randomUUID(),
+      deviceName: String(req.get('X-Device-Name') || '').trim().slice(0, 100) || undefined,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip || req.connection.remoteAddress,
+      location: req.headers['x-user-location'] || 'Unknown'
+    };
+  }
+
+  static signRefreshToken(session) {
+    return jwt.sign(
+      { userId: session.userId, sid: session._id, jti: session.refreshJti, type: 'refresh' },
+      this.getRefreshSecret(),
+      { expiresIn: `${this.getRefreshDays()}d` }
+    );
+  }
+
+  static issueTokens(session) {
+    return {
+      accessToken: generateToken(session.userId, session._id),
+      refreshToken: this.signRefreshToken(session),
+      sessionId: session._id
+    };
+  }
+
+  // New login: one active session per device, the previous one on that device is closed
+  static async createSession(user, req) {
+    const device = this.describeDevice(req);
+
+    await Session.updateMany(
+      { userId: user._id, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'new_login' } }
+    );
+
+    const session = await Session.create({
+      userId: user._id,
+      ...device,
+      refreshJti: crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + this.getRefreshDays() * 24 * 60 * 60 * 1000)
+    });
+
+    return this.issueTokens(session);
+  }
+
+  // Exchange a refresh token for a new pair. Presenting an already rotated
+  // token means it was copied: the whole session (token family) is revoked.
+  static async rotate(refreshToken, req) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, this.getRefreshSecret());
+      } catch (error) {
+        throw new Error('Invalid refresh token');
+      }
+
+      if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+        throw new Error('Invalid refresh token');
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user || user.status !== 'active' || user.isTokenRevoked(decoded.iat)) {
+        throw new Error('Invalid refresh token');
+      }
+
+      const session = await Session.findOneAndUpdate(
+        {
+          _id: decoded.sid,
+          userId: user._id,
+          refreshJti: decoded.jti,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        {
+          $set: {
+            refreshJti: crypto.randomUUID(),
+            lastActiveAt: new Date(),
+            ip: req.ip || req.connection.remoteAddress,
+            expiresAt: new Date(Date.now() + this.getRefreshDays() * 24 * 60 * 60 * 1000)
+          },
+          $inc: { rotations: 1 }
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        const reused = await Session.findOneAndUpdate(
+          { _id: decoded.sid, userId: user._id, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+        );
+        if (reused) {
+          console.warn(`Refresh token reuse detected for session ${decoded.sid}, session revoked`);
+        }
+        throw new Error('Invalid refresh token');
+      }
+
+      return {
+        success: true,
+        user,
+        sessionId: session._id,
+        ...this.issueTokens(session)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to refresh session: ${error.message}`);
+    }
+  }
+
+  // Session behind an access token, or null when it was revoked or expired
+  static async getActiveSession(decoded) {
+    if (!decoded.sid) {
+      return null;
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.userId.toString() !== String(decoded.userId)) {
+      return null;
+    }
+
+    if (Date.now() - session.lastActiveAt.getTime() > TOUCH_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastActiveAt: new Date() } });
+    }
+
+    return session;
+  }
+
+  static formatSession(session, currentSessionId) {
+    return {
+      id: session._id,
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      location: session.location,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    };
+  }
+
+  static async listSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastActiveAt: -1 });
+
+      return {
+        success: true,
+        sessions: sessions.map(session => this.formatSession(session, currentSessionId))
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to list sessions: ${error.message}`);
+    }
+  }
+
+  static async revokeSession(userId, sessionId, reason = 'remote_logout') {
+    try {
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      return {
+        success: true,
+        revoked: [session._id]
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  // Every active session of the user except `keepSessionId` (all when omitted)
+  static async revokeAll(userId, reason, keepSessionId) {
+    try {
+      const filter = { userId, revokedAt: null };
+      if (keepSessionId) {
+        filter._id = { $ne: keepSessionId };
+      }
+
+      const sessions = await Session.find(filter).select('_id');
+      await Session.updateMany(
+        { _id: { $in: sessions.map(s => s._id) } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+
+      return {
+        success: true,
+        revoked: sessions.map(s => s._id)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  // Drop live sockets of revoked sessions (they joined `auth_session_<id>` on connect)
+  static disconnectSockets(io, sessionIds) {
+    if (!io) return;
+    sessionIds.forEach(id => io.in(`auth_session_${id}`).disconnectSockets(true));
+  }
+}
+
+module.exports = SessionService;
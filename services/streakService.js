@@ -0,0 +1,350 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_LENGTH = 60;
+
+class StreakService {
+
+  // Daily bonus: base + step per streak day, capped
+  static getDailyReward(streakDays) {
+    const base = parseInt(process.env.STREAK_REWARD_BASE) || 10;
+    const step = parseInt(process.env.STREAK_REWARD_STEP) || 5;
+    const max = parseInt(process.env.STREAK_REWARD_MAX) || 50;
+
+    return Math.min(base + step * Math.max(0, streakDays - 1), max);
+  }
+
+  static getFreezePrice() {
+    return parseInt(process.env.STREAK_FREEZE_PRICE) || 100;
+  }
+
+  static getMaxFreezes() {
+    return parseInt(process.env.MAX_STREAK_FREEZES) || 2;
+  }
+
+  // Calendar day (YYYY-MM-DD) of a date in the given timezone
+  static getLocalDay(date, timezone = 'UTC') {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  static addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().substring(0, 10);
+  }
+
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  // Offset of a timezone from UTC at a given instant (ms)
+  static getTimezoneOffset(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).reduce((acc, part) => {
+      acc[part.type] = parseInt(part.value);
+      return acc;
+    }, {});
+
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  // UTC instant of local midnight at the start of a day
+  static getLocalMidnight(day, timezone = 'UTC') {
+    const utc = Date.parse(`${day}T00:00:00Z`);
+    // Second pass corrects for DST changes between the guess and the result
+    let timestamp = utc - this.getTimezoneOffset(new Date(utc), timezone);
+    timestamp = utc - this.getTimezoneOffset(new Date(timestamp), timezone);
+    return new Date(timestamp);
+  }
+
+  static getTimezone(user) {
+    return (user.preferences && user.preferences.timezone) || 'UTC';
+  }
+
+  // The streak is lost at the end of the day after the last active day
+  static computeBreaksAt(user) {
+    if (!user.streak.current || !user.streak.lastActiveDay) {
+      return undefined;
+    }
+    return this.getLocalMidnight(this.addDays(user.streak.lastActiveDay, 2), this.getTimezone(user));
+  }
+
+  static addCalendarEntry(user, entry) {
+    const existing = user.streak.calendar.find(e => e.day === entry.day);
+    if (existing) {
+      existing.coins += entry.coins || 0;
+    } else {
+      user.streak.calendar.push(entry);
+    }
+
+    if (user.streak.calendar.length > CALENDAR_LENGTH) {
+      user.streak.calendar = user.streak.calendar.slice(-CALENDAR_LENGTH);
+    }
+  }
+
+  // Cover missed days with freezes or reset the streak (no save)
+  static settleStreak(user, now = new Date()) {
+    if (!user.streak.current || !user.streak.lastActiveDay) {
+      return false;
+    }
+
+    const today = this.getLocalDay(now, this.getTimezone(user));
+    const missedDays = this.daysBetween(user.streak.lastActiveDay, today) - 1;
+    if (missedDays <= 0) {
+      return false;
+    }
+
+    if (user.inventory.streakFreezes >= missedDays) {
+      user.inventory.streakFreezes -= missedDays;
+      for (let i = 1; i <= missedDays; i++) {
+        this.addCalendarEntry(user, {
+          day: this.addDays(user.streak.lastActiveDay, i),
+          source: 'freeze'
+        });
+      }
+      user.streak.lastActiveDay = this.addDays(today, -1);
+    } else {
+      user.streak.current = 0;
+    }
+
+    user.streak.breaksAt = this.computeBreaksAt(user);
+    return true;
+  }
+
+  // Record a check-in or completed game; first activity of the day pays the bonus
+  static async recordActivity(user, source, now = new Date()) {
+    try {
+      this.settleStreak(user, now);
+
+      const today = this.getLocalDay(now, this.getTimezone(user));
+      const yesterday = this.addDays(today, -1);
+      const alreadyActive = user.streak.lastActiveDay === today;
+
+      if (!alreadyActive) {
+        user.streak.current = user.streak.current > 0 && user.streak.lastActiveDay === yesterday
+          ? user.streak.current + 1
+          : 1;
+        user.streak.longest = Math.max(user.streak.longest, user.streak.current);
+        user.streak.lastActiveDay = today;
+        user.streak.breaksAt = this.computeBreaksAt(user);
+        this.addCalendarEntry(user, { day: today, source });
+      }
+
+      // Atomic guard so concurrent requests cannot pay twice for one day
+      let reward = 0;
+      let transaction = null;
+      if (user.streak.lastRewardDay !== today) {
+        const claimed = await User.updateOne(
+          { _id: user._id, 'streak.lastRewardDay': { $ne: today } },
+          { $set: { 'streak.lastRewardDay': today } }
+        );
+
+        if (claimed.modifiedCount > 0) {
+          reward = this.getDailyReward(user.streak.current);
+          user.streak.lastRewardDay = today;
+          this.addCalendarEntry(user, { day: today, source, coins: reward });
+        }
+      }
+
+      if (reward > 0) {
+        await user.addCoins(reward, 'bonus');
+
+        transaction = new Transaction({
+          userId: user._id,
+          type: 'bonus',
+          amount: reward,
+          currency: 'BIGCOIN',
+          description: `Daily streak bonus (day ${user.streak.current})`,
+          status: 'completed',
+          audit: {
+            createdBy: 'system'
+          }
+        });
+
+        await transaction.save();
+      } else {
+        await user.save();
+      }
+
+      return {
+        streak: this.getStreakSummary(user),
+        reward: {
+          coins: reward,
+          transactionId: transaction ? transaction.transactionId : null
+        },
+        alreadyCheckedIn: alreadyActive && reward === 0
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to record streak activity: ${error.message}`);
+    }
+  }
+
+  // Daily check-in route
+  static async checkIn(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const result = await this.recordActivity(user, 'check_in');
+
+    return {
+      success: true,
+      ...result
+    };
+  }
+
+  static getStreakSummary(user) {
+    const today = this.getLocalDay(new Date(), this.getTimezone(user));
+    const alive = user.streak.current > 0 &&
+      [today, this.addDays(today, -1)].includes(user.streak.lastActiveDay);
+
+    return {
+      current: user.streak.current,
+      longest: user.streak.longest,
+      lastActiveDay: user.streak.lastActiveDay || null,
+      activeToday: user.streak.lastActiveDay === today,
+      breaksAt: user.streak.breaksAt || null,
+      timezone: this.getTimezone(user),
+      freezes: user.inventory.streakFreezes,
+      nextReward: this.getDailyReward(alive ? user.streak.current + 1 : 1),
+      calendar: user.streak.calendar
+    };
+  }
+
+  // Streak state with the broken-streak check applied
+  static async getStreak(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (this.settleStreak(user)) {
+        await user.save();
+      }
+
+      return {
+        success: true,
+        streak: this.getStreakSummary(user)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get streak: ${error.message}`);
+    }
+  }
+
+  // Buy streak freeze items with coins
+  static async purchaseFreeze(userId, quantity = 1) {
+    try {
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('Quantity must be a positive integer');
+      }
+
+      const maxFreezes = this.getMaxFreezes();
+      const unitPrice = this.getFreezePrice();
+      const cost = unitPrice * quantity;
+
+      // Cap, balance and stock checked and changed in one update
+      const user = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          'coins.available': { $gte: cost },
+          'inventory.streakFreezes': { $lte: maxFreezes - quantity }
+        },
+        { $inc: { 'coins.available': -cost, 'inventory.streakFreezes': quantity } },
+        { new: true }
+      );
+
+      if (!user) {
+        const current = await User.findById(userId).select('inventory.streakFreezes');
+        if (!current) {
+          throw new Error('User not found');
+        }
+        if (current.inventory.streakFreezes + quantity > maxFreezes) {
+          throw new Error(`You can hold at most ${maxFreezes} streak freezes`);
+        }
+        throw new Error('Insufficient coins');
+      }
+
+      const transaction = new Transaction({
+        userId,
+        type: 'purchase',
+        amount: cost,
+        currency: 'BIGCOIN',
+        description: `Purchased ${quantity}x Streak Freeze`,
+        status: 'completed',
+        metadata: {
+          item: {
+            type: 'streak_freeze',
+            quantity,
+            unitPrice
+          }
+        },
+        audit: {
+          createdBy: 'user'
+        }
+      });
+
+      await transaction.save();
+
+      return {
+        success: true,
+        transactionId: transaction.transactionId,
+        freezes: user.inventory.streakFreezes,
+        newBalance: user.coins.available
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to purchase streak freeze: ${error.message}`);
+    }
+  }
+
+  // Cron: apply freezes or reset streaks whose local midnight has passed
+  static async resetBrokenStreaks(now = new Date()) {
+    const users = await User.find({
+      'streak.current': { $gt: 0 },
+      'streak.breaksAt': { $lte: now }
+    });
+
+    let frozen = 0;
+    let reset = 0;
+
+    for (const user of users) {
+      try {
+        if (this.settleStreak(user, now)) {
+          if (user.streak.current > 0) {
+            frozen++;
+          } else {
+            reset++;
+          }
+          await user.save();
+        } else {
+          // Timezone changed since breaksAt was computed
+          user.streak.breaksAt = this.computeBreaksAt(user);
+          await user.save();
+        }
+      } catch (error) {
+        console.error(`Streak reset error for user ${user._id}:`, error);
+      }
+    }
+
+    return { frozen, reset };
+  }
+}
+
+module.exports = StreakService;
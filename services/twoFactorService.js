@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Accept one step of clock drift either way
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHALLENGE_PURPOSE = '2fa_login';
+
+class TwoFactorService {
+
+  static getIssuer() {
+    return process.env.TWO_FACTOR_ISSUER || 'BigCoin Piano';
+  }
+
+  // Minutes the login challenge token stays valid
+  static getChallengeMinutes() {
+    return parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5;
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(text) {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Secrets are stored with AES-256-GCM so a database leak does not expose them
+  static getEncryptionKey() {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(key).digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  static decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // HOTP (RFC 4226) for one time step
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  static getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD);
+  }
+
+  // Time step the code belongs to, or null
+  static matchCode(secret, code, time = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const current = this.getStep(time);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      const candidate = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  static getOtpauthUri(user, secret) {
+    const issuer = this.getIssuer();
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Returns the plain codes (shown once) and the hashes to store
+  static generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  // TOTP code or unused recovery code; consumes what it accepts. Caller saves the user.
+  static verifyUserCode(user, { code, recoveryCode }) {
+    if (!user.security.twoFactorEnabled || !user.security.twoFactorSecret) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const entry = user.security.twoFactorRecoveryCodes.find(c => c.hash === hash && !c.usedAt);
+      if (!entry) {
+        return { valid: false };
+      }
+      entry.usedAt = new Date();
+      return { valid: true, method: 'recovery_code' };
+    }
+
+    const step = this.matchCode(this.decryptSecret(user.security.twoFactorSecret), code);
+    // A code can only be used once, even within its time window
+    if (step === null || (user.security.twoFactorLastStep !== undefined && step <= user.security.twoFactorLastStep)) {
+      return { valid: false };
+    }
+
+    user.security.twoFactorLastStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  static getStatus(user) {
+    const codes = user.security.twoFactorRecoveryCodes || [];
+
+    return {
+      enabled: !!user.security.twoFactorEnabled,
+      enabledAt: user.security.twoFactorEnabledAt,
+      pending: !user.security.twoFactorEnabled && !!user.security.twoFactorPendingSecret,
+      recoveryCodesRemaining: codes.filter(c => !c.usedAt).length
+    };
+  }
+
+  // Step 1 of enrollment: new secret kept pending until a code confirms it
+  static async beginEnrollment(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.security.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = this.base32Encode(crypto.randomBytes(20));
+      user.security.twoFactorPendingSecret = this.encryptSecret(secret);
+      await user.save();
+
+      return {
+        success: true,
+        secret,
+        otpauthUri: this.getOtpauthUri(user, secret)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to start two-factor setup: ${error.message}`);
+    }
+  }
+
+  // Step 2 of enrollment: first valid code turns 2FA on and issues recovery codes
+  static async confirmEnrollment(userId, code) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.security.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.security.twoFactorPendingSecret) {
+        throw new Error('Start two-factor setup first');
+      }
+
+      const secret = this.decryptSecret(user.security.twoFactorPendingSecret);
+      const step = this.matchCode(secret, code);
+      if (step === null) {
+        throw new Error('Invalid verification code');
+      }
+
+      const recovery = this.generateRecoveryCodes();
+
+      user.security.twoFactorEnabled = true;
+      user.security.twoFactorSecret = user.security.twoFactorPendingSecret;
+      user.security.twoFactorPendingSecret = undefined;
+      user.security.twoFactorEnabledAt = new Date();
+      user.security.twoFactorLastStep = step;
+      user.security.twoFactorRecoveryCodes = recovery.hashes;
+      await user.save();
+
+      return {
+        success: true,
+        recoveryCodes: recovery.codes
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to enable two-factor authentication: ${error.message}`);
+    }
+  }
+
+  static async disable(userId, password) {
+    try {
+      if (!password) {
+        throw new Error('Password is required');
+      }
+
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.security.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        throw new Error('Password is incorrect');
+      }
+
+      user.security.twoFactorEnabled = false;
+      user.security.twoFactorSecret = undefined;
+      user.security.twoFactorPendingSecret = undefined;
+      user.security.twoFactorEnabledAt = undefined;
+      user.security.twoFactorLastStep = undefined;
+      user.security.twoFactorRecoveryCodes = [];
+      await user.save();
+
+      return {
+        success: true
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+    }
+  }
+
+  // Separate key so a challenge can never pass authenticateToken as an access token
+  static getChallengeSecret() {
+    return process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:${CHALLENGE_PURPOSE}`;
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  static createChallenge(user) {
+    return jwt.sign(
+      { userId: user._id, purpose: CHALLENGE_PURPOSE },
+      this.getChallengeSecret(),
+      { expiresIn: `${this.getChallengeMinutes()}m` }
+    );
+  }
+
+  // Second login step; failed codes count towards the account lockout
+  static async completeChallenge(challengeToken, { code, recoveryCode }) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(challengeToken, this.getChallengeSecret());
+      } catch (error) {
+        throw new Error('Invalid or expired challenge');
+      }
+
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Invalid or expired challenge');
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user) {
+        throw new Error('Invalid or expired challenge');
+      }
+
+      if (user.security.accountLocked && user.security.lockedUntil > new Date()) {
+        throw new Error('Account is temporarily locked');
+      }
+
+      const result = this.verifyUserCode(user, { code, recoveryCode });
+      if (!result.valid) {
+        user.security.failedLoginAttempts += 1;
+        if (user.security.failedLoginAttempts >= 5) {
+          await user.lockAccount();
+          throw new Error('Account locked due to multiple failed login attempts');
+        }
+        await user.save();
+        throw new Error('Invalid verification code');
+      }
+
+      user.security.failedLoginAttempts = 0;
+      await user.save();
+
+      return {
+        success: true,
+        user,
+        method: result.method
+      };
+
+    } catch (error) {
+      throw new Error(`Two-factor login failed: ${error.message}`);
+    }
+  }
+
+  // Step-up check for sensitive actions (e.g. withdrawals)
+  static async verifyFresh(userId, { code, recoveryCode }) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const result = this.verifyUserCode(user, { code, recoveryCode });
+    if (result.valid) {
+      await user.save();
+    }
+
+    return result;
+  }
+}
+
+module.exports = TwoFactorService;